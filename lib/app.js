@@ -0,0 +1,2080 @@
+const express = require('express');
+const session = require('express-session');
+const bodyParser = require('body-parser');
+const bcrypt = require('bcryptjs');
+const path = require('path');
+const quiz = require('./quiz');
+const progress = require('./progress');
+const content = require('./content');
+const report = require('./report');
+const dashboard = require('./dashboard');
+const userImport = require('./user-import');
+const invitations = require('./invites');
+const passwordReset = require('./password-reset');
+const loginThrottle = require('./login-throttle');
+const audit = require('./audit');
+const dueDates = require('./due-dates');
+const reminders = require('./reminders');
+const certificates = require('./certificates');
+const tracks = require('./tracks');
+const csrf = require('./csrf');
+const schemas = require('./schemas');
+const { validate } = require('./validation');
+const { httpError, toHttpError, errorHandler } = require('./errors');
+const { MANAGER_ROLES, can, permissionsFor, managerEmailFor, findByEmail, nextUserId, toSafeUser } = require('./users');
+const { findCohortByName, createCohort, toAdminCohort } = require('./cohorts');
+const { createStorage } = require('./storage');
+const { createSessionStore } = require('./session-store');
+const { createMailer } = require('./mail');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Default users, with pre-hashed passwords so seeding doesn't slow down start-up.
+// Their passwords are well known, so they must be changed on first login.
+const DEFAULT_USERS = [
+    {
+        id: 1,
+        email: 'admin@maytech.com',
+        password: '$2a$10$yVDaObtbmZHJLce8vvrG8O58M9mhrDtreFmDF59rC11YeiJ3b1ImC', // admin123
+        name: 'Admin User',
+        role: 'admin',
+        mustChangePassword: true
+    },
+    {
+        id: 2,
+        email: 'staff@maytech.com',
+        password: '$2a$10$K5vube2Zjdh4Z6xb0G4VYeXe.oFnClgH3mtgk1Akz1aY8GdRuThI.', // staff123
+        name: 'Demo Staff',
+        role: 'staff',
+        mustChangePassword: true
+    }
+];
+
+// Build the onboarding app. Both entry points (server.js and the Vercel
+// handler in api/index.js) call this, and it can be used to mount the app in
+// another Express server or to start isolated instances in tests.
+//
+// Options (all optional):
+//   dataDir               - data directory (default: DATA_DIR env, or data/)
+//   storage               - storage backend (default: createStorage({ dataDir }),
+//                           which honours STORAGE_BACKEND)
+//   sessionStore          - express-session store (default: createSessionStore(),
+//                           which honours SESSION_STORE and otherwise keeps
+//                           sessions in `storage`, see lib/session-store.js)
+//   sessionSecret         - session secret, also used to sign invite links
+//                           (default: SESSION_SECRET env)
+//   mailer                - mail transport (default: createMailer({ dataDir }),
+//                           which honours MAIL_TRANSPORT and throws if it is
+//                           unset in production)
+//   appUrl                - public URL used in email links (default: APP_URL
+//                           env, or the host of the request)
+//   inviteTtlHours        - how long invite links stay valid (default:
+//                           INVITE_TTL_HOURS env, or 72)
+//   resetTtlMinutes       - how long password reset links stay valid
+//                           (default: RESET_TTL_MINUTES env, or 60)
+//   loginThrottle         - sign-in limits: { maxAccountFailures,
+//                           maxIpFailures, lockoutMinutes, backoffSeconds }
+//                           (default: LOGIN_* env, see lib/login-throttle.js)
+//   reminders             - reminder emails: { intervalMinutes, stalledDays,
+//                           repeatDays, notifyManager, templatesDir }
+//                           (default: REMINDER_* env, see lib/reminders.js)
+//   trustProxy            - number of proxies in front of the app, so the
+//                           client IP is read from X-Forwarded-For (default:
+//                           TRUST_PROXY env, or 1 on Vercel, otherwise 0)
+//   tolerateStorageErrors - log storage errors and fall back to the default
+//                           data instead of failing requests; for read-only or
+//                           ephemeral filesystems such as serverless functions
+function createApp(options = {}) {
+    const dataDir = options.dataDir || process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+    const storage = options.storage || createStorage({ dataDir });
+    const sessionSecret = options.sessionSecret || process.env.SESSION_SECRET || 'maytech-akqa-onboarding-secret-2025';
+    const tolerateStorageErrors = Boolean(options.tolerateStorageErrors);
+    const mailer = options.mailer || createMailer({ dataDir });
+    const inviteTtlHours = Number(options.inviteTtlHours || process.env.INVITE_TTL_HOURS) || invitations.DEFAULT_TTL_HOURS;
+    const resetTtlMinutes = Number(options.resetTtlMinutes || process.env.RESET_TTL_MINUTES) || passwordReset.DEFAULT_TTL_MINUTES;
+    const throttleConfig = loginThrottle.loadConfig(options.loginThrottle);
+    const reminderConfig = reminders.loadConfig(options.reminders);
+    const trustProxy = Number(options.trustProxy !== undefined ? options.trustProxy : process.env.TRUST_PROXY || (process.env.VERCEL_URL ? 1 : 0));
+
+    const app = express();
+
+    // Sign-in limits are per IP, so behind a proxy the IP has to come from
+    // X-Forwarded-For
+    app.set('trust proxy', trustProxy);
+
+    // Middleware
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: true }));
+    app.use(express.static(PUBLIC_DIR));
+
+    // Session configuration with environment variables
+    const isProduction = process.env.NODE_ENV === 'production';
+    const isHTTPS = process.env.VERCEL_URL ? true : false; // Vercel provides HTTPS
+
+    app.use(session({
+        store: options.sessionStore || openSessionStore(),
+        secret: sessionSecret,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            secure: isHTTPS || isProduction, // Secure cookies in production/HTTPS
+            maxAge: SESSION_MAX_AGE_MS,
+            sameSite: 'lax'
+        }
+    }));
+
+    // Sessions are kept with the rest of the data so they survive restarts.
+    // Where that can't be written to, fall back to memory rather than
+    // failing every request.
+    function openSessionStore() {
+        try {
+            return createSessionStore({ storage, dataDir, ttlMs: SESSION_MAX_AGE_MS });
+        } catch (err) {
+            if (!tolerateStorageErrors || err.code === 'SESSION_STORE_CONFIG') {
+                throw err;
+            }
+            console.warn('Could not open the session store, keeping sessions in memory:', err.message);
+            return new session.MemoryStore();
+        }
+    }
+
+    // API requests that change something must carry the session's CSRF token
+    app.use('/api', csrf.csrfProtection);
+
+    // Initialize data if it doesn't exist yet
+    function initializeData() {
+        const defaults = {
+            users: () => DEFAULT_USERS,
+            progress: () => [],
+            sections: () => content.loadSeedSections(),
+            invites: () => [],
+            'password-resets': () => [],
+            'login-attempts': () => [],
+            audit: () => [],
+            cohorts: () => [],
+            reminders: () => [],
+            certificates: () => [],
+            tracks: () => [],
+            counters: () => []
+        };
+
+        Object.keys(defaults).forEach(collection => {
+            try {
+                if (storage.read(collection) === null) {
+                    storage.write(collection, defaults[collection]());
+                }
+            } catch (err) {
+                if (!tolerateStorageErrors) {
+                    throw err;
+                }
+                // Don't fail the entire deployment if data initialization fails
+                console.warn(`Could not initialize ${collection}:`, err.message);
+            }
+        });
+    }
+
+    initializeData();
+
+    // Helper functions. The update* helpers read, change and save a collection
+    // atomically, so concurrent requests can't overwrite each other's changes.
+    function readCollection(collection, fallback) {
+        try {
+            const items = storage.read(collection);
+            if (items !== null) {
+                return items;
+            }
+        } catch (err) {
+            if (!tolerateStorageErrors) {
+                throw err;
+            }
+            console.warn(`Error reading ${collection}:`, err.message);
+        }
+        return fallback();
+    }
+
+    function updateCollection(collection, fallback, fn) {
+        try {
+            return storage.update(collection, fn);
+        } catch (err) {
+            // Another process is writing: the client can simply retry
+            if (!tolerateStorageErrors || err.code === 'STORAGE_BUSY') {
+                throw err;
+            }
+            // Apply the change to a fresh copy so the response still reflects
+            // it, even though it couldn't be saved
+            console.warn(`Error writing ${collection}:`, err.message);
+            return fn(readCollection(collection, fallback));
+        }
+    }
+
+    function readUsers() {
+        return readCollection('users', () => DEFAULT_USERS);
+    }
+
+    function updateUsers(fn) {
+        return updateCollection('users', () => DEFAULT_USERS, fn);
+    }
+
+    function readProgress() {
+        return readCollection('progress', () => []);
+    }
+
+    function updateProgress(fn) {
+        return updateCollection('progress', () => [], fn);
+    }
+
+    function readSections() {
+        // Fall back to the content shipped with the app
+        return readCollection('sections', () => content.loadSeedSections());
+    }
+
+    function updateSections(fn) {
+        return updateCollection('sections', () => content.loadSeedSections(), fn);
+    }
+
+    function readInvites() {
+        return readCollection('invites', () => []);
+    }
+
+    function updateInvites(fn) {
+        return updateCollection('invites', () => [], fn);
+    }
+
+    function readPasswordResets() {
+        return readCollection('password-resets', () => []);
+    }
+
+    function updatePasswordResets(fn) {
+        return updateCollection('password-resets', () => [], fn);
+    }
+
+    function readLoginAttempts() {
+        return readCollection('login-attempts', () => []);
+    }
+
+    function updateLoginAttempts(fn) {
+        return updateCollection('login-attempts', () => [], fn);
+    }
+
+    function readCohorts() {
+        return readCollection('cohorts', () => []);
+    }
+
+    function updateCohorts(fn) {
+        return updateCollection('cohorts', () => [], fn);
+    }
+
+    function readTracks() {
+        return readCollection('tracks', () => []);
+    }
+
+    function updateTracks(fn) {
+        return updateCollection('tracks', () => [], fn);
+    }
+
+    function readReminders() {
+        return readCollection('reminders', () => []);
+    }
+
+    function updateReminders(fn) {
+        return updateCollection('reminders', () => [], fn);
+    }
+
+    function readCertificates() {
+        return readCollection('certificates', () => []);
+    }
+
+    function updateCertificates(fn) {
+        return updateCollection('certificates', () => [], fn);
+    }
+
+    function readAuditLog() {
+        return readCollection('audit', () => []);
+    }
+
+    // A new user's ID, never one a deleted user had (see nextUserId)
+    function newUserId(users) {
+        return updateCollection('counters', () => [], counters => nextUserId(counters, () => highestUserId(users)));
+    }
+
+    // The highest user ID anything refers to, for starting the ID counter on
+    // data from before there was one
+    function highestUserId(users) {
+        const events = readAuditLog();
+        const ids = [
+            ...users.map(u => u.id),
+            ...readProgress().map(p => p.userId),
+            ...readReminders().map(r => r.userId),
+            ...readCertificates().map(c => c.userId),
+            ...events.map(e => e.actorId),
+            ...events.filter(e => e.targetType === 'user').map(e => e.targetId)
+        ];
+        return ids.reduce((highest, id) => (Number.isInteger(id) && id > highest ? id : highest), 0);
+    }
+
+    // The audit log is append-only, and only ever grows: events are appended
+    // one at a time rather than by rewriting the whole log
+    function appendAuditEvent(event) {
+        storage.append('audit', event);
+        return event;
+    }
+
+    // Add an event to the audit log (see lib/audit.js). The actor defaults to
+    // the signed-in user. By the time this is called the request has done its
+    // work, so a failure to record is logged rather than failing the request.
+    function recordAudit(req, type, { actor = req.session && req.session.user, target, details } = {}) {
+        try {
+            appendAuditEvent(audit.createEvent({
+                type,
+                actor,
+                target,
+                details,
+                ip: req.ip,
+                userAgent: req.get('user-agent')
+            }));
+        } catch (err) {
+            console.error(`Error recording ${type} audit event:`, err.message);
+        }
+    }
+
+    // Base URL for links in emails. Emails sent outside a request (the
+    // reminder scheduler) need APP_URL to link anywhere but this machine.
+    function appUrl(req) {
+        const requestUrl = req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${process.env.PORT || 3000}`;
+        return (options.appUrl || process.env.APP_URL || requestUrl).replace(/\/$/, '');
+    }
+
+    // Invite users to set their password: revoke any earlier invites, create
+    // new ones and email them the links. Resolves to one { invite, url, sent }
+    // per user, where sent is true only if the transport delivered the email
+    // (the outbox and console transports never do).
+    function sendInvites(req, users) {
+        const created = updateInvites(invites => users.map(user => {
+            invitations.revokePendingInvites(invites, user.id);
+            return invitations.createInvite(invites, user, req.session.user.id, inviteTtlHours);
+        }));
+
+        return Promise.all(users.map((user, index) => {
+            const invite = created[index];
+            const token = invitations.signToken(invite, sessionSecret);
+            const url = `${appUrl(req)}/accept-invite?token=${encodeURIComponent(token)}`;
+
+            return mailer.send(invitations.inviteEmail(user, url, invite))
+                .then(result => ({ invite, url, sent: Boolean(result && result.delivered) }))
+                .catch(err => {
+                    console.error(`Error sending invite to ${user.email}:`, err.message);
+                    return { invite, url, sent: false };
+                });
+        }));
+    }
+
+    function sendInvite(req, user) {
+        return sendInvites(req, [user]).then(results => results[0]);
+    }
+
+    // Email the user a reminder to get on with their onboarding, copying in
+    // their manager if they have one (see lib/reminders.js), and record it.
+    // sentBy is the admin or manager sending it, or null for the scheduler.
+    // Resolves to { reminder, managerNotified }, or rejects if the user's
+    // email fails.
+    function sendReminder(user, reason, sentBy, baseUrl) {
+        const recipient = { ...user, managerEmail: managerEmailFor(user, readUsers()) };
+        const emails = reminders.reminderEmails(recipient, reason, {
+            cohort: readCohorts().find(c => c.id === user.cohortId),
+            userProgress: readProgress().find(p => p.userId === user.id),
+            sections: userSections(user),
+            url: baseUrl,
+            config: reminderConfig
+        });
+
+        return mailer.send(emails.staff).then(() => {
+            const managerSent = !emails.manager ? Promise.resolve(false) : mailer.send(emails.manager)
+                .then(() => true)
+                .catch(err => {
+                    console.error(`Error sending reminder to ${user.email}'s manager:`, err.message);
+                    return false;
+                });
+
+            return managerSent.then(managerNotified => {
+                const reminder = updateReminders(all => reminders.recordReminder(all, {
+                    user,
+                    reason,
+                    managerEmail: managerNotified ? recipient.managerEmail : null,
+                    sentBy
+                }));
+                return { reminder, managerNotified };
+            });
+        });
+    }
+
+    // Remind everyone whose onboarding has stalled or is overdue and who
+    // hasn't had a reminder recently. Runs on a timer; a run that is still
+    // sending when the next is due is left to finish.
+    let reminderRun = null;
+
+    function runScheduledReminders() {
+        if (reminderRun) {
+            return reminderRun;
+        }
+
+        let due;
+        try {
+            due = reminders.findDueReminders({
+                users: readUsers(),
+                allProgress: readProgress(),
+                cohorts: readCohorts(),
+                sections: content.getPublishedSections(readSections()),
+                tracks: readTracks(),
+                reminders: readReminders()
+            }, reminderConfig);
+        } catch (err) {
+            console.error('Error finding users to remind:', err.message);
+            return Promise.resolve(0);
+        }
+
+        // One at a time, to go easy on the mail server
+        reminderRun = due.reduce((previous, { user, reason }) => previous.then(sent => {
+            return sendReminder(user, reason, null, appUrl(null))
+                .then(() => sent + 1)
+                .catch(err => {
+                    console.error(`Error sending reminder to ${user.email}:`, err.message);
+                    return sent;
+                });
+        }), Promise.resolve(0)).then(sent => {
+            reminderRun = null;
+            return sent;
+        });
+
+        return reminderRun;
+    }
+
+    if (reminderConfig.intervalMinutes > 0) {
+        // Don't keep the process alive just for reminders
+        setInterval(runScheduledReminders, reminderConfig.intervalMinutes * 60 * 1000).unref();
+    }
+
+    // The published sections each user takes: their track's, in the track's
+    // order, or every section if they have no track (see lib/tracks.js).
+    // Reads the data once, for working through many users.
+    function sectionsForUsers() {
+        return tracks.sectionResolver({
+            sections: content.getPublishedSections(readSections()),
+            tracks: readTracks(),
+            cohorts: readCohorts()
+        });
+    }
+
+    function userSections(user) {
+        return sectionsForUsers()(user);
+    }
+
+    // The signed-in user's full record, for routes behind isAuthenticated
+    function currentUser(req) {
+        return readUsers().find(u => u.id === req.session.user.id);
+    }
+
+    // Find a user's progress record, adding a new one if they have none yet
+    function getOrCreateUserProgress(allProgress, user) {
+        let userProgress = allProgress.find(p => p.userId === user.id);
+
+        if (!userProgress) {
+            userProgress = {
+                userId: user.id,
+                userName: user.name,
+                sections: [],
+                currentSection: 0,
+                completedSections: 0,
+                lastUpdated: new Date().toISOString()
+            };
+            allProgress.push(userProgress);
+        }
+
+        return userProgress;
+    }
+
+    // The user as kept in the session and returned by /api/session
+    function toSessionUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            // What the pages may show them (see PERMISSIONS in lib/users.js)
+            permissions: permissionsFor(user.role),
+            mustChangePassword: Boolean(user.mustChangePassword)
+        };
+    }
+
+    // Start a session for the user
+    // Signing in starts a new session with a new CSRF token, so a session ID
+    // or token handed out before signing in can't be used afterwards.
+    // Resolves to the session user.
+    function signIn(req, user) {
+        return new Promise((resolve, reject) => {
+            req.session.regenerate(err => {
+                if (err) {
+                    return reject(err);
+                }
+                req.session.user = toSessionUser(user);
+                req.session.signedInAt = new Date().toISOString();
+                csrf.issueToken(req.session);
+                resolve(req.session.user);
+            });
+        });
+    }
+
+    // Sessions started before the user's password last changed are no longer
+    // valid, so a password reset signs out anyone using the old password
+    function isSessionCurrent(session, user) {
+        return !user.passwordChangedAt || Boolean(session.signedInAt && session.signedInAt >= user.passwordChangedAt);
+    }
+
+    // Authentication middleware. The user is looked up on every request so
+    // that edits, deactivation, deletion and password changes take effect
+    // straight away. Users who have to change their password are turned away
+    // until they have, except by the routes that use isSignedIn instead.
+    function isAuthenticated(req, res, next) {
+        authenticate(req, res, next, false);
+    }
+
+    // Like isAuthenticated, but also lets in users who must change their password
+    function isSignedIn(req, res, next) {
+        authenticate(req, res, next, true);
+    }
+
+    function authenticate(req, res, next, allowPasswordChange) {
+        if (req.session && req.session.user) {
+            const user = readUsers().find(u => u.id === req.session.user.id);
+
+            if (user && user.active !== false && isSessionCurrent(req.session, user)) {
+                req.session.user = toSessionUser(user);
+
+                if (user.mustChangePassword && !allowPasswordChange) {
+                    return next(httpError(403, 'PASSWORD_CHANGE_REQUIRED', 'You must change your password before continuing'));
+                }
+                return next();
+            }
+
+            return req.session.destroy(() => {
+                next(httpError(401, 'NOT_AUTHENTICATED', 'Not authenticated'));
+            });
+        }
+        next(httpError(401, 'NOT_AUTHENTICATED', 'Not authenticated'));
+    }
+
+    // Only lets in users whose role has the permission (see lib/users.js)
+    function requirePermission(permission) {
+        return (req, res, next) => {
+            if (req.session && can(req.session.user, permission)) {
+                return next();
+            }
+            next(httpError(403, 'PERMISSION_DENIED', "You don't have permission to do this"));
+        };
+    }
+
+    // The users the signed-in user can see on the dashboard: everyone for
+    // admins, and only their direct reports for managers
+    function visibleUsers(req, users) {
+        if (can(req.session.user, 'users.view_all')) {
+            return users;
+        }
+        return users.filter(u => u.managerId === req.session.user.id);
+    }
+
+    // The user in the URL, if the signed-in user can see them. Anyone else is
+    // not found, so managers can't tell who else has an account.
+    function findVisibleUser(req) {
+        return visibleUsers(req, readUsers()).find(u => String(u.id) === req.params.id);
+    }
+
+    // Routes
+
+    // Login. Repeated failures from the same IP or for the same email are
+    // slowed down and then locked out (see lib/login-throttle.js).
+    app.post('/api/login', validate(schemas.login), (req, res, next) => {
+        const { email, password } = req.body;
+        const keys = loginThrottle.attemptKeys(req.ip, email);
+        const user = findByEmail(readUsers(), email);
+
+        // Failed attempts aren't made by anyone signed in, whatever the session says
+        const auditFailure = reason => recordAudit(req, 'login.failed', {
+            actor: null,
+            target: user && audit.userTarget(user),
+            details: { email, reason }
+        });
+
+        // Hold this attempt's place before the slow password check, so
+        // parallel attempts can't all get past the limits
+        const blocked = updateLoginAttempts(attempts => loginThrottle.beginAttempt(attempts, keys, throttleConfig));
+        if (blocked) {
+            auditFailure(blocked.code);
+            return next(toHttpError(blocked));
+        }
+
+        // Invited users have no password until they accept the invite
+        const checkPassword = user && user.password
+            ? bcrypt.compare(password, user.password)
+            : Promise.resolve(false);
+
+        // null until the check has finished, so a check that throws counts
+        // neither as a failure nor as a success
+        let valid = null;
+
+        checkPassword.then(result => {
+            valid = result;
+        }).finally(() => {
+            // Give up this attempt's place even if the check threw. Only the
+            // account's count is cleared; the IP's failures still stand.
+            updateLoginAttempts(attempts => {
+                loginThrottle.finishAttempt(attempts, keys, throttleConfig, valid === false);
+                if (valid) {
+                    loginThrottle.clearAttempts(attempts, [keys[1]]);
+                }
+            });
+        }).then(() => {
+            if (!valid) {
+                auditFailure('INVALID_CREDENTIALS');
+                return next(httpError(401, 'INVALID_CREDENTIALS', 'Invalid credentials'));
+            }
+
+            if (user.active === false) {
+                auditFailure('ACCOUNT_DEACTIVATED');
+                return next(httpError(403, 'ACCOUNT_DEACTIVATED', 'This account has been deactivated'));
+            }
+
+            return signIn(req, user).then(sessionUser => {
+                recordAudit(req, 'login.succeeded', { target: audit.userTarget(user) });
+
+                res.json({
+                    success: true,
+                    user: sessionUser,
+                    csrfToken: req.session.csrfToken
+                });
+            });
+        }).catch(next);
+    });
+
+    // Logout. The answer waits for the session to be gone from the store.
+    app.post('/api/logout', (req, res, next) => {
+        if (req.session.user) {
+            recordAudit(req, 'logout', { target: audit.userTarget(req.session.user) });
+        }
+        req.session.destroy(err => {
+            if (err) {
+                return next(err);
+            }
+            res.json({ success: true });
+        });
+    });
+
+    // Invites: check an invite link before showing the set-password form
+    app.get('/api/invites/:token', (req, res, next) => {
+        const result = checkInvite(req.params.token);
+        if (result.error) {
+            return next(toHttpError(result));
+        }
+
+        res.json({ name: result.user.name, email: result.user.email, expiresAt: result.invite.expiresAt });
+    });
+
+    // Invites: set a password with an invite link, then sign in
+    app.post('/api/invites/accept', validate(schemas.acceptInvite), (req, res, next) => {
+        const { token, password } = req.body;
+
+        // Hash before taking the lock - it's the slow part
+        bcrypt.hash(password, 10).then(passwordHash => {
+            // Mark the invite used first, so the same link can't be accepted twice
+            const result = updateInvites(invites => {
+                const checked = checkInvite(token, invites);
+                if (!checked.error) {
+                    checked.invite.acceptedAt = new Date().toISOString();
+                    invitations.revokePendingInvites(invites, checked.user.id);
+                }
+                return checked;
+            });
+
+            if (result.error) {
+                return next(toHttpError(result));
+            }
+
+            const user = updateUsers(users => {
+                const user = users.find(u => u.id === result.user.id);
+                if (user) {
+                    user.password = passwordHash;
+                    user.passwordChangedAt = new Date().toISOString();
+                    user.mustChangePassword = false;
+                }
+                return user;
+            });
+
+            return signIn(req, user).then(sessionUser => {
+                recordAudit(req, 'invite.accepted', { target: audit.userTarget(user), details: { inviteId: result.invite.id } });
+
+                res.json({ success: true, user: sessionUser, csrfToken: req.session.csrfToken });
+            });
+        }).catch(next);
+    });
+
+    // Password reset: email a reset link. The response is the same whether or
+    // not the address belongs to a user, so it can't be used to find accounts.
+    app.post('/api/password/forgot', validate(schemas.forgotPassword), (req, res) => {
+        const { email } = req.body;
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email address, a link to reset the password has been sent to it.'
+        });
+
+        // Send after responding, so response times don't reveal whether the user exists
+        try {
+            const user = findByEmail(readUsers(), email);
+            if (!user || user.active === false) {
+                return;
+            }
+
+            const { reset, token } = updatePasswordResets(resets => passwordReset.createReset(resets, user, resetTtlMinutes));
+            const url = `${appUrl(req)}/reset-password?token=${encodeURIComponent(token)}`;
+            recordAudit(req, 'password.reset_requested', { actor: null, target: audit.userTarget(user) });
+
+            mailer.send(passwordReset.resetEmail(user, url, reset)).catch(err => {
+                console.error(`Error sending password reset to ${user.email}:`, err.message);
+            });
+        } catch (err) {
+            console.error('Error creating password reset:', err.message);
+        }
+    });
+
+    // Password reset: check a reset link before showing the new-password form
+    app.get('/api/password/reset/:token', (req, res, next) => {
+        const result = passwordReset.checkToken(readPasswordResets(), req.params.token);
+        if (result.error) {
+            return next(toHttpError(result));
+        }
+
+        res.json({ valid: true, expiresAt: result.reset.expiresAt });
+    });
+
+    // Password reset: choose a new password with a reset link
+    app.post('/api/password/reset', validate(schemas.resetPassword), (req, res, next) => {
+        const { token, password } = req.body;
+
+        // Hash before taking the lock - it's the slow part
+        bcrypt.hash(password, 10).then(passwordHash => {
+            // Use up the token first, so the same link can't be used twice
+            const result = updatePasswordResets(resets => {
+                const checked = passwordReset.checkToken(resets, token);
+                if (!checked.error) {
+                    passwordReset.cancelResets(resets, checked.reset.userId);
+                }
+                return checked;
+            });
+
+            if (result.error) {
+                return next(toHttpError(result));
+            }
+
+            const user = updateUsers(users => {
+                const user = users.find(u => u.id === result.reset.userId && u.active !== false);
+                if (user) {
+                    user.password = passwordHash;
+                    user.passwordChangedAt = new Date().toISOString();
+                    // The user chose this password themselves
+                    user.mustChangePassword = false;
+                }
+                return user;
+            });
+
+            if (!user) {
+                return next(httpError(410, 'RESET_TOKEN_INVALID', 'This reset link is invalid or has expired. Request a new one.'));
+            }
+
+            // The user has a password now, so any outstanding invite is no longer needed
+            updateInvites(invites => invitations.revokePendingInvites(invites, user.id));
+            // Resetting is the way out of a sign-in lockout
+            updateLoginAttempts(attempts => loginThrottle.clearAttempts(attempts, [{ type: 'account', key: user.email.toLowerCase() }]));
+            recordAudit(req, 'password.reset', { actor: null, target: audit.userTarget(user) });
+
+            res.json({ success: true });
+        }).catch(next);
+    });
+
+    // Resolve an invite token to its pending invite and active user. Returns
+    // { invite, user }, or { status, error, code }.
+    function checkInvite(token, invites = readInvites()) {
+        const result = invitations.checkToken(invites, token, sessionSecret);
+        if (result.error) {
+            return result;
+        }
+
+        const user = readUsers().find(u => u.id === result.invite.userId);
+        if (!user || user.active === false) {
+            return { status: 400, error: 'This invitation is no longer valid. Ask your administrator for a new one.', code: 'INVITE_INVALID' };
+        }
+
+        return { invite: result.invite, user };
+    }
+
+    // Check session. Users who must change their password can still check it,
+    // so the pages know to send them to /change-password. The CSRF token comes
+    // back whether or not anyone is signed in, as the sign-in form needs it too.
+    app.get('/api/session', (req, res, next) => {
+        const csrfToken = csrf.issueToken(req.session);
+
+        isSignedIn(req, res, err => {
+            if (err) {
+                err.details = { csrfToken };
+                return next(err);
+            }
+            res.json({ user: req.session.user, csrfToken });
+        });
+    });
+
+    // Change your own password. Other sessions using the old password are
+    // signed out; this one carries on in a new session.
+    app.post('/api/account/password', isSignedIn, validate(schemas.changePassword), (req, res, next) => {
+        const { currentPassword, newPassword } = req.body;
+        const user = readUsers().find(u => u.id === req.session.user.id);
+
+        Promise.all([
+            user.password ? bcrypt.compare(currentPassword, user.password) : false,
+            user.password ? bcrypt.compare(newPassword, user.password) : false
+        ]).then(([currentValid, unchanged]) => {
+            if (!currentValid) {
+                const message = 'Current password is incorrect';
+                return next(httpError(400, 'INVALID_CURRENT_PASSWORD', message, { currentPassword: message }));
+            }
+
+            if (unchanged) {
+                const message = 'New password must be different from your current password';
+                return next(httpError(400, 'PASSWORD_UNCHANGED', message, { newPassword: message }));
+            }
+
+            // Hash before taking the lock - it's the slow part
+            return bcrypt.hash(newPassword, 10).then(passwordHash => {
+                const updated = updateUsers(users => {
+                    const user = users.find(u => u.id === req.session.user.id);
+                    if (user) {
+                        user.password = passwordHash;
+                        user.passwordChangedAt = new Date().toISOString();
+                        user.mustChangePassword = false;
+                    }
+                    return user;
+                });
+
+                const required = req.session.user.mustChangePassword;
+                return signIn(req, updated).then(sessionUser => {
+                    recordAudit(req, 'password.changed', { target: audit.userTarget(updated), details: { required } });
+
+                    res.json({ success: true, user: sessionUser, csrfToken: req.session.csrfToken });
+                });
+            });
+        }).catch(next);
+    });
+
+    // Onboarding content: list the sections of the user's track in display order
+    app.get('/api/sections', isAuthenticated, (req, res) => {
+        const sections = userSections(currentUser(req));
+        res.json(sections.map(content.toSummary));
+    });
+
+    // Onboarding content: single section with its body
+    app.get('/api/sections/:id', isAuthenticated, (req, res, next) => {
+        const sections = userSections(currentUser(req));
+        const section = sections.find(s => String(s.id) === req.params.id);
+
+        if (!section) {
+            return next(httpError(404, 'SECTION_NOT_FOUND', 'Section not found'));
+        }
+
+        res.json({
+            ...content.toSummary(section),
+            html: section.html,
+            quiz: quiz.toPublicQuiz(section.quiz)
+        });
+    });
+
+    // Submit answers to a section's knowledge check, graded here so the correct
+    // answers never reach the browser
+    app.post('/api/sections/:id/quiz', isAuthenticated, validate(schemas.submitQuiz), (req, res, next) => {
+        const { answers } = req.body;
+        const sections = userSections(currentUser(req));
+        const section = sections.find(s => String(s.id) === req.params.id);
+
+        if (!section) {
+            return next(httpError(404, 'SECTION_NOT_FOUND', 'Section not found'));
+        }
+
+        if (!section.quiz) {
+            return next(httpError(400, 'NO_QUIZ', 'This section has no knowledge check'));
+        }
+
+        const answersError = quiz.validateAnswers(section.quiz, answers);
+        if (answersError) {
+            return next(httpError(400, 'VALIDATION_FAILED', answersError, { answers: answersError }));
+        }
+
+        const result = quiz.gradeQuiz(section.quiz, answers);
+
+        const { userProgress, attempts } = updateProgress(allProgress => {
+            const userProgress = getOrCreateUserProgress(allProgress, req.session.user);
+
+            let entry = userProgress.sections.find(s => s.id === section.id);
+            if (!entry) {
+                entry = {
+                    id: section.id,
+                    acknowledged: false,
+                    version: section.version,
+                    stale: false,
+                    completedAt: null
+                };
+                userProgress.sections.push(entry);
+            }
+
+            entry.quizAttempts = entry.quizAttempts || [];
+            entry.quizAttempts.push({
+                version: section.version,
+                score: result.score,
+                passed: result.passed,
+                submittedAt: new Date().toISOString()
+            });
+            userProgress.lastUpdated = new Date().toISOString();
+
+            return { userProgress, attempts: entry.quizAttempts.length };
+        });
+
+        recordAudit(req, 'quiz.submitted', {
+            target: audit.sectionTarget(section),
+            details: { version: section.version, score: result.score, passed: result.passed }
+        });
+
+        res.json({ ...result, attempts, progress: userProgress });
+    });
+
+    // Get user progress, against the sections of their track
+    app.get('/api/progress', isAuthenticated, (req, res) => {
+        const sections = userSections(currentUser(req));
+        const existing = readProgress().find(p => p.userId === req.session.user.id);
+
+        // Counters follow the current sections, which may have been reordered or republished
+        if (existing) {
+            return res.json(progress.refreshCounters(existing, sections));
+        }
+
+        const userProgress = updateProgress(allProgress => getOrCreateUserProgress(allProgress, req.session.user));
+        res.json(progress.refreshCounters(userProgress, sections));
+    });
+
+    // Update progress
+    app.post('/api/progress', isAuthenticated, validate(schemas.updateProgress), (req, res, next) => {
+        const { sectionId, acknowledged } = req.body;
+
+        // Only sections in the user's track can be acknowledged, in the track's order
+        const sections = userSections(currentUser(req));
+        const section = sections.find(s => s.id === sectionId);
+
+        if (!section) {
+            return next(httpError(400, 'UNKNOWN_SECTION', `Unknown section: ${sectionId}`, { sectionId: 'Unknown section' }));
+        }
+
+        const result = updateProgress(allProgress => {
+            const userProgress = getOrCreateUserProgress(allProgress, req.session.user);
+
+            // Sections have to be acknowledged in order, and after passing any knowledge check
+            const rejection = progress.checkAcknowledgment(userProgress, sections, section, acknowledged);
+            if (rejection) {
+                return { rejection };
+            }
+
+            progress.recordAcknowledgment(userProgress, section, acknowledged);
+            progress.refreshCounters(userProgress, sections);
+            return { userProgress };
+        });
+
+        if (result.rejection) {
+            return next(toHttpError(result.rejection));
+        }
+
+        recordAudit(req, acknowledged ? 'progress.acknowledged' : 'progress.unacknowledged', {
+            target: audit.sectionTarget(section),
+            details: { version: section.version }
+        });
+        if (!acknowledged) {
+            revokeIncompleteCertificates(req, 'acknowledgment_withdrawn', [req.session.user.id]);
+        }
+
+        res.json(result.userProgress);
+    });
+
+    // Download your completion certificate, once every section is acknowledged
+    app.get('/api/certificate', isAuthenticated, (req, res, next) => {
+        sendCertificate(req, res, next, currentUser(req));
+    });
+
+    // Check a certificate is genuine, by its verification ID. Public, for
+    // the /verify page.
+    app.get('/api/certificates/:id', (req, res, next) => {
+        const certificate = readCertificates().find(c => c.id === req.params.id);
+
+        if (!certificate) {
+            return next(httpError(404, 'CERTIFICATE_NOT_FOUND', 'No certificate has this verification ID'));
+        }
+
+        res.json(certificates.toPublicCertificate(certificate));
+    });
+
+    // Send the user's certificate as a PDF, issuing it the first time
+    function sendCertificate(req, res, next, user) {
+        const sections = userSections(user);
+        const userProgress = readProgress().find(p => p.userId === user.id) || { sections: [] };
+        const record = certificates.completionRecord(userProgress, sections);
+
+        if (!record) {
+            return next(httpError(409, 'ONBOARDING_INCOMPLETE', 'The certificate is available once every section has been acknowledged'));
+        }
+
+        const { certificate, issued } = updateCertificates(all => certificates.issueCertificate(all, user, record));
+        if (issued) {
+            recordAudit(req, 'certificate.issued', {
+                target: audit.userTarget(user),
+                details: { certificateId: certificate.id }
+            });
+        }
+
+        certificates.toPdf(certificate, `${appUrl(req)}/verify/${certificate.id}`)
+            .then(buffer => {
+                res.attachment(`onboarding-certificate-${certificate.id}.pdf`);
+                res.type('application/pdf');
+                res.send(buffer);
+            })
+            .catch(next);
+    }
+
+    // Revoke the certificates of users who are no longer complete, so they
+    // stop checking out as valid: the users in userIds, or else everyone
+    // holding a valid certificate. Deleted users are never complete. Each
+    // user's revocation is added to the audit log.
+    function revokeIncompleteCertificates(req, reason, userIds) {
+        const holders = [...new Set(readCertificates()
+            .filter(c => !c.revokedAt && (!userIds || userIds.includes(c.userId)))
+            .map(c => c.userId))];
+        if (holders.length === 0) {
+            return;
+        }
+
+        const users = readUsers();
+        const allProgress = readProgress();
+        const sectionsFor = sectionsForUsers();
+        const incomplete = holders.filter(userId => {
+            const user = users.find(u => u.id === userId);
+            const userProgress = allProgress.find(p => p.userId === userId) || { sections: [] };
+            return !user || !certificates.completionRecord(userProgress, sectionsFor(user));
+        });
+        if (incomplete.length === 0) {
+            return;
+        }
+
+        const revoked = updateCertificates(all => incomplete.map(userId => certificates.revokeCertificates(all, userId, reason)));
+        revoked.filter(list => list.length > 0).forEach(list => {
+            const certificate = list[0];
+            recordAudit(req, 'certificate.revoked', {
+                target: audit.userTarget({ id: certificate.userId, email: certificate.email }),
+                details: { certificateIds: list.map(c => c.id), reason }
+            });
+        });
+    }
+
+    // Admin: The dashboard rows - each user joined with their progress -
+    // searched, filtered, sorted and a page at a time (see lib/dashboard.js).
+    // Managers only get their direct reports.
+    function dashboardRows(req, res, users) {
+        const rows = dashboard.buildRows(users, {
+            allProgress: readProgress(),
+            sections: content.getPublishedSections(readSections()),
+            cohorts: readCohorts(),
+            tracks: readTracks(),
+            reminders: readReminders()
+        });
+
+        res.json(dashboard.queryRows(rows, req.query));
+    }
+
+    // Admin: Onboarding progress: every staff member, including those yet to
+    // sign in and start, and anyone else who has a progress record
+    app.get('/api/admin/progress', isAuthenticated, requirePermission('dashboard.view'), validate(schemas.adminProgress), (req, res) => {
+        const withProgress = new Set(readProgress().map(p => p.userId));
+        const users = visibleUsers(req, readUsers())
+            .filter(u => u.role === 'staff' || withProgress.has(u.id));
+
+        dashboardRows(req, res, users);
+    });
+
+    // Admin: Download the progress report as a spreadsheet, of the same users
+    // as /api/admin/progress
+    app.get('/api/admin/progress/export', isAuthenticated, requirePermission('dashboard.view'), validate(schemas.exportProgress), (req, res, next) => {
+        const { format, cohortId, trackId } = req.query;
+        const cohorts = readCohorts();
+        const allTracks = readTracks();
+        const users = visibleUsers(req, readUsers()).filter(user => {
+            const track = tracks.trackFor(user, cohorts.find(c => c.id === user.cohortId), allTracks);
+            return (cohortId === undefined || user.cohortId === cohortId)
+                && (trackId === undefined || (track ? track.id : null) === trackId);
+        });
+
+        const progressReport = report.buildProgressReport(
+            users,
+            readProgress(),
+            content.getPublishedSections(readSections()),
+            cohorts,
+            allTracks
+        );
+        const filename = `onboarding-progress-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.attachment(filename);
+        recordAudit(req, 'report.exported', { details: { format, cohortId, trackId } });
+
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8');
+            // BOM so Excel opens the file as UTF-8
+            return res.send('\ufeff' + report.toCsv(progressReport));
+        }
+
+        report.toXlsx(progressReport)
+            .then(buffer => res.send(buffer))
+            .catch(err => {
+                // Undo the attachment headers so the error goes out as JSON
+                res.removeHeader('Content-Disposition');
+                next(err);
+            });
+    });
+
+    // Admin: Create new user. Without a password the user is emailed an
+    // invite link to choose their own.
+    app.post('/api/admin/users', isAuthenticated, requirePermission('users.manage'), validate(schemas.createUser), (req, res, next) => {
+        const { email, password, name, role, cohortId, trackId, startDate, dueDate, managerId, managerEmail } = req.body;
+
+        if (findByEmail(readUsers(), email)) {
+            return next(emailTakenError('User already exists'));
+        }
+        if (!cohortExists(cohortId)) {
+            return next(unknownCohortError());
+        }
+        if (!trackExists(trackId)) {
+            return next(unknownTrackError());
+        }
+        if (!managerExists(managerId)) {
+            return next(unknownManagerError());
+        }
+
+        // Hash before taking the lock - it's the slow part
+        const hashPassword = password !== undefined ? bcrypt.hash(password, 10) : Promise.resolve(null);
+
+        hashPassword.then(passwordHash => {
+            const newUser = updateUsers(users => {
+                // Re-check in case the same email was added in the meantime
+                if (findByEmail(users, email)) {
+                    return null;
+                }
+
+                const user = {
+                    id: newUserId(users),
+                    email,
+                    password: passwordHash,
+                    name,
+                    role,
+                    cohortId: cohortId || null,
+                    trackId: trackId || null,
+                    startDate: startDate || null,
+                    dueDate: dueDate || null,
+                    managerId: managerId || null,
+                    managerEmail: managerEmail || null,
+                    // The admin knows this password, so the user has to replace it
+                    mustChangePassword: Boolean(passwordHash),
+                    createdAt: new Date().toISOString()
+                };
+                users.push(user);
+                return user;
+            });
+
+            if (!newUser) {
+                return next(emailTakenError('User already exists'));
+            }
+
+            recordAudit(req, 'user.created', {
+                target: audit.userTarget(newUser),
+                details: { name, role, cohortId: cohortId || null, trackId: trackId || null, dueDate: dueDate || null, managerId: managerId || null, managerEmail: managerEmail || null, invited: !passwordHash }
+            });
+
+            if (passwordHash) {
+                return res.json({ success: true, user: toSafeUser(newUser) });
+            }
+
+            return sendInvite(req, newUser).then(result => {
+                res.json({ success: true, user: toSafeUser(newUser), inviteSent: result.sent, inviteUrl: result.url });
+            });
+        }).catch(next);
+    });
+
+    // Admin: Every user, with their progress, as the dashboard table lists them
+    app.get('/api/admin/users', isAuthenticated, requirePermission('dashboard.view'), validate(schemas.adminUsers), (req, res) => {
+        dashboardRows(req, res, visibleUsers(req, readUsers()));
+    });
+
+    // Admin: Every user's name, email and role, without their progress, for
+    // the pickers that choose a user. Not paged, so nobody is left out.
+    app.get('/api/admin/users/directory', isAuthenticated, requirePermission('dashboard.view'), (req, res) => {
+        res.json(visibleUsers(req, readUsers())
+            .map(user => ({ id: user.id, name: user.name, email: user.email, role: user.role, active: user.active !== false }))
+            .sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id));
+    });
+
+    // Admin: Create users in bulk from a CSV file. Every row is validated
+    // first; the accounts are only created if all of them are valid. With
+    // dryRun the validation report is returned without creating anything.
+    app.post('/api/admin/users/import', isAuthenticated, requirePermission('users.manage'), validate(schemas.importUsers), (req, res, next) => {
+        const { csv, dryRun } = req.body;
+        const parsed = userImport.parseImport(csv);
+
+        if (parsed.error) {
+            return next(httpError(400, 'IMPORT_INVALID_FILE', parsed.error, { csv: parsed.error }));
+        }
+        if (parsed.rows.length === 0) {
+            return next(httpError(400, 'IMPORT_EMPTY', 'The file has no users to import', { csv: 'The file has no users to import' }));
+        }
+        if (parsed.rows.length > userImport.MAX_ROWS) {
+            const message = `Import at most ${userImport.MAX_ROWS} users at a time`;
+            return next(httpError(400, 'IMPORT_TOO_LARGE', message, { csv: message }));
+        }
+
+        let rows = userImport.validateImport(parsed.rows, readUsers(), readCohorts());
+        let valid = rows.every(row => row.errors.length === 0);
+
+        if (dryRun) {
+            return res.json({ dryRun, valid, created: 0, rows });
+        }
+        if (!valid) {
+            return next(importRowsError(rows));
+        }
+
+        const created = updateUsers(users => {
+            // Validate again in case users were added in the meantime
+            rows = userImport.validateImport(parsed.rows, users, readCohorts());
+            valid = rows.every(row => row.errors.length === 0);
+            if (!valid) {
+                return null;
+            }
+
+            return rows.map(row => {
+                const user = {
+                    id: newUserId(users),
+                    email: row.email,
+                    password: null,
+                    name: row.name,
+                    role: row.role,
+                    cohortId: row.cohortId,
+                    startDate: row.startDate,
+                    createdAt: new Date().toISOString()
+                };
+                users.push(user);
+                return user;
+            });
+        });
+
+        if (!created) {
+            return next(importRowsError(rows));
+        }
+
+        created.forEach(user => recordAudit(req, 'user.created', {
+            target: audit.userTarget(user),
+            details: { name: user.name, role: user.role, cohortId: user.cohortId, invited: true, imported: true }
+        }));
+
+        // Every new user is emailed an invite to choose their password
+        sendInvites(req, created).then(results => {
+            res.json({
+                dryRun,
+                valid,
+                created: created.length,
+                rows: rows.map((row, index) => ({
+                    ...row,
+                    id: created[index].id,
+                    inviteSent: results[index].sent
+                }))
+            });
+        }).catch(next);
+    });
+
+    // The import report goes back with the error, so the admin can see which
+    // rows to fix
+    function importRowsError(rows) {
+        const err = httpError(400, 'IMPORT_INVALID_ROWS', 'Some rows have errors; no users were created');
+        err.details = { dryRun: false, valid: false, created: 0, rows };
+        return err;
+    }
+
+    function emailTakenError(message) {
+        return httpError(400, 'EMAIL_TAKEN', message, { email: message });
+    }
+
+    // Users can be put in a cohort, or taken out of one with null
+    function cohortExists(cohortId) {
+        return cohortId === undefined || cohortId === null || readCohorts().some(c => c.id === cohortId);
+    }
+
+    function unknownCohortError() {
+        return httpError(400, 'UNKNOWN_COHORT', 'Cohort not found', { cohortId: 'Cohort not found' });
+    }
+
+    function trackExists(trackId) {
+        return trackId === undefined || trackId === null || readTracks().some(t => t.id === trackId);
+    }
+
+    function unknownTrackError() {
+        return httpError(400, 'UNKNOWN_TRACK', 'Track not found', { trackId: 'Track not found' });
+    }
+
+    // Users can report to a manager or admin other than themselves, or to no
+    // one with null
+    function managerExists(managerId, userId) {
+        return managerId === undefined || managerId === null
+            || (managerId !== userId && readUsers().some(u => u.id === managerId && MANAGER_ROLES.includes(u.role)));
+    }
+
+    function unknownManagerError() {
+        const message = 'Choose a manager or admin other than the user';
+        return httpError(400, 'UNKNOWN_MANAGER', message, { managerId: message });
+    }
+
+    // Admin: List invites, newest first
+    app.get('/api/admin/invites', isAuthenticated, requirePermission('users.manage'), (req, res) => {
+        const users = readUsers();
+        const invites = readInvites()
+            .map(invite => invitations.toAdminInvite(invite, users.find(u => u.id === invite.userId)))
+            .reverse();
+
+        res.json(invites);
+    });
+
+    // Admin: Send a new invite in place of an earlier one
+    app.post('/api/admin/invites/:id/resend', isAuthenticated, requirePermission('users.manage'), (req, res, next) => {
+        const invite = readInvites().find(i => i.id === req.params.id);
+        if (!invite) {
+            return next(httpError(404, 'INVITE_NOT_FOUND', 'Invite not found'));
+        }
+
+        const user = readUsers().find(u => u.id === invite.userId);
+        if (!user) {
+            return next(httpError(400, 'USER_NOT_FOUND', 'The invited user no longer exists'));
+        }
+        if (user.active === false) {
+            return next(httpError(400, 'ACCOUNT_DEACTIVATED', 'Reactivate the user before inviting them again'));
+        }
+        if (invitations.inviteStatus(invite) === 'accepted') {
+            return next(httpError(400, 'INVITE_USED', 'This invite has already been accepted'));
+        }
+
+        sendInvite(req, user).then(result => {
+            recordAudit(req, 'invite.resent', {
+                target: audit.userTarget(user),
+                details: { inviteId: result.invite.id, previousInviteId: invite.id, sent: result.sent }
+            });
+
+            res.json({
+                success: true,
+                invite: invitations.toAdminInvite(result.invite, user),
+                inviteSent: result.sent,
+                inviteUrl: result.url
+            });
+        }).catch(next);
+    });
+
+    // Admin: Withdraw a pending invite so its link stops working
+    app.post('/api/admin/invites/:id/revoke', isAuthenticated, requirePermission('users.manage'), (req, res, next) => {
+        const result = updateInvites(invites => {
+            const invite = invites.find(i => i.id === req.params.id);
+            if (!invite) {
+                return { status: 404, error: 'Invite not found', code: 'INVITE_NOT_FOUND' };
+            }
+            if (invitations.inviteStatus(invite) !== 'pending') {
+                return { status: 400, error: `This invite is already ${invitations.inviteStatus(invite)}`, code: 'INVITE_NOT_PENDING' };
+            }
+
+            invite.revokedAt = new Date().toISOString();
+            return { invite };
+        });
+
+        if (result.error) {
+            return next(toHttpError(result));
+        }
+
+        const user = readUsers().find(u => u.id === result.invite.userId);
+        recordAudit(req, 'invite.revoked', {
+            target: audit.userTarget(user || { id: result.invite.userId, email: result.invite.email }),
+            details: { inviteId: result.invite.id }
+        });
+
+        res.json({ success: true, invite: invitations.toAdminInvite(result.invite, user) });
+    });
+
+    // Admin: IPs and accounts currently locked out of signing in
+    app.get('/api/admin/lockouts', isAuthenticated, requirePermission('security.manage'), (req, res) => {
+        const users = readUsers();
+
+        res.json(loginThrottle.listLockouts(readLoginAttempts()).map(lockout => {
+            const user = lockout.type === 'account' && users.find(u => u.email.toLowerCase() === lockout.key);
+            return { ...lockout, name: user ? user.name : null };
+        }));
+    });
+
+    // Admin: Clear a lockout (and the failures behind it) so the IP or account
+    // can sign in again straight away
+    app.delete('/api/admin/lockouts/:type/:key', isAuthenticated, requirePermission('security.manage'), (req, res, next) => {
+        const { type, key } = req.params;
+        const removed = updateLoginAttempts(attempts => loginThrottle.clearAttempts(attempts, [{ type, key }]));
+
+        if (!removed) {
+            return next(httpError(404, 'LOCKOUT_NOT_FOUND', 'Lockout not found'));
+        }
+
+        recordAudit(req, 'lockout.cleared', { target: { type: 'lockout', id: `${type}:${key}`, label: key }, details: { type } });
+
+        res.json({ success: true });
+    });
+
+    // Admin: List cohorts by start date, with how far their staff have got.
+    // Managers only see the cohorts their direct reports are in, and the
+    // stats of their reports.
+    app.get('/api/admin/cohorts', isAuthenticated, requirePermission('dashboard.view'), (req, res) => {
+        const allUsers = can(req.session.user, 'users.view_all');
+        const users = visibleUsers(req, readUsers());
+        const allProgress = readProgress();
+        const sections = content.getPublishedSections(readSections());
+        const allTracks = readTracks();
+
+        const cohorts = readCohorts()
+            .slice()
+            .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.name.localeCompare(b.name))
+            .map(cohort => toAdminCohort(cohort, users, allProgress, sections, allTracks))
+            .filter(cohort => allUsers || cohort.members > 0);
+
+        res.json(cohorts);
+    });
+
+    // Admin: Create a cohort
+    app.post('/api/admin/cohorts', isAuthenticated, requirePermission('content.manage'), validate(schemas.createCohort), (req, res, next) => {
+        if (!trackExists(req.body.trackId)) {
+            return next(unknownTrackError());
+        }
+
+        const cohort = updateCohorts(cohorts => {
+            if (findCohortByName(cohorts, req.body.name)) {
+                return null;
+            }
+            return createCohort(cohorts, req.body, req.session.user.id);
+        });
+
+        if (!cohort) {
+            const message = 'There is already a cohort with this name';
+            return next(httpError(400, 'COHORT_NAME_TAKEN', message, { name: message }));
+        }
+
+        recordAudit(req, 'cohort.created', { target: audit.cohortTarget(cohort), details: req.body });
+
+        const sections = content.getPublishedSections(readSections());
+        res.json({ success: true, cohort: toAdminCohort(cohort, readUsers(), readProgress(), sections, readTracks()) });
+    });
+
+    // Admin: Edit a cohort's name, start date, company, team, days to complete or track
+    app.patch('/api/admin/cohorts/:id', isAuthenticated, requirePermission('content.manage'), validate(schemas.updateCohort), (req, res, next) => {
+        const changes = req.body;
+
+        if (!trackExists(changes.trackId)) {
+            return next(unknownTrackError());
+        }
+
+        const result = updateCohorts(cohorts => {
+            const cohort = cohorts.find(c => String(c.id) === req.params.id);
+            if (!cohort) {
+                return { status: 404, error: 'Cohort not found', code: 'COHORT_NOT_FOUND' };
+            }
+            const sameName = changes.name && findCohortByName(cohorts, changes.name);
+            if (sameName && sameName !== cohort) {
+                const error = 'There is already a cohort with this name';
+                return { status: 400, error, code: 'COHORT_NAME_TAKEN', fields: { name: error } };
+            }
+
+            const changed = audit.changedFields(cohort, changes);
+            Object.assign(cohort, changes);
+            return { cohort, changed };
+        });
+
+        if (result.error) {
+            return next(toHttpError(result));
+        }
+
+        recordAudit(req, 'cohort.updated', { target: audit.cohortTarget(result.cohort), details: { changes: result.changed } });
+        revokeIncompleteCertificates(req, 'sections_changed');
+
+        const sections = content.getPublishedSections(readSections());
+        res.json({ success: true, cohort: toAdminCohort(result.cohort, readUsers(), readProgress(), sections, readTracks()) });
+    });
+
+    // Admin: Delete a cohort. Its members stay, without a cohort.
+    app.delete('/api/admin/cohorts/:id', isAuthenticated, requirePermission('content.manage'), (req, res, next) => {
+        const deleted = updateCohorts(cohorts => {
+            const index = cohorts.findIndex(c => String(c.id) === req.params.id);
+            return index === -1 ? null : cohorts.splice(index, 1)[0];
+        });
+
+        if (!deleted) {
+            return next(httpError(404, 'COHORT_NOT_FOUND', 'Cohort not found'));
+        }
+
+        const members = updateUsers(users => {
+            const members = users.filter(u => u.cohortId === deleted.id);
+            members.forEach(user => {
+                user.cohortId = null;
+            });
+            return members.length;
+        });
+
+        recordAudit(req, 'cohort.deleted', { target: audit.cohortTarget(deleted), details: { members } });
+        revokeIncompleteCertificates(req, 'sections_changed');
+
+        res.json({ success: true, members });
+    });
+
+    // Admin: List tracks by name, with how many users and cohorts follow each.
+    // Managers only see the tracks their direct reports follow.
+    app.get('/api/admin/tracks', isAuthenticated, requirePermission('dashboard.view'), (req, res) => {
+        const allUsers = can(req.session.user, 'users.view_all');
+        const users = visibleUsers(req, readUsers());
+        const cohorts = readCohorts();
+        const allSections = readSections().map(content.toAdminSummary);
+
+        const result = readTracks()
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(track => tracks.toAdminTrack(track, users, cohorts, allSections))
+            .filter(track => allUsers || track.members > 0);
+
+        res.json(result);
+    });
+
+    // Admin: Create a track
+    app.post('/api/admin/tracks', isAuthenticated, requirePermission('content.manage'), validate(schemas.createTrack), (req, res, next) => {
+        const allSections = readSections().map(content.toAdminSummary);
+        if (tracks.unknownSectionIds(req.body.sectionIds, allSections).length > 0) {
+            return next(unknownTrackSectionError());
+        }
+
+        const track = updateTracks(allTracks => {
+            if (tracks.findTrackByName(allTracks, req.body.name)) {
+                return null;
+            }
+            return tracks.createTrack(allTracks, req.body, req.session.user.id);
+        });
+
+        if (!track) {
+            const message = 'There is already a track with this name';
+            return next(httpError(400, 'TRACK_NAME_TAKEN', message, { name: message }));
+        }
+
+        recordAudit(req, 'track.created', { target: audit.trackTarget(track), details: req.body });
+
+        res.json({ success: true, track: tracks.toAdminTrack(track, readUsers(), readCohorts(), allSections) });
+    });
+
+    // Admin: Rename a track, or change its description or sections
+    app.patch('/api/admin/tracks/:id', isAuthenticated, requirePermission('content.manage'), validate(schemas.updateTrack), (req, res, next) => {
+        const changes = req.body;
+        const allSections = readSections().map(content.toAdminSummary);
+
+        if (changes.sectionIds && tracks.unknownSectionIds(changes.sectionIds, allSections).length > 0) {
+            return next(unknownTrackSectionError());
+        }
+
+        const result = updateTracks(allTracks => {
+            const track = allTracks.find(t => String(t.id) === req.params.id);
+            if (!track) {
+                return { status: 404, error: 'Track not found', code: 'TRACK_NOT_FOUND' };
+            }
+            const sameName = changes.name && tracks.findTrackByName(allTracks, changes.name);
+            if (sameName && sameName !== track) {
+                const error = 'There is already a track with this name';
+                return { status: 400, error, code: 'TRACK_NAME_TAKEN', fields: { name: error } };
+            }
+
+            // Lists always differ by reference; only log the sections if they changed
+            const changed = audit.changedFields(track, changes);
+            if (changed.sectionIds && changed.sectionIds.from.join(',') === changes.sectionIds.join(',')) {
+                delete changed.sectionIds;
+            }
+            Object.assign(track, changes);
+            return { track, changed };
+        });
+
+        if (result.error) {
+            return next(toHttpError(result));
+        }
+
+        recordAudit(req, 'track.updated', { target: audit.trackTarget(result.track), details: { changes: result.changed } });
+        revokeIncompleteCertificates(req, 'sections_changed');
+
+        res.json({ success: true, track: tracks.toAdminTrack(result.track, readUsers(), readCohorts(), allSections) });
+    });
+
+    // Admin: Delete a track. Its users and cohorts go back to every section.
+    app.delete('/api/admin/tracks/:id', isAuthenticated, requirePermission('content.manage'), (req, res, next) => {
+        const deleted = updateTracks(allTracks => {
+            const index = allTracks.findIndex(t => String(t.id) === req.params.id);
+            return index === -1 ? null : allTracks.splice(index, 1)[0];
+        });
+
+        if (!deleted) {
+            return next(httpError(404, 'TRACK_NOT_FOUND', 'Track not found'));
+        }
+
+        const members = updateUsers(users => {
+            const members = users.filter(u => u.trackId === deleted.id);
+            members.forEach(user => {
+                user.trackId = null;
+            });
+            return members.length;
+        });
+        const cohorts = updateCohorts(allCohorts => {
+            const cohorts = allCohorts.filter(c => c.trackId === deleted.id);
+            cohorts.forEach(cohort => {
+                cohort.trackId = null;
+            });
+            return cohorts.length;
+        });
+
+        recordAudit(req, 'track.deleted', { target: audit.trackTarget(deleted), details: { members, cohorts } });
+        revokeIncompleteCertificates(req, 'sections_changed');
+
+        res.json({ success: true, members, cohorts });
+    });
+
+    function unknownTrackSectionError() {
+        const message = 'Every section in a track must exist';
+        return httpError(400, 'UNKNOWN_SECTION', message, { sectionIds: message });
+    }
+
+    // Admin: Search the audit log, newest first
+    app.get('/api/admin/audit', isAuthenticated, requirePermission('security.manage'), validate(schemas.auditLog), (req, res) => {
+        res.json({
+            ...audit.queryEvents(readAuditLog(), req.query),
+            types: audit.EVENT_TYPES
+        });
+    });
+
+    // Admin: Edit a user's name, email, role, cohort, track, start or due date, manager or manager's email
+    app.patch('/api/admin/users/:id', isAuthenticated, requirePermission('users.manage'), validate(schemas.updateUser), (req, res, next) => {
+        // Only the fields that were sent are in the validated body
+        const changes = req.body;
+
+        if (!cohortExists(changes.cohortId)) {
+            return next(unknownCohortError());
+        }
+        if (!trackExists(changes.trackId)) {
+            return next(unknownTrackError());
+        }
+        if (!managerExists(changes.managerId, Number(req.params.id))) {
+            return next(unknownManagerError());
+        }
+
+        if (changes.role !== undefined && String(req.session.user.id) === req.params.id && changes.role !== 'admin') {
+            const message = 'You cannot remove your own admin role';
+            return next(httpError(400, 'CANNOT_CHANGE_OWN_ROLE', message, { role: message }));
+        }
+
+        const result = updateUsers(users => {
+            const user = users.find(u => String(u.id) === req.params.id);
+            if (!user) {
+                return { status: 404, error: 'User not found', code: 'USER_NOT_FOUND' };
+            }
+            const owner = changes.email && findByEmail(users, changes.email);
+            if (owner && owner !== user) {
+                const error = 'Another user already has this email';
+                return { status: 400, error, code: 'EMAIL_TAKEN', fields: { email: error } };
+            }
+
+            const changed = audit.changedFields(user, changes);
+            Object.assign(user, changes);
+
+            // Someone who is no longer a manager has no one reporting to them
+            if (!MANAGER_ROLES.includes(user.role)) {
+                clearReports(users, user.id);
+            }
+            return { user, changed };
+        });
+
+        if (result.error) {
+            return next(toHttpError(result));
+        }
+
+        // Keep the name on the progress record in step
+        if (changes.name) {
+            updateProgress(allProgress => {
+                const userProgress = allProgress.find(p => p.userId === result.user.id);
+                if (userProgress) {
+                    userProgress.userName = changes.name;
+                }
+            });
+        }
+
+        recordAudit(req, 'user.updated', { target: audit.userTarget(result.user), details: { changes: result.changed } });
+        if (changes.trackId !== undefined || changes.cohortId !== undefined) {
+            revokeIncompleteCertificates(req, 'sections_changed', [result.user.id]);
+        }
+
+        res.json({ success: true, user: toSafeUser(result.user) });
+    });
+
+    // Admin: Deactivate a user. They can no longer log in, but their progress is kept.
+    app.post('/api/admin/users/:id/deactivate', isAuthenticated, requirePermission('users.manage'), (req, res, next) => {
+        if (String(req.session.user.id) === req.params.id) {
+            return next(httpError(400, 'CANNOT_DEACTIVATE_SELF', 'You cannot deactivate your own account'));
+        }
+
+        setUserActive(req, res, next, false);
+    });
+
+    // Admin: Reactivate a deactivated user
+    app.post('/api/admin/users/:id/reactivate', isAuthenticated, requirePermission('users.manage'), (req, res, next) => {
+        setUserActive(req, res, next, true);
+    });
+
+    function setUserActive(req, res, next, active) {
+        const user = updateUsers(users => {
+            const user = users.find(u => String(u.id) === req.params.id);
+            if (user) {
+                user.active = active;
+                user.deactivatedAt = active ? null : new Date().toISOString();
+            }
+            return user;
+        });
+
+        if (!user) {
+            return next(httpError(404, 'USER_NOT_FOUND', 'User not found'));
+        }
+
+        recordAudit(req, active ? 'user.reactivated' : 'user.deactivated', { target: audit.userTarget(user) });
+
+        res.json({ success: true, user: toSafeUser(user) });
+    }
+
+    // Admin: Delete a user along with their progress
+    app.delete('/api/admin/users/:id', isAuthenticated, requirePermission('users.manage'), (req, res, next) => {
+        if (String(req.session.user.id) === req.params.id) {
+            return next(httpError(400, 'CANNOT_DELETE_SELF', 'You cannot delete your own account'));
+        }
+
+        const deleted = updateUsers(users => {
+            const index = users.findIndex(u => String(u.id) === req.params.id);
+            if (index === -1) {
+                return null;
+            }
+            clearReports(users, users[index].id);
+            return users.splice(index, 1)[0];
+        });
+
+        if (!deleted) {
+            return next(httpError(404, 'USER_NOT_FOUND', 'User not found'));
+        }
+
+        // Nothing left behind should still stand for the user
+        removeUserProgress(deleted.id);
+        updateInvites(invites => invitations.revokePendingInvites(invites, deleted.id));
+        updatePasswordResets(resets => passwordReset.cancelResets(resets, deleted.id));
+        updateReminders(reminders => {
+            const kept = reminders.filter(r => r.userId !== deleted.id);
+            reminders.splice(0, reminders.length, ...kept);
+        });
+        revokeIncompleteCertificates(req, 'user_deleted', [deleted.id]);
+        recordAudit(req, 'user.deleted', { target: audit.userTarget(deleted), details: { name: deleted.name, role: deleted.role } });
+
+        res.json({ success: true });
+    });
+
+    // Admin: Clear a user's progress so they start onboarding again
+    app.post('/api/admin/users/:id/reset-progress', isAuthenticated, requirePermission('users.manage'), (req, res, next) => {
+        const user = readUsers().find(u => String(u.id) === req.params.id);
+
+        if (!user) {
+            return next(httpError(404, 'USER_NOT_FOUND', 'User not found'));
+        }
+
+        removeUserProgress(user.id);
+        recordAudit(req, 'user.progress_reset', { target: audit.userTarget(user) });
+        revokeIncompleteCertificates(req, 'progress_reset', [user.id]);
+
+        res.json({ success: true });
+    });
+
+    // Admin: Email a user a reminder to get on with their onboarding now,
+    // whether or not the scheduler would have
+    app.post('/api/admin/users/:id/reminder', isAuthenticated, requirePermission('reminders.send'), (req, res, next) => {
+        const user = findVisibleUser(req);
+
+        if (!user) {
+            return next(httpError(404, 'USER_NOT_FOUND', 'User not found'));
+        }
+        if (user.role !== 'staff') {
+            return next(httpError(400, 'NOT_STAFF', 'Only staff can be sent onboarding reminders'));
+        }
+        if (user.active === false) {
+            return next(httpError(400, 'USER_DEACTIVATED', 'This user is deactivated'));
+        }
+        if (!user.password) {
+            return next(httpError(400, 'INVITE_PENDING', "This user hasn't accepted their invite yet; resend the invite instead"));
+        }
+
+        const userProgress = readProgress().find(p => p.userId === user.id) || { sections: [], lastUpdated: null };
+        const sections = userSections(user);
+
+        if (reminders.isComplete(userProgress, sections)) {
+            return next(httpError(400, 'ONBOARDING_COMPLETE', 'This user has already finished onboarding'));
+        }
+
+        const cohort = readCohorts().find(c => c.id === user.cohortId);
+        const reason = reminders.reminderReason(user, cohort, userProgress, sections, reminderConfig);
+
+        sendReminder(user, reason || 'manual', req.session.user.id, appUrl(req)).then(result => {
+            recordAudit(req, 'reminder.sent', {
+                target: audit.userTarget(user),
+                details: { reason: result.reminder.reason, managerEmail: result.reminder.managerEmail }
+            });
+
+            res.json({ success: true, reminder: result.reminder, managerNotified: result.managerNotified });
+        }).catch(err => {
+            console.error(`Error sending reminder to ${user.email}:`, err.message);
+            next(httpError(502, 'EMAIL_NOT_SENT', "The reminder couldn't be sent. Please try again later."));
+        });
+    });
+
+    // Take the manager's direct reports off them, inside updateUsers
+    function clearReports(users, managerId) {
+        users.filter(u => u.managerId === managerId).forEach(user => {
+            user.managerId = null;
+        });
+    }
+
+    function removeUserProgress(userId) {
+        updateProgress(allProgress => {
+            const index = allProgress.findIndex(p => p.userId === userId);
+            if (index !== -1) {
+                allProgress.splice(index, 1);
+            }
+        });
+    }
+
+    // Admin: One user's progress, section by section. Managers can see their
+    // direct reports'; anyone else is not found, here and below.
+    app.get('/api/admin/users/:id/progress', isAuthenticated, requirePermission('dashboard.view'), (req, res, next) => {
+        const user = findVisibleUser(req);
+
+        if (!user) {
+            return next(httpError(404, 'USER_NOT_FOUND', 'User not found'));
+        }
+
+        const sections = userSections(user);
+        const stored = readProgress().find(p => p.userId === user.id);
+        const userProgress = progress.refreshCounters(
+            stored || { sections: [], lastUpdated: null },
+            sections
+        );
+        const cohort = readCohorts().find(c => c.id === user.cohortId);
+        const track = tracks.trackFor(user, cohort, readTracks());
+        const due = dueDates.dueState(user, cohort, userProgress, sections);
+        const deadlines = dueDates.sectionDeadlines(user, cohort, userProgress, sections);
+
+        res.json({
+            user: toSafeUser(user),
+            // The track the user follows, if any: their own or their cohort's
+            track: track ? { id: track.id, name: track.name } : null,
+            completedSections: userProgress.completedSections,
+            requiredSections: sections.filter(s => s.requiresAcknowledgment).length,
+            lastUpdated: userProgress.lastUpdated,
+            dueDate: due.dueDate,
+            dueStatus: due.dueStatus,
+            // Reminder emails sent to the user, newest first
+            reminders: readReminders().filter(r => r.userId === user.id).reverse(),
+            sections: progress.buildTimeline(userProgress, sections).map(section => {
+                const deadline = deadlines.find(d => d.sectionId === section.id);
+                return {
+                    ...section,
+                    dueDate: deadline ? deadline.dueDate : null,
+                    overdue: due.overdueSections.includes(section.id)
+                };
+            })
+        });
+    });
+
+    // Admin: Download a user's completion certificate
+    app.get('/api/admin/users/:id/certificate', isAuthenticated, requirePermission('dashboard.view'), (req, res, next) => {
+        const user = findVisibleUser(req);
+
+        if (!user) {
+            return next(httpError(404, 'USER_NOT_FOUND', 'User not found'));
+        }
+
+        sendCertificate(req, res, next, user);
+    });
+
+    // Admin: List sections, including drafts. Managers see the titles too, for
+    // the dashboard; only admins can open and edit them.
+    app.get('/api/admin/sections', isAuthenticated, requirePermission('dashboard.view'), (req, res) => {
+        res.json(readSections().map(content.toAdminSummary));
+    });
+
+    // Admin: Create a new (unpublished) section
+    app.post('/api/admin/sections', isAuthenticated, requirePermission('content.manage'), validate(schemas.createSection), (req, res) => {
+        const section = updateSections(sections => content.createSection(sections, req.body, req.session.user.id));
+        recordAudit(req, 'section.created', { target: audit.sectionTarget(content.toAdminSummary(section)) });
+
+        res.json({ success: true, section });
+    });
+
+    // Admin: Reorder sections
+    app.put('/api/admin/sections/order', isAuthenticated, requirePermission('content.manage'), validate(schemas.reorderSections), (req, res, next) => {
+        const reordered = updateSections(sections => {
+            const reordered = content.reorderSections(sections, req.body.order);
+            if (reordered) {
+                sections.splice(0, sections.length, ...reordered);
+            }
+            return reordered;
+        });
+
+        if (!reordered) {
+            const message = 'Order must list every section exactly once';
+            return next(httpError(400, 'INVALID_ORDER', message, { order: message }));
+        }
+
+        recordAudit(req, 'sections.reordered', { details: { order: req.body.order } });
+
+        res.json({ success: true, sections: reordered.map(content.toAdminSummary) });
+    });
+
+    // Admin: Get a section with its version history
+    app.get('/api/admin/sections/:id', isAuthenticated, requirePermission('content.manage'), (req, res, next) => {
+        const section = readSections().find(s => String(s.id) === req.params.id);
+
+        if (!section) {
+            return next(httpError(404, 'SECTION_NOT_FOUND', 'Section not found'));
+        }
+
+        res.json({ ...content.toAdminSummary(section), versions: section.versions });
+    });
+
+    // Admin: Save changes to a section as a draft
+    app.put('/api/admin/sections/:id', isAuthenticated, requirePermission('content.manage'), validate(schemas.updateSection), (req, res, next) => {
+        const result = updateSections(sections => {
+            const section = sections.find(s => String(s.id) === req.params.id);
+            return section ? { section, draft: content.saveDraft(section, req.body, req.session.user.id) } : null;
+        });
+
+        if (!result) {
+            return next(httpError(404, 'SECTION_NOT_FOUND', 'Section not found'));
+        }
+
+        const { section, draft } = result;
+        recordAudit(req, 'section.updated', {
+            target: audit.sectionTarget(content.toAdminSummary(section)),
+            details: { version: draft.version }
+        });
+
+        res.json({ success: true, draft });
+    });
+
+    // Admin: Publish the latest draft of a section
+    app.post('/api/admin/sections/:id/publish', isAuthenticated, requirePermission('content.manage'), (req, res, next) => {
+        const result = updateSections(sections => {
+            const section = sections.find(s => String(s.id) === req.params.id);
+            if (!section) {
+                return { status: 404, error: 'Section not found', code: 'SECTION_NOT_FOUND' };
+            }
+            if (!content.publishSection(section)) {
+                return { status: 400, error: 'There is no draft to publish', code: 'NO_DRAFT' };
+            }
+            return { section };
+        });
+
+        if (result.error) {
+            return next(toHttpError(result));
+        }
+
+        // Acknowledgments of earlier versions no longer count
+        const { section } = result;
+        const sections = content.getPublishedSections(readSections());
+        const staleCount = updateProgress(allProgress => {
+            return progress.markStaleAcknowledgments(allProgress, sections, section.id, section.publishedVersion);
+        });
+
+        recordAudit(req, 'section.published', {
+            target: audit.sectionTarget(content.toAdminSummary(section)),
+            details: { version: section.publishedVersion, staleAcknowledgments: staleCount }
+        });
+        revokeIncompleteCertificates(req, 'sections_changed');
+
+        res.json({ success: true, section: content.toAdminSummary(section), staleAcknowledgments: staleCount });
+    });
+
+    // Serve HTML pages
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'login.html'));
+    });
+
+    // Users who must change their password are sent to do that first. The
+    // pages also check /api/session, for hosts that serve them statically.
+    function requirePasswordChange(req, res, next) {
+        if (req.session && req.session.user && req.session.user.mustChangePassword) {
+            return res.redirect('/change-password');
+        }
+        next();
+    }
+
+    app.get('/onboarding', requirePasswordChange, (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'onboarding.html'));
+    });
+
+    app.get('/admin', requirePasswordChange, (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
+    });
+
+    app.get('/change-password', (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'change-password.html'));
+    });
+
+    app.get('/accept-invite', (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'accept-invite.html'));
+    });
+
+    app.get('/forgot-password', (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'forgot-password.html'));
+    });
+
+    app.get('/reset-password', (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'reset-password.html'));
+    });
+
+    // Public: anyone given a certificate can check it here
+    app.get('/verify/:certId', (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'verify.html'));
+    });
+
+    // Unknown API routes get a JSON 404 like every other API error
+    app.use('/api', (req, res, next) => {
+        next(httpError(404, 'NOT_FOUND', 'Not found'));
+    });
+
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Audit log of sign-ins, acknowledgments and admin actions, kept to show who
+// did what and when. Stored in the audit collection, oldest first:
+//   { id, type, at, actorId, actorEmail, targetType, targetId, targetLabel,
+//     ip, userAgent, details }
+//
+// The actor is the signed-in user who did it (null for failed sign-ins and
+// other anonymous requests). The target is what it was done to: a user, a
+// section, a cohort, a track or a lockout. Emails and titles are copied in, so
+// events still make sense after the user or section changes or is deleted.
+//
+// The log is append-only: events are never changed or removed by the app,
+// and each one is appended on its own without rewriting the log.
+
+const EVENT_TYPES = {
+    'login.succeeded': 'Signed in',
+    'login.failed': 'Failed sign-in',
+    'logout': 'Signed out',
+    'invite.accepted': 'Accepted invite',
+    'password.reset_requested': 'Requested password reset',
+    'password.reset': 'Reset password',
+    'password.changed': 'Changed password',
+    'progress.acknowledged': 'Acknowledged section',
+    'progress.unacknowledged': 'Withdrew acknowledgment',
+    'quiz.submitted': 'Submitted knowledge check',
+    'user.created': 'Created user',
+    'user.updated': 'Edited user',
+    'user.deactivated': 'Deactivated user',
+    'user.reactivated': 'Reactivated user',
+    'user.deleted': 'Deleted user',
+    'user.progress_reset': 'Reset user progress',
+    'invite.resent': 'Resent invite',
+    'invite.revoked': 'Revoked invite',
+    'reminder.sent': 'Sent onboarding reminder',
+    'certificate.issued': 'Issued completion certificate',
+    'certificate.revoked': 'Revoked completion certificate',
+    'lockout.cleared': 'Cleared sign-in lockout',
+    'section.created': 'Created section',
+    'section.updated': 'Saved section draft',
+    'section.published': 'Published section',
+    'sections.reordered': 'Reordered sections',
+    'cohort.created': 'Created cohort',
+    'cohort.updated': 'Edited cohort',
+    'cohort.deleted': 'Deleted cohort',
+    'track.created': 'Created track',
+    'track.updated': 'Edited track',
+    'track.deleted': 'Deleted track',
+    'report.exported': 'Exported progress report'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// User agents can be any length; keep enough to tell browsers apart
+const MAX_USER_AGENT_LENGTH = 300;
+
+function userTarget(user) {
+    return { type: 'user', id: user.id, label: user.email };
+}
+
+function sectionTarget(section) {
+    return { type: 'section', id: section.id, label: section.title };
+}
+
+function cohortTarget(cohort) {
+    return { type: 'cohort', id: cohort.id, label: cohort.name };
+}
+
+function trackTarget(track) {
+    return { type: 'track', id: track.id, label: track.name };
+}
+
+// The old and new value of each field an edit actually changes, as
+// { field: { from, to } }, for the details of an event
+function changedFields(record, changes) {
+    const changed = {};
+    Object.keys(changes).forEach(field => {
+        const from = record[field] === undefined ? null : record[field];
+        if (from !== changes[field]) {
+            changed[field] = { from, to: changes[field] };
+        }
+    });
+    return changed;
+}
+
+// A new event, to be appended to the log
+function createEvent({ type, actor, target, ip, userAgent, details }) {
+    return {
+        id: crypto.randomBytes(12).toString('hex'),
+        type,
+        at: new Date().toISOString(),
+        actorId: actor ? actor.id : null,
+        actorEmail: actor ? actor.email : null,
+        targetType: target ? target.type : null,
+        targetId: target ? target.id : null,
+        targetLabel: target ? target.label : null,
+        ip: ip || null,
+        userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+        details: details || {}
+    };
+}
+
+// Events matching the filters, newest first, one page at a time. userId
+// matches events the user did or that were done to them; from and to are
+// YYYY-MM-DD dates (UTC), both inclusive.
+function queryEvents(events, { userId, type, from, to, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const fromTime = from ? new Date(`${from}T00:00:00Z`).getTime() : null;
+    const toTime = to ? new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000 : null;
+
+    const matching = events.filter(event => {
+        if (userId !== undefined && event.actorId !== userId && !(event.targetType === 'user' && event.targetId === userId)) {
+            return false;
+        }
+        if (type && event.type !== type) {
+            return false;
+        }
+        const time = new Date(event.at).getTime();
+        if (fromTime !== null && time < fromTime) {
+            return false;
+        }
+        if (toTime !== null && time >= toTime) {
+            return false;
+        }
+        return true;
+    }).reverse();
+
+    const start = (page - 1) * pageSize;
+    return {
+        events: matching.slice(start, start + pageSize),
+        total: matching.length,
+        page,
+        pageSize
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    userTarget,
+    sectionTarget,
+    cohortTarget,
+    trackTarget,
+    changedFields,
+    createEvent,
+    queryEvents
+};
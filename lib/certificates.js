@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const progress = require('./progress');
+
+// Completion certificates, issued once a user has acknowledged every required
+// section. Stored in certificates.json, one record per certificate issued:
+//   { id, userId, name, email, completedAt, issuedAt,
+//     sections: [{ id, title, version, acknowledgedAt }],
+//     revokedAt, revokedReason }
+//
+// id is the verification ID printed on the certificate; anyone holding it can
+// check the certificate at /verify/:id. The record is a snapshot of what the
+// user had completed when it was issued. Asking for the certificate again
+// returns the same one until the user's completion changes.
+//
+// A certificate only stands while its user is still complete. It is revoked
+// when the user is deleted, when their progress is reset or they withdraw an
+// acknowledgment, and when the sections they have to acknowledge change (a
+// section is published again, or their track changes) so that they have more
+// to do. The record is kept, with revokedAt and revokedReason (one of
+// REVOCATION_REASONS), so checking it says it was withdrawn rather than that
+// it never existed.
+
+const REVOCATION_REASONS = ['user_deleted', 'progress_reset', 'acknowledgment_withdrawn', 'sections_changed'];
+
+// The certificate is set in DejaVu Sans, embedded in the PDF, so names and
+// titles in any script it covers (Latin, Greek, Cyrillic and more) print as
+// written. The standard PDF fonts only have Western European characters.
+const FONTS = {
+    regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+    bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+//
+// `sections` in the functions below is the list of published sections in
+// display order (see content.getPublishedSections).
+
+// What the user completed - { completedAt, sections } - or null if they
+// still have sections to acknowledge
+function completionRecord(userProgress, sections) {
+    const required = progress.buildTimeline(userProgress, sections).filter(s => s.requiresAcknowledgment);
+
+    if (required.length === 0 || required.some(s => !s.acknowledged)) {
+        return null;
+    }
+
+    return {
+        completedAt: required.reduce((latest, s) => (s.acknowledgedAt > latest ? s.acknowledgedAt : latest), ''),
+        sections: required.map(s => ({
+            id: s.id,
+            title: s.title,
+            version: s.acknowledgedVersion,
+            acknowledgedAt: s.acknowledgedAt
+        }))
+    };
+}
+
+function isSameCompletion(certificate, user, record) {
+    return certificate.userId === user.id
+        && certificate.name === user.name
+        && certificate.completedAt === record.completedAt
+        && JSON.stringify(certificate.sections) === JSON.stringify(record.sections);
+}
+
+// The user's certificate for this completion, issuing one if they don't have
+// it yet: { certificate, issued }
+function issueCertificate(certificates, user, record) {
+    const existing = certificates.find(c => !c.revokedAt && isSameCompletion(c, user, record));
+    if (existing) {
+        return { certificate: existing, issued: false };
+    }
+
+    const certificate = {
+        id: crypto.randomBytes(12).toString('hex'),
+        userId: user.id,
+        name: user.name,
+        email: user.email,
+        completedAt: record.completedAt,
+        issuedAt: new Date().toISOString(),
+        sections: record.sections
+    };
+
+    certificates.push(certificate);
+    return { certificate, issued: true };
+}
+
+// Revoke the user's certificates that are still valid. Returns the
+// certificates revoked.
+function revokeCertificates(certificates, userId, reason) {
+    const now = new Date().toISOString();
+    const revoked = certificates.filter(c => c.userId === userId && !c.revokedAt);
+
+    revoked.forEach(certificate => {
+        certificate.revokedAt = now;
+        certificate.revokedReason = reason;
+    });
+    return revoked;
+}
+
+// What the public verification page shows. The email is left out, as anyone
+// with the verification ID can see this.
+function toPublicCertificate(certificate) {
+    return {
+        id: certificate.id,
+        name: certificate.name,
+        completedAt: certificate.completedAt,
+        issuedAt: certificate.issuedAt,
+        sections: certificate.sections.map(s => ({ title: s.title, acknowledgedAt: s.acknowledgedAt })),
+        revokedAt: certificate.revokedAt || null,
+        revokedReason: certificate.revokedReason || null
+    };
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function formatDateTime(timestamp) {
+    return `${formatDate(timestamp)}, ${new Date(timestamp).toISOString().slice(11, 16)} UTC`;
+}
+
+// Render the certificate as an A4 PDF. Resolves with a Buffer.
+function toPdf(certificate, verifyUrl) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 60,
+            info: {
+                Title: `Onboarding Certificate - ${certificate.name}`,
+                Author: 'Maytech & AKQA'
+            }
+        });
+        doc.registerFont('Regular', FONTS.regular);
+        doc.registerFont('Bold', FONTS.bold);
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const width = doc.page.width - 120;
+        const primary = '#6366f1';
+        const muted = '#6b7280';
+
+        doc.rect(30, 30, doc.page.width - 60, doc.page.height - 60).lineWidth(2).stroke(primary);
+
+        doc.moveDown(2);
+        doc.font('Bold').fontSize(14).fillColor(primary)
+            .text('MAYTECH & AKQA', { align: 'center', characterSpacing: 2 });
+        doc.moveDown(1.5);
+        doc.font('Bold').fontSize(30).fillColor('#111827')
+            .text('Certificate of Completion', { align: 'center' });
+        doc.moveDown(1.5);
+        doc.font('Regular').fontSize(13).fillColor(muted)
+            .text('This certifies that', { align: 'center' });
+        doc.moveDown(0.5);
+        doc.font('Bold').fontSize(24).fillColor('#111827')
+            .text(certificate.name, { align: 'center' });
+        doc.moveDown(0.5);
+        doc.font('Regular').fontSize(13).fillColor(muted)
+            .text('has completed the Maytech & AKQA onboarding programme on', { align: 'center' });
+        doc.moveDown(0.3);
+        doc.font('Bold').fontSize(15).fillColor('#111827')
+            .text(formatDate(certificate.completedAt), { align: 'center' });
+
+        doc.moveDown(2);
+        doc.font('Bold').fontSize(12).fillColor('#111827').text('Sections acknowledged', 60);
+        doc.moveDown(0.5);
+        certificate.sections.forEach(section => {
+            const y = doc.y;
+            doc.font('Regular').fontSize(11).fillColor('#111827')
+                .text(section.title, 60, y, { width: width * 0.6 });
+            const titleBottom = doc.y;
+            doc.fillColor(muted)
+                .text(formatDateTime(section.acknowledgedAt), 60 + width * 0.6, y, { width: width * 0.4, align: 'right' });
+            doc.y = Math.max(titleBottom, doc.y);
+            doc.moveDown(0.4);
+        });
+
+        // Verification details at the foot of the page, on a page of their
+        // own if the sections reach that far
+        const footerY = doc.page.height - 150;
+        if (doc.y > footerY - 20) {
+            doc.addPage();
+        }
+        doc.moveTo(60, footerY).lineTo(60 + width, footerY).lineWidth(0.5).stroke('#e5e7eb');
+        doc.font('Regular').fontSize(10).fillColor(muted)
+            .text(`Issued ${formatDate(certificate.issuedAt)}`, 60, footerY + 15, { width, align: 'center' });
+        doc.text(`Verification ID: ${certificate.id}`, { width, align: 'center' });
+        doc.fillColor(primary).text(verifyUrl, { width, align: 'center', link: verifyUrl });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    REVOCATION_REASONS,
+    completionRecord,
+    issueCertificate,
+    revokeCertificates,
+    toPublicCertificate,
+    toPdf
+};
@@ -0,0 +1,98 @@
+const progress = require('./progress');
+const report = require('./report');
+const dueDates = require('./due-dates');
+const tracks = require('./tracks');
+
+// Cohorts group the staff who start onboarding together. Stored in
+// cohorts.json:
+//   { id, name, startDate, company, team, completionDays, trackId, createdAt, createdBy }
+// Users belong to at most one cohort, through the cohortId on their record.
+// completionDays, if set, makes the cohort's staff due to finish that many
+// days after it starts (see lib/due-dates.js). trackId, if set, is the track
+// its staff take unless they have one of their own (see lib/tracks.js).
+
+const COMPANIES = ['Maytech', 'AKQA'];
+
+function nextCohortId(cohorts) {
+    return Math.max(...cohorts.map(c => c.id), 0) + 1;
+}
+
+function findCohortByName(cohorts, name) {
+    const key = String(name).trim().toLowerCase();
+    return cohorts.find(c => c.name.toLowerCase() === key) || null;
+}
+
+function createCohort(cohorts, { name, startDate, company, team, completionDays, trackId }, actor) {
+    const cohort = {
+        id: nextCohortId(cohorts),
+        name,
+        startDate,
+        company,
+        team,
+        completionDays: completionDays || null,
+        trackId: trackId || null,
+        createdAt: new Date().toISOString(),
+        createdBy: actor
+    };
+
+    cohorts.push(cohort);
+    return cohort;
+}
+
+// How far the cohort's active staff have got, for comparing cohorts:
+// { staff, completed, inProgress, notStarted, overdue, averageProgress (%) }.
+// Each is measured against the sections of their own track.
+function cohortStats(cohort, users, allProgress, sections, allTracks) {
+    const sectionsFor = tracks.sectionResolver({ sections, tracks: allTracks, cohorts: [cohort] });
+    const staff = users.filter(u => u.cohortId === cohort.id && u.role === 'staff' && u.active !== false);
+    const stats = { staff: staff.length, completed: 0, inProgress: 0, notStarted: 0, overdue: 0, averageProgress: 0 };
+    let totalProgress = 0;
+
+    staff.forEach(user => {
+        const userSections = sectionsFor(user);
+        const required = userSections.filter(s => s.requiresAcknowledgment).length;
+        const stored = allProgress.find(p => p.userId === user.id);
+        if (dueDates.dueState(user, cohort, stored || { sections: [] }, userSections).dueStatus === 'overdue') {
+            stats.overdue++;
+        }
+        const completed = stored ? progress.refreshCounters({ ...stored }, userSections).completedSections : 0;
+        const status = report.progressStatus(completed, required);
+
+        if (status === 'Completed') {
+            stats.completed++;
+        } else if (status === 'In Progress') {
+            stats.inProgress++;
+        } else {
+            stats.notStarted++;
+        }
+        totalProgress += required > 0 ? completed / required : 0;
+    });
+
+    if (staff.length > 0) {
+        stats.averageProgress = Math.round((totalProgress / staff.length) * 100);
+    }
+    return stats;
+}
+
+// Admin view of a cohort: its details, member count and progress stats
+function toAdminCohort(cohort, users, allProgress, sections, allTracks = []) {
+    return {
+        id: cohort.id,
+        name: cohort.name,
+        startDate: cohort.startDate,
+        company: cohort.company,
+        team: cohort.team,
+        completionDays: cohort.completionDays || null,
+        dueDate: cohort.completionDays ? dueDates.addDays(cohort.startDate, cohort.completionDays) : null,
+        trackId: cohort.trackId || null,
+        members: users.filter(u => u.cohortId === cohort.id).length,
+        stats: cohortStats(cohort, users, allProgress, sections, allTracks)
+    };
+}
+
+module.exports = {
+    COMPANIES,
+    findCohortByName,
+    createCohort,
+    toAdminCohort
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeQuiz } = require('./quiz');
+
+// The onboarding content shipped with the app lives in content/: sections.json
+// lists the sections in display order, and each entry points at an HTML
+// fragment in content/sections/. It seeds the editable section store
+// (sections.json in the data directory) the first time the app starts.
+const CONTENT_DIR = path.join(__dirname, '..', 'content');
+const SECTIONS_DIR = path.join(CONTENT_DIR, 'sections');
+const MANIFEST_FILE = path.join(CONTENT_DIR, 'sections.json');
+
+// Build the initial section store from content/. Every section starts with a
+// single published version.
+function loadSeedSections() {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    const now = new Date().toISOString();
+
+    return manifest.map(entry => ({
+        id: entry.id,
+        publishedVersion: 1,
+        versions: [
+            {
+                version: 1,
+                title: entry.title,
+                stepLabel: entry.stepLabel || entry.title,
+                // Sections need an acknowledgment unless they opt out (e.g. the completion page)
+                requiresAcknowledgment: entry.requiresAcknowledgment !== false,
+                html: fs.readFileSync(path.join(SECTIONS_DIR, entry.file), 'utf8'),
+                quiz: normalizeQuiz(entry.quiz),
+                createdAt: now,
+                createdBy: null,
+                publishedAt: now
+            }
+        ]
+    }));
+}
+
+function latestVersion(section) {
+    return section.versions[section.versions.length - 1];
+}
+
+function publishedVersion(section) {
+    return section.versions.find(v => v.version === section.publishedVersion) || null;
+}
+
+// Sections staff can see, in display order, resolved to their published content
+function getPublishedSections(sections) {
+    return sections
+        .filter(section => section.publishedVersion)
+        .map(section => ({
+            id: section.id,
+            version: section.publishedVersion,
+            ...pickContent(publishedVersion(section))
+        }));
+}
+
+function pickContent(version) {
+    return {
+        title: version.title,
+        stepLabel: version.stepLabel,
+        requiresAcknowledgment: version.requiresAcknowledgment,
+        html: version.html,
+        quiz: version.quiz || null,
+        // Days after starting by which staff should acknowledge it (see lib/due-dates.js)
+        dueDays: version.dueDays || null
+    };
+}
+
+// Public view of a published section, without its body
+function toSummary(section) {
+    return {
+        id: section.id,
+        version: section.version,
+        title: section.title,
+        stepLabel: section.stepLabel,
+        requiresAcknowledgment: section.requiresAcknowledgment,
+        hasQuiz: Boolean(section.quiz)
+    };
+}
+
+// Admin view of a section: its current state without the version history
+function toAdminSummary(section) {
+    const latest = latestVersion(section);
+    return {
+        id: section.id,
+        title: latest.title,
+        stepLabel: latest.stepLabel,
+        requiresAcknowledgment: latest.requiresAcknowledgment,
+        hasQuiz: Boolean(latest.quiz),
+        dueDays: latest.dueDays || null,
+        publishedVersion: section.publishedVersion,
+        latestVersion: latest.version,
+        hasDraft: latest.version !== section.publishedVersion,
+        updatedAt: latest.createdAt
+    };
+}
+
+function normalizeContent(input, fallback = {}) {
+    const title = input.title !== undefined ? String(input.title).trim() : fallback.title;
+    const stepLabel = input.stepLabel !== undefined ? String(input.stepLabel).trim() : fallback.stepLabel;
+
+    return {
+        title,
+        stepLabel: stepLabel || title,
+        requiresAcknowledgment: input.requiresAcknowledgment !== undefined
+            ? input.requiresAcknowledgment !== false
+            : fallback.requiresAcknowledgment !== false,
+        html: input.html !== undefined ? String(input.html) : (fallback.html || ''),
+        quiz: input.quiz !== undefined ? normalizeQuiz(input.quiz) : (fallback.quiz || null),
+        dueDays: input.dueDays !== undefined ? input.dueDays : (fallback.dueDays || null)
+    };
+}
+
+// Add a new, unpublished section at the end of the list
+function createSection(sections, input, actor) {
+    const section = {
+        id: Math.max(...sections.map(s => s.id), -1) + 1,
+        publishedVersion: null,
+        versions: [
+            {
+                version: 1,
+                ...normalizeContent(input),
+                createdAt: new Date().toISOString(),
+                createdBy: actor,
+                publishedAt: null
+            }
+        ]
+    };
+
+    sections.push(section);
+    return section;
+}
+
+// Save edits as a draft. An unpublished draft is updated in place; once the
+// latest version has been published, changes start a new version.
+function saveDraft(section, input, actor) {
+    const latest = latestVersion(section);
+    const content = normalizeContent(input, latest);
+    const now = new Date().toISOString();
+
+    if (latest.version !== section.publishedVersion) {
+        Object.assign(latest, content, { createdAt: now, createdBy: actor });
+        return latest;
+    }
+
+    // Nothing changed since the last publish
+    if (Object.keys(content).every(key => JSON.stringify(content[key]) === JSON.stringify(key in latest ? latest[key] : null))) {
+        return latest;
+    }
+
+    const draft = {
+        version: latest.version + 1,
+        ...content,
+        createdAt: now,
+        createdBy: actor,
+        publishedAt: null
+    };
+    section.versions.push(draft);
+    return draft;
+}
+
+// Publish the latest version. Returns false if it is already published.
+function publishSection(section) {
+    const latest = latestVersion(section);
+    if (latest.version === section.publishedVersion) {
+        return false;
+    }
+
+    latest.publishedAt = new Date().toISOString();
+    section.publishedVersion = latest.version;
+    return true;
+}
+
+// Reorder sections to match the given list of IDs, which must contain every
+// section exactly once. Returns the reordered list, or null if the IDs don't match.
+function reorderSections(sections, order) {
+    if (!Array.isArray(order) || order.length !== sections.length) {
+        return null;
+    }
+
+    const reordered = order.map(id => sections.find(s => s.id === id));
+    if (reordered.some(s => !s) || new Set(order).size !== order.length) {
+        return null;
+    }
+
+    return reordered;
+}
+
+module.exports = {
+    CONTENT_DIR,
+    loadSeedSections,
+    getPublishedSections,
+    toSummary,
+    toAdminSummary,
+    createSection,
+    saveDraft,
+    publishSection,
+    reorderSections
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// CSRF protection. Each session gets a random token, handed out by
+// GET /api/session (see issueToken). Every API request that changes
+// something has to send it back in the X-CSRF-Token header, which another
+// site can't do: it can make the browser send the session cookie, but it
+// can't read the token or set custom headers on a cross-site request.
+// The pages send it with the fetch wrapper in public/api.js.
+
+const HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The session's token, created the first time it is asked for
+function issueToken(session) {
+    if (!session.csrfToken) {
+        session.csrfToken = crypto.randomBytes(32).toString('base64url');
+    }
+    return session.csrfToken;
+}
+
+function tokensMatch(expected, actual) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Middleware for the API: refuse state-changing requests without the
+// session's token
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const expected = req.session && req.session.csrfToken;
+    if (!expected || !tokensMatch(expected, req.get(HEADER))) {
+        return next(httpError(403, 'CSRF_TOKEN_INVALID', 'Your session has expired. Refresh the page and try again.'));
+    }
+    next();
+}
+
+module.exports = {
+    HEADER,
+    issueToken,
+    csrfProtection
+};
@@ -0,0 +1,85 @@
+// Minimal CSV reading and writing (RFC 4180: comma separated, fields quoted
+// with double quotes when they contain commas, quotes or line breaks).
+
+// Parse CSV text into an array of rows, each an array of strings. Blank lines
+// are skipped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+
+    // Excel adds a byte order mark to UTF-8 CSV files
+    if (text.charCodeAt(0) === 0xfeff) {
+        i = 1;
+    }
+
+    function endRow() {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    }
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+// Format an array of rows (arrays of values) as CSV text
+function formatCsv(rows) {
+    return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    formatCsv
+};
@@ -0,0 +1,154 @@
+const progress = require('./progress');
+const report = require('./report');
+const dueDates = require('./due-dates');
+const tracks = require('./tracks');
+const { toSafeUser } = require('./users');
+
+// The rows of the admin dashboard, for GET /api/admin/users and
+// GET /api/admin/progress: each user joined with their progress, searched,
+// filtered, sorted and a page at a time, so the browser never has to hold or
+// join everyone. A row is the user as toSafeUser returns it, plus
+//   progress: { completedSections, requiredSections, percentage, status,
+//               trackId, dueDate, dueStatus, overdueSections, sections,
+//               lastUpdated, lastRemindedAt }
+// Each user is measured against the sections of their own track (see
+// lib/tracks.js). progress.dueDate is the date they are due, their own or
+// their cohort's, where the user's dueDate is only their own.
+//
+// `sections` is the list of published sections in display order (see
+// content.getPublishedSections).
+
+const SORTS = ['name', 'email', 'progress', 'lastUpdated', 'dueDate'];
+const ORDERS = ['asc', 'desc'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function buildRows(users, { allProgress, sections, cohorts, tracks: allTracks, reminders: allReminders }) {
+    // Look-ups by ID, built once rather than searching the lists for every user
+    const progressByUser = new Map(allProgress.map(p => [p.userId, p]));
+    const cohortsById = new Map(cohorts.map(c => [c.id, c]));
+    const lastReminders = new Map();
+    allReminders.forEach(r => {
+        const latest = lastReminders.get(r.userId);
+        if (!latest || r.sentAt > latest.sentAt) {
+            lastReminders.set(r.userId, r);
+        }
+    });
+
+    return users.map(user => {
+        const stored = progressByUser.get(user.id) || { sections: [], lastUpdated: null };
+        const cohort = cohortsById.get(user.cohortId);
+        const track = tracks.trackFor(user, cohort, allTracks);
+        const userSections = tracks.trackSections(track, sections);
+        const required = userSections.filter(s => s.requiresAcknowledgment).length;
+        const userProgress = progress.refreshCounters({ ...stored }, userSections);
+        const reminder = lastReminders.get(user.id);
+
+        return {
+            ...toSafeUser(user),
+            progress: {
+                completedSections: userProgress.completedSections,
+                requiredSections: required,
+                percentage: required > 0 ? Math.round((userProgress.completedSections / required) * 100) : 0,
+                status: report.progressStatusKey(userProgress.completedSections, required),
+                trackId: track ? track.id : null,
+                ...dueDates.dueState(user, cohort, stored, userSections),
+                // For the knowledge check scores
+                sections: userProgress.sections,
+                lastUpdated: userProgress.lastUpdated,
+                lastRemindedAt: reminder ? reminder.sentAt : null
+            }
+        };
+    });
+}
+
+// The dashboard statistics: how many active staff have completed, are in
+// progress, haven't started, and are overdue or due soon
+function summarize(rows) {
+    const staff = rows.filter(row => row.role === 'staff' && row.active);
+    const count = test => staff.filter(test).length;
+
+    return {
+        staff: staff.length,
+        completed: count(row => row.progress.status === 'completed'),
+        inProgress: count(row => row.progress.status === 'in_progress'),
+        notStarted: count(row => row.progress.status === 'not_started'),
+        overdue: count(row => row.progress.dueStatus === 'overdue'),
+        dueSoon: count(row => row.progress.dueStatus === 'due_soon')
+    };
+}
+
+function matchesSearch(row, q) {
+    const text = q.toLowerCase();
+    return row.name.toLowerCase().includes(text) || row.email.toLowerCase().includes(text);
+}
+
+// Values to sort by. Missing dates go last, whichever way round.
+const SORT_VALUES = {
+    name: row => row.name.toLowerCase(),
+    email: row => row.email.toLowerCase(),
+    progress: row => row.progress.percentage,
+    lastUpdated: row => row.progress.lastUpdated,
+    dueDate: row => row.progress.dueDate
+};
+
+function compareRows(sort, order) {
+    const value = SORT_VALUES[sort];
+    const direction = order === 'desc' ? -1 : 1;
+
+    return (a, b) => {
+        // Staff first, then admins and managers, as they have no onboarding
+        const staffFirst = (a.role === 'staff' ? 0 : 1) - (b.role === 'staff' ? 0 : 1);
+        if (staffFirst !== 0) {
+            return staffFirst;
+        }
+
+        const x = value(a);
+        const y = value(b);
+        if (x !== y) {
+            if (x === null) {
+                return 1;
+            }
+            if (y === null) {
+                return -1;
+            }
+            return (x < y ? -1 : 1) * direction;
+        }
+        return a.name.localeCompare(b.name) || a.id - b.id;
+    };
+}
+
+// One page of rows: { rows, total, page, pageSize, stats }. cohortId and
+// trackId choose the users the dashboard is about, and stats covers all of
+// them; q (name or email), status and role narrow down the rows listed, and
+// total counts those. Only staff have a status, as only they onboard.
+function queryRows(rows, { q, status, role, cohortId, trackId, sort = 'name', order = 'asc', page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const scoped = rows.filter(row => {
+        return (cohortId === undefined || row.cohortId === cohortId)
+            && (trackId === undefined || row.progress.trackId === trackId);
+    });
+
+    const matching = scoped.filter(row => {
+        return (!q || matchesSearch(row, q))
+            && (status === undefined || (row.role === 'staff' && (row.progress.status === status || row.progress.dueStatus === status)))
+            && (role === undefined || row.role === role);
+    }).sort(compareRows(sort, order));
+
+    const start = (page - 1) * pageSize;
+    return {
+        rows: matching.slice(start, start + pageSize),
+        total: matching.length,
+        page,
+        pageSize,
+        stats: summarize(scoped)
+    };
+}
+
+module.exports = {
+    SORTS,
+    ORDERS,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    buildRows,
+    queryRows
+};
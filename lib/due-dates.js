@@ -0,0 +1,97 @@
+const progress = require('./progress');
+
+// Onboarding due dates. A user's target completion date is the dueDate an
+// admin set on them or, failing that, their cohort's start date plus the
+// cohort's completionDays. Sections can also have a deadline of their own:
+// dueDays after the user starts (their own startDate, or their cohort's).
+//
+// Dates are YYYY-MM-DD and compared as UTC days. A date is met if the work is
+// done by the end of that day.
+//
+// `sections` in the functions below is the list of published sections in
+// display order (see content.getPublishedSections).
+
+// How close a deadline has to be to count as "due soon"
+const DUE_SOON_DAYS = 7;
+
+const DUE_STATUSES = ['overdue', 'due_soon'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function targetDate(user, cohort) {
+    if (user.dueDate) {
+        return user.dueDate;
+    }
+    if (cohort && cohort.completionDays) {
+        return addDays(cohort.startDate, cohort.completionDays);
+    }
+    return null;
+}
+
+function startDate(user, cohort) {
+    return user.startDate || (cohort ? cohort.startDate : null);
+}
+
+// Deadlines of the required sections that have one, for this user:
+// [{ sectionId, dueDate, acknowledged }]. Empty until the user has a start date.
+function sectionDeadlines(user, cohort, userProgress, sections) {
+    const start = startDate(user, cohort);
+    if (!start) {
+        return [];
+    }
+
+    return sections
+        .filter(section => section.requiresAcknowledgment && section.dueDays)
+        .map(section => ({
+            sectionId: section.id,
+            dueDate: addDays(start, section.dueDays),
+            acknowledged: progress.isAcknowledged(progress.findEntry(userProgress, section.id))
+        }));
+}
+
+// Where the user stands against their dates, as of `on` (today by default):
+//   { dueDate, dueStatus, overdueSections }
+// dueStatus is 'overdue' when the target date or a section deadline has passed
+// with the work unfinished, 'due_soon' when one falls within DUE_SOON_DAYS,
+// and null otherwise - including once onboarding is complete and for
+// deactivated users, who nobody needs to chase.
+function dueState(user, cohort, userProgress, sections, on = today()) {
+    const dueDate = targetDate(user, cohort);
+    const required = sections.filter(s => s.requiresAcknowledgment).length;
+    const completed = progress.refreshCounters({ ...userProgress }, sections).completedSections >= required;
+    const pending = sectionDeadlines(user, cohort, userProgress, sections).filter(d => !d.acknowledged);
+
+    const state = { dueDate, dueStatus: null, overdueSections: [] };
+    if (completed || user.active === false) {
+        return state;
+    }
+
+    const deadlines = pending.map(d => d.dueDate).concat(dueDate ? [dueDate] : []);
+    const soon = addDays(on, DUE_SOON_DAYS);
+
+    state.overdueSections = pending.filter(d => d.dueDate < on).map(d => d.sectionId);
+    if (deadlines.some(date => date < on)) {
+        state.dueStatus = 'overdue';
+    } else if (deadlines.some(date => date <= soon)) {
+        state.dueStatus = 'due_soon';
+    }
+    return state;
+}
+
+module.exports = {
+    DUE_SOON_DAYS,
+    DUE_STATUSES,
+    addDays,
+    targetDate,
+    startDate,
+    sectionDeadlines,
+    dueState
+};
@@ -0,0 +1,93 @@
+// API errors. Every failed API request is answered in the same format:
+//   { error: { code, message, fields } }
+// where `code` is a stable identifier for clients to check, `message` can be
+// shown to the user, and `fields` (only for invalid input) maps field names
+// to messages so forms can show them next to the inputs.
+//
+// Routes pass errors to next() and errorHandler() writes the response. Errors
+// can carry `details`, extra top-level properties for the response body.
+// Server errors (5xx) are logged and answered with a generic message, unless
+// they are flagged `expose` as safe to show, like the storage's STORAGE_BUSY.
+
+const DEFAULT_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'NOT_AUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'TOO_MANY_REQUESTS'
+};
+
+function httpError(status, code, message, fields) {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code || DEFAULT_CODES[status] || 'ERROR';
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+// Convert the { status, error, code, fields } results returned by the lib
+// modules. Anything else in the result (such as the section that is due
+// next) is sent alongside the error.
+function toHttpError(result) {
+    const { status, error, code, fields, ...details } = result;
+    const err = httpError(status, code, error, fields);
+
+    if (Object.keys(details).length > 0) {
+        err.details = details;
+    }
+    if (details.retryAfter) {
+        err.retryAfter = details.retryAfter;
+    }
+    return err;
+}
+
+// Express error handler, registered after all the routes
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    let status = err.status || err.statusCode || 500;
+    let code = err.code;
+    let message = err.message;
+
+    if (err.type === 'entity.parse.failed') {
+        // From body-parser
+        code = 'INVALID_JSON';
+        message = 'The request body is not valid JSON';
+    } else if (err.type === 'entity.too.large') {
+        message = 'The request is too large';
+    } else if (status >= 500 && !err.expose) {
+        // Don't leak internals; the details go to the log instead
+        console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+        status = 500;
+        code = 'INTERNAL_ERROR';
+        message = 'Something went wrong. Please try again.';
+    }
+
+    if (typeof code !== 'string' || !code) {
+        code = DEFAULT_CODES[status] || 'ERROR';
+    }
+
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
+    const error = { code, message };
+    if (err.fields) {
+        error.fields = err.fields;
+    }
+
+    res.status(status).json({ ...err.details, error });
+}
+
+module.exports = {
+    httpError,
+    toHttpError,
+    errorHandler
+};
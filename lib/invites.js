@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+// Invitations let a new user choose their own password. Stored in invites.json:
+//   { id, userId, email, createdAt, createdBy, expiresAt, acceptedAt, revokedAt }
+//
+// The invite link carries a token "<id>.<expiry>.<signature>", an HMAC signed
+// with the session secret, so tokens can't be guessed, forged or have their
+// expiry pushed back. Each invite can be used once: accepting it sets
+// acceptedAt, and resending revokes the user's earlier invites.
+
+const DEFAULT_TTL_HOURS = 72;
+
+function createInvite(invites, user, actor, ttlHours = DEFAULT_TTL_HOURS) {
+    const now = Date.now();
+    const invite = {
+        id: crypto.randomBytes(12).toString('hex'),
+        userId: user.id,
+        email: user.email,
+        createdAt: new Date(now).toISOString(),
+        createdBy: actor,
+        expiresAt: new Date(now + ttlHours * 60 * 60 * 1000).toISOString(),
+        acceptedAt: null,
+        revokedAt: null
+    };
+
+    invites.push(invite);
+    return invite;
+}
+
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function signToken(invite, secret) {
+    const payload = `${invite.id}.${new Date(invite.expiresAt).getTime()}`;
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+function inviteStatus(invite, now = Date.now()) {
+    if (invite.acceptedAt) {
+        return 'accepted';
+    }
+    if (invite.revokedAt) {
+        return 'revoked';
+    }
+    if (new Date(invite.expiresAt).getTime() <= now) {
+        return 'expired';
+    }
+    return 'pending';
+}
+
+const TOKEN_ERRORS = {
+    accepted: { status: 410, error: 'This invitation has already been used. Sign in with your password instead.', code: 'INVITE_USED' },
+    revoked: { status: 410, error: 'This invitation has been withdrawn. Ask your administrator for a new one.', code: 'INVITE_REVOKED' },
+    expired: { status: 410, error: 'This invitation has expired. Ask your administrator to send a new one.', code: 'INVITE_EXPIRED' },
+    invalid: { status: 400, error: 'This invitation link is not valid. Check you copied the whole link.', code: 'INVITE_INVALID' }
+};
+
+// Find the pending invite a token belongs to. Returns { invite }, or
+// { status, error, code } describing why the token can't be used.
+function checkToken(invites, token, secret) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        return TOKEN_ERRORS.invalid;
+    }
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return TOKEN_ERRORS.invalid;
+    }
+
+    const invite = invites.find(i => i.id === parts[0]);
+    if (!invite) {
+        return TOKEN_ERRORS.invalid;
+    }
+
+    const status = inviteStatus(invite);
+    return status === 'pending' ? { invite } : TOKEN_ERRORS[status];
+}
+
+// Revoke every pending invite for a user. Returns the number revoked.
+function revokePendingInvites(invites, userId) {
+    const now = new Date().toISOString();
+    let revoked = 0;
+
+    invites.forEach(invite => {
+        if (invite.userId === userId && inviteStatus(invite) === 'pending') {
+            invite.revokedAt = now;
+            revoked++;
+        }
+    });
+
+    return revoked;
+}
+
+// Admin view of an invite
+function toAdminInvite(invite, user) {
+    return {
+        id: invite.id,
+        userId: invite.userId,
+        name: user ? user.name : null,
+        email: user ? user.email : invite.email,
+        status: inviteStatus(invite),
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt,
+        acceptedAt: invite.acceptedAt,
+        revokedAt: invite.revokedAt
+    };
+}
+
+function inviteEmail(user, url, invite) {
+    const expires = new Date(invite.expiresAt).toUTCString();
+
+    return {
+        to: user.email,
+        subject: 'Your Maytech & AKQA onboarding invitation',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'You have been invited to the Maytech & AKQA onboarding portal.',
+            'Open the link below to choose your password and get started:',
+            '',
+            url,
+            '',
+            `The link can be used once and expires on ${expires}.`
+        ].join('\n'),
+        html: `
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>You have been invited to the Maytech &amp; AKQA onboarding portal.</p>
+            <p><a href="${escapeHtml(url)}">Choose your password and get started</a></p>
+            <p>The link can be used once and expires on ${escapeHtml(expires)}.</p>
+        `
+    };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    DEFAULT_TTL_HOURS,
+    createInvite,
+    signToken,
+    inviteStatus,
+    checkToken,
+    revokePendingInvites,
+    toAdminInvite,
+    inviteEmail
+};
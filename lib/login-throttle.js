@@ -0,0 +1,253 @@
+// Brute-force protection for sign-in. Failed attempts are counted per IP
+// address and per account (the email that was tried, whether or not it
+// exists), in login-attempts.json:
+//   { type: 'ip' | 'account', key, failures, lastFailureAt, blockedUntil, locked,
+//     pending, pendingUntil }
+//
+// Each failure makes the next attempt wait twice as long as the last
+// (backoffSeconds, 2x, 4x... up to MAX_BACKOFF_SECONDS). Reaching the failure
+// limit locks the IP or account out for lockoutMinutes. Attempts are refused
+// before the password is checked, so blocked callers can't keep the server
+// busy hashing. Failure counts are forgotten after lockoutMinutes without one.
+//
+// `pending` counts attempts whose password is still being checked. They hold
+// their place from beginAttempt() to finishAttempt() and count towards the
+// failure limits meanwhile, so a burst of parallel requests can't all get past
+// the check before the first failure is recorded. An account can only have
+// one attempt in progress. A request that never finishes only holds its place
+// until pendingUntil, PENDING_SECONDS later.
+
+const DEFAULTS = {
+    maxAccountFailures: 5,
+    maxIpFailures: 20,
+    lockoutMinutes: 15,
+    backoffSeconds: 1
+};
+
+const MAX_BACKOFF_SECONDS = 60;
+const PENDING_SECONDS = 30;
+
+// Settings from createApp options, then the LOGIN_* environment variables
+function loadConfig(options = {}) {
+    const env = {
+        maxAccountFailures: process.env.LOGIN_MAX_FAILURES,
+        maxIpFailures: process.env.LOGIN_MAX_IP_FAILURES,
+        lockoutMinutes: process.env.LOGIN_LOCKOUT_MINUTES,
+        backoffSeconds: process.env.LOGIN_BACKOFF_SECONDS
+    };
+
+    const config = {};
+    Object.keys(DEFAULTS).forEach(name => {
+        const raw = options[name] !== undefined ? options[name] : env[name];
+        config[name] = raw !== undefined && raw !== '' && Number(raw) >= 0 ? Number(raw) : DEFAULTS[name];
+    });
+    return config;
+}
+
+// The records an attempt is counted against
+function attemptKeys(ip, email) {
+    return [
+        { type: 'ip', key: String(ip || 'unknown') },
+        { type: 'account', key: String(email || '').trim().toLowerCase() }
+    ];
+}
+
+function findRecord(attempts, { type, key }) {
+    return attempts.find(a => a.type === type && a.key === key);
+}
+
+function failureLimit(keyInfo, config) {
+    return keyInfo.type === 'ip' ? config.maxIpFailures : config.maxAccountFailures;
+}
+
+// Attempts still in progress for a record, ignoring any that have run out
+function pendingCount(record, now) {
+    if (!record || !record.pending || new Date(record.pendingUntil).getTime() <= now) {
+        return 0;
+    }
+    return record.pending;
+}
+
+function throttled(retryAfter, locked) {
+    if (locked) {
+        const minutes = Math.ceil(retryAfter / 60);
+        return {
+            status: 429,
+            error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or reset your password.`,
+            code: 'LOGIN_LOCKED',
+            retryAfter
+        };
+    }
+    return {
+        status: 429,
+        error: `Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before trying again.`,
+        code: 'LOGIN_THROTTLED',
+        retryAfter
+    };
+}
+
+// Check whether an attempt may go ahead. Returns null if it may, or
+// { status, error, code, retryAfter } (retryAfter in seconds).
+function checkAttempt(attempts, keys, now = Date.now()) {
+    let blocked = null;
+
+    keys.forEach(keyInfo => {
+        const record = findRecord(attempts, keyInfo);
+        if (!record || !record.blockedUntil) {
+            return;
+        }
+
+        const wait = new Date(record.blockedUntil).getTime() - now;
+        if (wait > 0 && (!blocked || wait > blocked.wait)) {
+            blocked = { wait, locked: record.locked };
+        }
+    });
+
+    if (!blocked) {
+        return null;
+    }
+
+    return throttled(Math.ceil(blocked.wait / 1000), blocked.locked);
+}
+
+// Start an attempt: check it may go ahead and, if it may, hold its place
+// until finishAttempt(). Returns null if it may, or the same as checkAttempt().
+function beginAttempt(attempts, keys, config, now = Date.now()) {
+    const blocked = checkAttempt(attempts, keys, now);
+    if (blocked) {
+        return blocked;
+    }
+
+    const busy = keys.some(keyInfo => {
+        const record = findRecord(attempts, keyInfo);
+        const pending = pendingCount(record, now);
+        // A lockout that has run out starts the count again
+        const failures = record && !record.locked ? record.failures : 0;
+        const limit = failureLimit(keyInfo, config);
+
+        return (keyInfo.type === 'account' && pending > 0)
+            || (limit > 0 && failures + pending >= limit);
+    });
+    if (busy) {
+        return throttled(1, false);
+    }
+
+    keys.forEach(keyInfo => {
+        let record = findRecord(attempts, keyInfo);
+        if (!record) {
+            record = { type: keyInfo.type, key: keyInfo.key, failures: 0, lastFailureAt: null, blockedUntil: null, locked: false };
+            attempts.push(record);
+        }
+        record.pending = pendingCount(record, now) + 1;
+        record.pendingUntil = new Date(now + PENDING_SECONDS * 1000).toISOString();
+    });
+    return null;
+}
+
+// Finish an attempt started with beginAttempt(), counting it as a failure if
+// the password was wrong
+function finishAttempt(attempts, keys, config, failed, now = Date.now()) {
+    keys.forEach(keyInfo => {
+        const record = findRecord(attempts, keyInfo);
+        if (!record) {
+            return;
+        }
+
+        record.pending = Math.max(pendingCount(record, now) - 1, 0);
+        if (record.pending === 0) {
+            delete record.pending;
+            delete record.pendingUntil;
+        }
+    });
+
+    if (failed) {
+        recordFailure(attempts, keys, config, now);
+    } else {
+        pruneAttempts(attempts, config, now);
+    }
+}
+
+// Count a failed attempt against each key, blocking further attempts for a
+// while
+function recordFailure(attempts, keys, config, now = Date.now()) {
+    const windowMs = config.lockoutMinutes * 60 * 1000;
+    pruneAttempts(attempts, config, now);
+
+    keys.forEach(keyInfo => {
+        let record = findRecord(attempts, keyInfo);
+        if (!record) {
+            record = { type: keyInfo.type, key: keyInfo.key, failures: 0, lastFailureAt: null, blockedUntil: null, locked: false };
+            attempts.push(record);
+        }
+
+        // A lockout that has run out starts the count again
+        if (record.locked) {
+            record.failures = 0;
+            record.locked = false;
+        }
+
+        record.failures++;
+        record.lastFailureAt = new Date(now).toISOString();
+
+        const limit = failureLimit(keyInfo, config);
+        if (limit > 0 && record.failures >= limit) {
+            record.locked = true;
+            record.blockedUntil = new Date(now + windowMs).toISOString();
+        } else {
+            const backoff = Math.min(config.backoffSeconds * Math.pow(2, record.failures - 1), MAX_BACKOFF_SECONDS);
+            record.blockedUntil = new Date(now + backoff * 1000).toISOString();
+        }
+    });
+}
+
+// Forget failures for the given keys, after a successful sign-in or when an
+// admin clears a lockout. Returns the number of records removed.
+function clearAttempts(attempts, keys) {
+    let removed = 0;
+    for (let i = attempts.length - 1; i >= 0; i--) {
+        if (keys.some(k => k.type === attempts[i].type && k.key === attempts[i].key)) {
+            attempts.splice(i, 1);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// Drop records that no longer block anything, have no attempts in progress
+// and whose failures are old enough to forget, so the collection doesn't grow
+// forever
+function pruneAttempts(attempts, config, now = Date.now()) {
+    const windowMs = config.lockoutMinutes * 60 * 1000;
+    for (let i = attempts.length - 1; i >= 0; i--) {
+        const record = attempts[i];
+        const blockedUntil = record.blockedUntil ? new Date(record.blockedUntil).getTime() : 0;
+        if (blockedUntil <= now && pendingCount(record, now) === 0 && new Date(record.lastFailureAt).getTime() + windowMs <= now) {
+            attempts.splice(i, 1);
+        }
+    }
+}
+
+// IPs and accounts that are currently locked out, soonest to unlock first
+function listLockouts(attempts, now = Date.now()) {
+    return attempts
+        .filter(a => a.locked && new Date(a.blockedUntil).getTime() > now)
+        .sort((a, b) => new Date(a.blockedUntil) - new Date(b.blockedUntil))
+        .map(a => ({
+            type: a.type,
+            key: a.key,
+            lastFailureAt: a.lastFailureAt,
+            lockedUntil: a.blockedUntil
+        }));
+}
+
+module.exports = {
+    DEFAULTS,
+    loadConfig,
+    attemptKeys,
+    checkAttempt,
+    beginAttempt,
+    finishAttempt,
+    recordFailure,
+    clearAttempts,
+    listLockouts
+};
@@ -0,0 +1,23 @@
+// Console transport: print each message to the server log instead of sending it,
+// so it is never delivered
+
+function createConsoleTransport(from) {
+    return {
+        send(message) {
+            console.log([
+                '--- Email ---',
+                `From: ${from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                '',
+                message.text,
+                '-------------'
+            ].join('\n'));
+            return Promise.resolve({ delivered: false });
+        }
+    };
+}
+
+module.exports = {
+    createConsoleTransport
+};
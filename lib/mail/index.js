@@ -0,0 +1,55 @@
+const path = require('path');
+const { createOutboxTransport } = require('./outbox-transport');
+const { createConsoleTransport } = require('./console-transport');
+
+// Outgoing email. Every transport implements the same interface:
+//
+//   send({ to, subject, text, html }) -> Promise of { delivered }, where
+//   delivered is true only if the message actually went out to the recipient
+//
+// The transport is picked with the MAIL_TRANSPORT environment variable:
+//   outbox  (default) - write each message as a JSON file to the outbox
+//                       directory (MAIL_OUTBOX_DIR, default <data>/outbox);
+//                       for development and testing. Never the default with
+//                       NODE_ENV=production, where MAIL_TRANSPORT must be set.
+//   console           - print messages to the server log
+//   smtp              - send through the SMTP server in SMTP_URL (needs nodemailer)
+//
+// MAIL_FROM sets the sender address.
+
+const TRANSPORTS = ['outbox', 'console', 'smtp'];
+const DEFAULT_FROM = 'Maytech & AKQA Onboarding <onboarding@maytech.com>';
+
+function createMailer({ transport, dataDir, outboxDir, smtpUrl, from } = {}) {
+    const chosen = transport || process.env.MAIL_TRANSPORT;
+    if (!chosen && process.env.NODE_ENV === 'production') {
+        // Falling back to the outbox would quietly keep every invite and reset
+        // email on the server
+        throw new Error(`MAIL_TRANSPORT must be set in production. Use one of: ${TRANSPORTS.join(', ')}`);
+    }
+
+    const selected = (chosen || 'outbox').toLowerCase();
+    const sender = from || process.env.MAIL_FROM || DEFAULT_FROM;
+
+    if (selected === 'outbox') {
+        const dir = outboxDir || process.env.MAIL_OUTBOX_DIR || path.join(dataDir, 'outbox');
+        return createOutboxTransport(dir, sender);
+    }
+
+    if (selected === 'console') {
+        return createConsoleTransport(sender);
+    }
+
+    if (selected === 'smtp') {
+        // Only load nodemailer when it is actually used
+        const { createSmtpTransport } = require('./smtp-transport');
+        return createSmtpTransport(smtpUrl || process.env.SMTP_URL, sender);
+    }
+
+    throw new Error(`Unknown mail transport "${selected}". Use one of: ${TRANSPORTS.join(', ')}`);
+}
+
+module.exports = {
+    TRANSPORTS,
+    createMailer
+};
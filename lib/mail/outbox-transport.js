@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Outbox transport: nothing is sent; each message is written to the outbox
+// directory as <timestamp>-<random>.json, so it can be read in development or
+// checked by tests. The message is never delivered.
+
+function createOutboxTransport(outboxDir, from) {
+    return {
+        send(message) {
+            const sentAt = new Date().toISOString();
+            const file = path.join(
+                outboxDir,
+                `${sentAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`
+            );
+
+            return fs.promises.mkdir(outboxDir, { recursive: true })
+                .then(() => fs.promises.writeFile(file, JSON.stringify({ from, sentAt, ...message }, null, 2)))
+                .then(() => ({ file, delivered: false }));
+        }
+    };
+}
+
+module.exports = {
+    createOutboxTransport
+};
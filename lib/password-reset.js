@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Self-service password resets. Stored in password-resets.json:
+//   { id, userId, tokenHash, createdAt, expiresAt, usedAt }
+//
+// The token itself is only ever sent to the user by email; just its SHA-256
+// hash is stored, so a copy of the data can't be used to reset passwords.
+// Tokens expire quickly, can be used once, and requesting a new one cancels
+// the user's earlier tokens.
+
+const DEFAULT_TTL_MINUTES = 60;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Create a reset for the user, cancelling any earlier unused ones. Returns
+// { reset, token }.
+function createReset(resets, user, ttlMinutes = DEFAULT_TTL_MINUTES) {
+    const now = Date.now();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    pruneResets(resets);
+    cancelResets(resets, user.id);
+
+    const reset = {
+        id: crypto.randomBytes(12).toString('hex'),
+        userId: user.id,
+        tokenHash: hashToken(token),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMinutes * 60 * 1000).toISOString(),
+        usedAt: null
+    };
+
+    resets.push(reset);
+    return { reset, token };
+}
+
+// Mark the user's unused resets as used, so their links stop working
+function cancelResets(resets, userId) {
+    const now = new Date().toISOString();
+
+    resets.forEach(reset => {
+        if (reset.userId === userId && !reset.usedAt) {
+            reset.usedAt = now;
+        }
+    });
+}
+
+// Find the usable reset for a token. Returns { reset }, or
+// { status, error, code } if the token is unknown, used or expired.
+function checkToken(resets, token) {
+    const tokenHash = hashToken(token);
+    const reset = resets.find(r => r.tokenHash === tokenHash);
+
+    if (!reset || reset.usedAt || new Date(reset.expiresAt).getTime() <= Date.now()) {
+        return {
+            status: 410,
+            error: 'This reset link is invalid or has expired. Request a new one.',
+            code: 'RESET_TOKEN_INVALID'
+        };
+    }
+
+    return { reset };
+}
+
+// Drop resets that can no longer be used, so the collection doesn't grow forever
+function pruneResets(resets) {
+    const now = Date.now();
+    for (let i = resets.length - 1; i >= 0; i--) {
+        if (resets[i].usedAt || new Date(resets[i].expiresAt).getTime() <= now) {
+            resets.splice(i, 1);
+        }
+    }
+}
+
+function resetEmail(user, url, reset) {
+    const minutes = Math.round((new Date(reset.expiresAt) - new Date(reset.createdAt)) / 60000);
+
+    return {
+        to: user.email,
+        subject: 'Reset your Maytech & AKQA onboarding password',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'Someone asked to reset the password for your onboarding account.',
+            'Open the link below to choose a new one:',
+            '',
+            url,
+            '',
+            `The link can be used once and expires in ${minutes} minutes.`,
+            "If you didn't ask for this, you can ignore this email - your password won't change."
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    DEFAULT_TTL_MINUTES,
+    createReset,
+    cancelResets,
+    checkToken,
+    resetEmail
+};
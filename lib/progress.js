@@ -0,0 +1,176 @@
+const { hasPassedQuiz } = require('./quiz');
+
+// Progress records, one per user:
+//   { userId, userName, currentSection, completedSections, lastUpdated,
+//     sections: [{ id, acknowledged, version, stale, completedAt, quizAttempts, history }] }
+//
+// `history` logs every acknowledgment and withdrawal of the section as
+// { acknowledged, version, at }, so repeated acknowledgments can be traced.
+//
+// `sections` in the functions below is the list of published sections in
+// display order (see content.getPublishedSections).
+
+function findEntry(userProgress, sectionId) {
+    return userProgress.sections.find(s => s.id === sectionId) || null;
+}
+
+// Acknowledged against the section's current version
+function isAcknowledged(entry) {
+    return Boolean(entry && entry.acknowledged && !entry.stale);
+}
+
+// First section that still needs acknowledging, or undefined when all are done
+function nextRequiredSection(userProgress, sections) {
+    return sections.find(section => {
+        return section.requiresAcknowledgment && !isAcknowledged(findEntry(userProgress, section.id));
+    });
+}
+
+// Recompute the counters from which sections are actually acknowledged.
+// currentSection is the index of the first section still to acknowledge, or
+// the last section once everything is done.
+function refreshCounters(userProgress, sections) {
+    const next = nextRequiredSection(userProgress, sections);
+
+    userProgress.completedSections = sections.filter(section => {
+        return section.requiresAcknowledgment && isAcknowledged(findEntry(userProgress, section.id));
+    }).length;
+    userProgress.currentSection = next ? sections.indexOf(next) : Math.max(sections.length - 1, 0);
+
+    return userProgress;
+}
+
+// Check whether the user may record this acknowledgment. Returns null if so,
+// otherwise { status, error, code } describing why not.
+function checkAcknowledgment(userProgress, sections, section, acknowledged) {
+    if (!section.requiresAcknowledgment) {
+        return {
+            status: 400,
+            error: `Section ${section.id} does not need to be acknowledged`,
+            code: 'SECTION_NOT_ACKNOWLEDGEABLE'
+        };
+    }
+
+    // Withdrawing an acknowledgment is always allowed
+    if (!acknowledged) {
+        return null;
+    }
+
+    const next = nextRequiredSection(userProgress, sections);
+    if (next && sections.indexOf(next) < sections.indexOf(section)) {
+        return {
+            status: 409,
+            error: `Acknowledge "${next.title}" before moving on to "${section.title}"`,
+            code: 'SECTION_OUT_OF_ORDER',
+            expectedSectionId: next.id
+        };
+    }
+
+    // Sections with a knowledge check can only be acknowledged once it is passed
+    if (!hasPassedQuiz(findEntry(userProgress, section.id), section)) {
+        return {
+            status: 409,
+            error: 'Pass the knowledge check for this section before acknowledging it',
+            code: 'QUIZ_NOT_PASSED'
+        };
+    }
+
+    return null;
+}
+
+// Record an acknowledgment against the section's current version
+function recordAcknowledgment(userProgress, section, acknowledged) {
+    const now = new Date().toISOString();
+    let entry = findEntry(userProgress, section.id);
+
+    if (!entry) {
+        entry = { id: section.id };
+        userProgress.sections.push(entry);
+    }
+
+    entry.acknowledged = acknowledged;
+    entry.version = section.version;
+    entry.stale = false;
+    entry.completedAt = now;
+    entry.history = entry.history || [];
+    entry.history.push({ acknowledged, version: section.version, at: now });
+    userProgress.lastUpdated = now;
+
+    return entry;
+}
+
+// Acknowledgments recorded before versioning carry no version; they were
+// made against the original content, version 1.
+function acknowledgedVersion(entry) {
+    return entry.version || 1;
+}
+
+// Flag acknowledgments of an older version of a section as stale, so the
+// user is asked to acknowledge it again. Returns the number of users affected.
+function markStaleAcknowledgments(allProgress, sections, sectionId, version) {
+    let affected = 0;
+
+    allProgress.forEach(userProgress => {
+        const entry = findEntry(userProgress, sectionId);
+        if (!isAcknowledged(entry) || acknowledgedVersion(entry) >= version) {
+            return;
+        }
+
+        entry.stale = true;
+        refreshCounters(userProgress, sections);
+        affected++;
+    });
+
+    return affected;
+}
+
+// A user's progress section by section, for the admin drill-down. Each
+// acknowledged section also records how long after the previous acknowledged
+// section it was completed.
+function buildTimeline(userProgress, sections) {
+    let previousAt = null;
+
+    return sections.map(section => {
+        const entry = findEntry(userProgress, section.id);
+        const acknowledged = isAcknowledged(entry);
+        const acknowledgedAt = acknowledged ? entry.completedAt : null;
+        const quizAttempts = (entry && entry.quizAttempts) || [];
+        const history = (entry && entry.history) || [];
+
+        let sincePrevious = null;
+        if (acknowledgedAt && previousAt) {
+            sincePrevious = new Date(acknowledgedAt) - new Date(previousAt);
+        }
+        if (acknowledgedAt) {
+            previousAt = acknowledgedAt;
+        }
+
+        return {
+            id: section.id,
+            title: section.title,
+            version: section.version,
+            requiresAcknowledgment: section.requiresAcknowledgment,
+            acknowledged,
+            acknowledgedAt,
+            acknowledgedVersion: entry && entry.acknowledged ? acknowledgedVersion(entry) : null,
+            stale: Boolean(entry && entry.stale),
+            sincePrevious,
+            // Every acknowledgment after the first one, e.g. after a withdrawal
+            // or a new version of the section
+            reacknowledgments: Math.max(history.filter(h => h.acknowledged).length - 1, 0),
+            failedQuizAttempts: quizAttempts.filter(attempt => !attempt.passed).length,
+            quizAttempts,
+            history
+        };
+    });
+}
+
+module.exports = {
+    findEntry,
+    isAcknowledged,
+    refreshCounters,
+    checkAcknowledgment,
+    recordAcknowledgment,
+    markStaleAcknowledgments,
+    buildTimeline
+};
@@ -0,0 +1,132 @@
+// Knowledge-check quizzes attached to onboarding sections.
+//
+// A quiz is stored with each section version:
+//   { passMark: 80, questions: [{ text, options: ['...', '...'], answer: 1 }] }
+// where `answer` is the index of the correct option and `passMark` is the
+// minimum score in percent. Answers never leave the server; staff get the
+// public view from toPublicQuiz() and submit their choices for grading.
+
+const DEFAULT_PASS_MARK = 80;
+
+// Check a quiz submitted by an admin. Returns an error message, or null if valid.
+function validateQuiz(quiz) {
+    if (quiz === null || quiz === undefined) {
+        return null;
+    }
+
+    if (typeof quiz !== 'object' || !Array.isArray(quiz.questions)) {
+        return 'Quiz must have a list of questions';
+    }
+
+    if (quiz.passMark !== undefined) {
+        const passMark = Number(quiz.passMark);
+        if (!Number.isInteger(passMark) || passMark < 0 || passMark > 100) {
+            return 'Pass mark must be a whole number between 0 and 100';
+        }
+    }
+
+    for (let i = 0; i < quiz.questions.length; i++) {
+        const question = quiz.questions[i];
+        const label = `Question ${i + 1}`;
+
+        if (!question || !String(question.text || '').trim()) {
+            return `${label} needs some text`;
+        }
+        if (!Array.isArray(question.options) || question.options.filter(o => String(o).trim()).length < 2) {
+            return `${label} needs at least two options`;
+        }
+        if (!Number.isInteger(question.answer) || question.answer < 0 || question.answer >= question.options.length) {
+            return `${label} needs a correct answer`;
+        }
+    }
+
+    return null;
+}
+
+// Tidy a validated quiz for storage. A quiz without questions is stored as null.
+function normalizeQuiz(quiz) {
+    if (!quiz || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+        return null;
+    }
+
+    return {
+        passMark: quiz.passMark !== undefined ? Number(quiz.passMark) : DEFAULT_PASS_MARK,
+        questions: quiz.questions.map(question => ({
+            text: String(question.text).trim(),
+            options: question.options.map(option => String(option).trim()),
+            answer: question.answer
+        }))
+    };
+}
+
+// Quiz as shown to staff, without the answers
+function toPublicQuiz(quiz) {
+    if (!quiz) {
+        return null;
+    }
+
+    return {
+        passMark: quiz.passMark,
+        questions: quiz.questions.map(question => ({
+            text: question.text,
+            options: question.options
+        }))
+    };
+}
+
+// Check a submission against the quiz it answers: one answer per question,
+// each an option index or null if left unanswered. Returns an error message,
+// or null if valid.
+function validateAnswers(quiz, answers) {
+    if (answers.length !== quiz.questions.length) {
+        return `Answers must have one entry for each of the ${quiz.questions.length} questions`;
+    }
+
+    const invalid = quiz.questions.findIndex((question, index) => {
+        const answer = answers[index];
+        return answer !== null && (!Number.isInteger(answer) || answer < 0 || answer >= question.options.length);
+    });
+    if (invalid !== -1) {
+        return `Question ${invalid + 1} has no option ${answers[invalid]}`;
+    }
+
+    return null;
+}
+
+// Grade a submission. `answers` holds the chosen option index for each question.
+function gradeQuiz(quiz, answers) {
+    const total = quiz.questions.length;
+    const correct = quiz.questions.filter((question, index) => {
+        return Array.isArray(answers) && answers[index] === question.answer;
+    }).length;
+    const score = total > 0 ? Math.round((correct / total) * 100) : 100;
+
+    return {
+        score,
+        correct,
+        total,
+        passMark: quiz.passMark,
+        passed: score >= quiz.passMark
+    };
+}
+
+// Whether the progress entry records a pass of the given section version's quiz.
+// Sections without a quiz always count as passed.
+function hasPassedQuiz(entry, section) {
+    if (!section.quiz) {
+        return true;
+    }
+
+    return Boolean(entry && entry.quizAttempts && entry.quizAttempts.some(attempt => {
+        return attempt.passed && attempt.version === section.version;
+    }));
+}
+
+module.exports = {
+    validateQuiz,
+    normalizeQuiz,
+    toPublicQuiz,
+    validateAnswers,
+    gradeQuiz,
+    hasPassedQuiz
+};
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const progress = require('./progress');
+const dueDates = require('./due-dates');
+const tracks = require('./tracks');
+const { CONTENT_DIR } = require('./content');
+
+// Reminder emails for staff whose onboarding has stalled or is overdue, with
+// an optional copy to their manager. Stored in reminders.json, one record per
+// reminder sent:
+//   { id, userId, email, reason, managerEmail, sentAt, sentBy }
+//
+// reason is 'overdue' (past their due date or a section deadline, see
+// lib/due-dates.js), 'stalled' (no progress for stalledDays, counting from
+// when they started if they haven't made any) or 'manual' (an
+// admin sent it when neither applied). sentBy is the admin who sent it, or
+// null for the scheduler. managerEmail is set when the manager got a copy.
+//
+// The scheduler in createApp looks for users to remind every
+// intervalMinutes, and reminds each of them at most once every repeatDays.
+
+const DEFAULTS = {
+    intervalMinutes: 60,
+    stalledDays: 7,
+    repeatDays: 7
+};
+
+// Email templates, one file per reason plus one for managers. Each starts
+// with a "Subject:" line, then a blank line and the body. {{placeholders}}
+// are filled in by reminderEmails().
+const TEMPLATES_DIR = path.join(CONTENT_DIR, 'emails');
+const TEMPLATE_FILES = {
+    overdue: 'reminder-overdue.txt',
+    stalled: 'reminder-stalled.txt',
+    manual: 'reminder.txt',
+    manager: 'reminder-manager.txt'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings from createApp options, then the REMINDER_* environment variables.
+// An interval of 0 turns the scheduler off, and stalledDays of 0 stops
+// reminders for inactivity (overdue users are still reminded).
+function loadConfig(options = {}) {
+    const env = {
+        intervalMinutes: process.env.REMINDER_INTERVAL_MINUTES,
+        stalledDays: process.env.REMINDER_STALLED_DAYS,
+        repeatDays: process.env.REMINDER_REPEAT_DAYS
+    };
+
+    const config = {};
+    Object.keys(DEFAULTS).forEach(name => {
+        const raw = options[name] !== undefined ? options[name] : env[name];
+        config[name] = raw !== undefined && raw !== '' && Number(raw) >= 0 ? Number(raw) : DEFAULTS[name];
+    });
+
+    const notifyManager = options.notifyManager !== undefined ? options.notifyManager : process.env.REMINDER_NOTIFY_MANAGER;
+    config.notifyManager = notifyManager === undefined || notifyManager === ''
+        ? true
+        : !['false', '0', 'no', 'off'].includes(String(notifyManager).toLowerCase());
+    config.templatesDir = options.templatesDir || process.env.REMINDER_TEMPLATES_DIR || TEMPLATES_DIR;
+
+    return config;
+}
+
+function isComplete(userProgress, sections) {
+    const required = sections.filter(s => s.requiresAcknowledgment).length;
+    return progress.refreshCounters({ ...userProgress }, sections).completedSections >= required;
+}
+
+// When the user last did anything towards their onboarding: their latest
+// progress or, if they haven't made any, when they started - their start
+// date (or their cohort's), or failing that when their account was created.
+// Null if none of those is known.
+function lastActiveAt(user, cohort, stored) {
+    return stored.lastUpdated || dueDates.startDate(user, cohort) || user.createdAt || null;
+}
+
+// Why the user should be reminded now - 'overdue' or 'stalled' - or null if
+// they shouldn't. Only active staff who have accepted their invite are
+// reminded; invited users are chased by resending the invite instead.
+function reminderReason(user, cohort, userProgress, sections, config, now = Date.now()) {
+    if (user.role !== 'staff' || user.active === false || !user.password) {
+        return null;
+    }
+
+    const stored = userProgress || { sections: [], lastUpdated: null };
+    if (isComplete(stored, sections)) {
+        return null;
+    }
+
+    const today = new Date(now).toISOString().slice(0, 10);
+    if (dueDates.dueState(user, cohort, stored, sections, today).dueStatus === 'overdue') {
+        return 'overdue';
+    }
+
+    const lastActive = lastActiveAt(user, cohort, stored);
+    if (config.stalledDays > 0 && lastActive && now - new Date(lastActive).getTime() >= config.stalledDays * DAY_MS) {
+        return 'stalled';
+    }
+    return null;
+}
+
+// The user's most recent reminder, or null
+function lastReminder(reminders, userId) {
+    return reminders.filter(r => r.userId === userId).reduce((latest, r) => {
+        return !latest || r.sentAt > latest.sentAt ? r : latest;
+    }, null);
+}
+
+// Users the scheduler should remind now: [{ user, reason }]. Anyone reminded
+// in the last repeatDays is left alone, however the reminder was sent.
+// `sections` is every published section; each user is checked against the
+// sections of their track (see lib/tracks.js).
+function findDueReminders({ users, allProgress, cohorts, sections, tracks: allTracks, reminders }, config, now = Date.now()) {
+    const sectionsFor = tracks.sectionResolver({ sections, tracks: allTracks, cohorts });
+
+    return users
+        .map(user => {
+            const cohort = cohorts.find(c => c.id === user.cohortId);
+            const userProgress = allProgress.find(p => p.userId === user.id);
+            return { user, reason: reminderReason(user, cohort, userProgress, sectionsFor(user), config, now) };
+        })
+        .filter(({ user, reason }) => {
+            const last = lastReminder(reminders, user.id);
+            return reason && (!last || now - new Date(last.sentAt).getTime() >= config.repeatDays * DAY_MS);
+        });
+}
+
+function recordReminder(reminders, { user, reason, managerEmail, sentBy }) {
+    const reminder = {
+        id: crypto.randomBytes(12).toString('hex'),
+        userId: user.id,
+        email: user.email,
+        reason,
+        managerEmail: managerEmail || null,
+        sentAt: new Date().toISOString(),
+        sentBy: sentBy || null
+    };
+
+    reminders.push(reminder);
+    return reminder;
+}
+
+// A template from the templates directory, falling back to the one shipped
+// in content/emails/ if it has none of that name
+function loadTemplate(dir, name) {
+    const file = TEMPLATE_FILES[name];
+    const custom = path.join(dir, file);
+    const text = fs.readFileSync(fs.existsSync(custom) ? custom : path.join(TEMPLATES_DIR, file), 'utf8');
+
+    const match = text.match(/^Subject:(.*)\r?\n/);
+    return {
+        subject: match ? match[1].trim() : 'Onboarding reminder',
+        body: (match ? text.slice(match[0].length) : text).trim()
+    };
+}
+
+function fill(text, values) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+        return values[key] !== undefined && values[key] !== null ? String(values[key]) : '';
+    });
+}
+
+// Plain text body as HTML: paragraphs at blank lines, and the app link made clickable
+function toHtml(text, url) {
+    return text.split(/\n\s*\n/).map(paragraph => {
+        const html = escapeHtml(paragraph.trim())
+            .split(escapeHtml(url))
+            .join(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`)
+            .replace(/\n/g, '<br>');
+        return `<p>${html}</p>`;
+    }).join('\n');
+}
+
+function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// The reminder for the user and, if they have one and it is turned on, the
+// copy for their manager: { staff, manager } (manager is null if none)
+function reminderEmails(user, reason, { cohort, userProgress, sections, url, config }) {
+    const stored = userProgress || { sections: [], lastUpdated: null };
+    const counters = progress.refreshCounters({ ...stored }, sections);
+    const due = dueDates.dueState(user, cohort, stored, sections);
+    const lastActiveDate = lastActiveAt(user, cohort, stored);
+    const lastActive = lastActiveDate ? formatDate(lastActiveDate.slice(0, 10)) : null;
+
+    // Which date was missed, in the second person for the user and the third
+    // for their manager
+    const lateSections = sections.filter(s => due.overdueSections.includes(s.id)).map(s => s.title).join(', ');
+    const pastDueDate = due.dueDate && due.dueDate < new Date().toISOString().slice(0, 10);
+    const overdue = pastDueDate
+        ? `you were due to finish by ${formatDate(due.dueDate)}`
+        : `the deadline for ${lateSections} has passed`;
+    const managerReasons = {
+        overdue: pastDueDate
+            ? `was due to finish onboarding by ${formatDate(due.dueDate)}`
+            : `has missed the deadline for ${lateSections}`,
+        stalled: `hasn't made any onboarding progress since ${lastActive}`,
+        manual: "hasn't finished onboarding yet"
+    };
+
+    const values = {
+        name: user.name,
+        email: user.email,
+        url,
+        completedSections: counters.completedSections,
+        requiredSections: sections.filter(s => s.requiresAcknowledgment).length,
+        dueDate: due.dueDate ? formatDate(due.dueDate) : '',
+        lastActive: lastActive || '',
+        overdue,
+        reason: managerReasons[reason]
+    };
+
+    const render = (name, to) => {
+        const template = loadTemplate(config.templatesDir, name);
+        const text = fill(template.body, values);
+        return { to, subject: fill(template.subject, values), text, html: toHtml(text, url) };
+    };
+
+    return {
+        staff: render(reason, user.email),
+        manager: config.notifyManager && user.managerEmail ? render('manager', user.managerEmail) : null
+    };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    DEFAULTS,
+    loadConfig,
+    isComplete,
+    reminderReason,
+    lastReminder,
+    findDueReminders,
+    recordReminder,
+    reminderEmails
+};
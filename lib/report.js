@@ -0,0 +1,156 @@
+const ExcelJS = require('exceljs');
+const csv = require('./csv');
+const progress = require('./progress');
+const dueDates = require('./due-dates');
+const tracks = require('./tracks');
+
+// The admin progress report: one row per staff member, as shown in the admin
+// dashboard table, with the time each required section was acknowledged.
+// Each user is measured against the sections of their track (see
+// lib/tracks.js), so sections outside it are left blank.
+//
+// `sections` is the list of published sections in display order (see
+// content.getPublishedSections).
+
+// Same rules as the status badge in the admin dashboard
+function progressStatus(completedSections, requiredSections) {
+    if (completedSections === 0) {
+        return 'Not Started';
+    }
+    if (completedSections >= requiredSections) {
+        return 'Completed';
+    }
+    return 'In Progress';
+}
+
+// Statuses as the admin progress API reports and filters them: how far the
+// user has got, and whether they are behind (see lib/due-dates.js)
+const STATUS_KEYS = {
+    'Not Started': 'not_started',
+    'In Progress': 'in_progress',
+    'Completed': 'completed'
+};
+const STATUSES = Object.values(STATUS_KEYS).concat(dueDates.DUE_STATUSES);
+
+const DUE_STATUS_LABELS = {
+    overdue: 'Overdue',
+    due_soon: 'Due Soon'
+};
+
+function progressStatusKey(completedSections, requiredSections) {
+    return STATUS_KEYS[progressStatus(completedSections, requiredSections)];
+}
+
+// Returns { columns: [{ key, header }], rows: [{ [key]: value }] }
+function buildProgressReport(users, allProgress, sections, cohorts = [], allTracks = []) {
+    const staff = users.filter(u => u.role === 'staff');
+    const sectionsFor = tracks.sectionResolver({ sections, tracks: allTracks, cohorts });
+
+    // A column for each required section that anyone in the report takes
+    const taken = new Set();
+    staff.forEach(user => sectionsFor(user).forEach(section => taken.add(section.id)));
+    const columnSections = sections.filter(section => section.requiresAcknowledgment && taken.has(section.id));
+
+    const columns = [
+        { key: 'name', header: 'Name' },
+        { key: 'email', header: 'Email' },
+        { key: 'cohort', header: 'Cohort' },
+        { key: 'track', header: 'Track' },
+        ...columnSections.map(section => ({ key: `section_${section.id}`, header: section.title })),
+        { key: 'percentage', header: 'Progress (%)' },
+        { key: 'status', header: 'Status' },
+        { key: 'dueDate', header: 'Due Date' },
+        { key: 'due', header: 'Due' },
+        { key: 'lastUpdated', header: 'Last Updated' }
+    ];
+
+    const rows = staff.map(user => {
+        const userSections = sectionsFor(user);
+        const required = userSections.filter(section => section.requiresAcknowledgment);
+        const stored = allProgress.find(p => p.userId === user.id);
+        const userProgress = stored
+            ? progress.refreshCounters({ ...stored }, userSections)
+            : { sections: [], completedSections: 0, lastUpdated: null };
+        const percentage = required.length > 0
+            ? Math.round((userProgress.completedSections / required.length) * 100)
+            : 0;
+
+        const cohort = cohorts.find(c => c.id === user.cohortId);
+        const track = tracks.trackFor(user, cohort, allTracks);
+        const due = dueDates.dueState(user, cohort, stored || { sections: [] }, userSections);
+
+        const row = {
+            name: user.name,
+            email: user.email,
+            cohort: cohort ? cohort.name : '',
+            track: track ? track.name : '',
+            percentage,
+            status: progressStatus(userProgress.completedSections, required.length),
+            dueDate: due.dueDate || '',
+            due: DUE_STATUS_LABELS[due.dueStatus] || '',
+            lastUpdated: userProgress.lastUpdated || ''
+        };
+
+        columnSections.forEach(section => {
+            const entry = required.includes(section) ? progress.findEntry(userProgress, section.id) : null;
+            row[`section_${section.id}`] = progress.isAcknowledged(entry) ? entry.completedAt : '';
+        });
+
+        return row;
+    });
+
+    return { columns, rows };
+}
+
+function toCsv(report) {
+    return csv.formatCsv([
+        report.columns.map(column => column.header),
+        ...report.rows.map(row => report.columns.map(column => row[column.key]))
+    ]);
+}
+
+// Resolves to a Buffer holding the .xlsx workbook
+function toXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Onboarding Progress');
+
+    sheet.columns = report.columns.map(column => ({
+        key: column.key,
+        header: column.header,
+        width: Math.max(column.header.length + 2, 14)
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    report.rows.forEach(row => {
+        // Timestamps become real dates so they can be sorted and filtered
+        const values = {};
+        report.columns.forEach(column => {
+            const value = row[column.key];
+            values[column.key] = isTimestamp(column.key) && value ? new Date(value) : value;
+        });
+        sheet.addRow(values);
+    });
+
+    report.columns.forEach(column => {
+        if (isTimestamp(column.key)) {
+            sheet.getColumn(column.key).numFmt = 'yyyy-mm-dd hh:mm';
+            sheet.getColumn(column.key).width = Math.max(sheet.getColumn(column.key).width, 18);
+        }
+    });
+
+    return workbook.xlsx.writeBuffer().then(buffer => Buffer.from(buffer));
+}
+
+function isTimestamp(key) {
+    return key === 'lastUpdated' || key.startsWith('section_');
+}
+
+module.exports = {
+    STATUSES,
+    progressStatus,
+    progressStatusKey,
+    buildProgressReport,
+    toCsv,
+    toXlsx
+};
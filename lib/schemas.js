@@ -0,0 +1,228 @@
+const { ROLES, validatePassword } = require('./users');
+const { validateQuiz } = require('./quiz');
+const audit = require('./audit');
+const { COMPANIES } = require('./cohorts');
+const report = require('./report');
+const dashboard = require('./dashboard');
+
+// Request schemas for every API route that takes a body or query string.
+// See lib/validation.js for the rules.
+
+const email = { type: 'string', label: 'Email', required: true, trim: true, lowercase: true, maxLength: 254, format: 'email' };
+const name = { type: 'string', label: 'Name', required: true, trim: true, maxLength: 100 };
+const role = { type: 'string', label: 'Role', enum: ROLES };
+const token = { type: 'string', label: 'Token', required: true, maxLength: 500 };
+const cohortId = { type: 'integer', label: 'Cohort', nullable: true };
+const trackId = { type: 'integer', label: 'Track', nullable: true };
+const managerId = { type: 'integer', label: 'Manager', nullable: true };
+const startDate = { type: 'string', label: 'Start date', nullable: true, format: 'date' };
+const dueDate = { type: 'string', label: 'Due date', nullable: true, format: 'date' };
+const managerEmail = { ...email, label: "Manager's email", required: false, nullable: true };
+
+// A password someone is choosing. bcrypt only uses the first 72 bytes.
+const newPassword = { type: 'string', label: 'Password', required: true, maxLength: 72, check: validatePassword };
+
+// A password being checked; no minimum length, as it may predate the rules
+const currentPassword = { type: 'string', label: 'Password', required: true, maxLength: 200 };
+
+// Search, filters, sorting and paging of the dashboard rows (see lib/dashboard.js)
+const dashboardQuery = {
+    q: { type: 'string', label: 'Search', trim: true, allowEmpty: true, maxLength: 200 },
+    status: { type: 'string', label: 'Status', enum: report.STATUSES },
+    role,
+    cohortId: { type: 'integer', label: 'Cohort' },
+    trackId: { type: 'integer', label: 'Track' },
+    sort: { type: 'string', label: 'Sort', enum: dashboard.SORTS, default: 'name' },
+    order: { type: 'string', label: 'Order', enum: dashboard.ORDERS, default: 'asc' },
+    page: { type: 'integer', label: 'Page', min: 1, default: 1 },
+    pageSize: { type: 'integer', label: 'Page size', min: 1, max: dashboard.MAX_PAGE_SIZE, default: dashboard.DEFAULT_PAGE_SIZE }
+};
+
+const cohortDetails = {
+    name: { ...name, label: 'Cohort name' },
+    startDate: { type: 'string', label: 'Start date', required: true, format: 'date' },
+    company: { type: 'string', label: 'Company', required: true, enum: COMPANIES },
+    team: { type: 'string', label: 'Team', required: true, trim: true, maxLength: 100 },
+    // Staff are due to finish this many days after the cohort starts
+    completionDays: { type: 'integer', label: 'Days to complete', nullable: true, min: 1, max: 365 },
+    trackId
+};
+
+const trackDetails = {
+    name: { ...name, label: 'Track name' },
+    description: { type: 'string', label: 'Description', trim: true, allowEmpty: true, maxLength: 500 },
+    // In the order they are taken
+    sectionIds: {
+        type: 'array',
+        label: 'Sections',
+        required: true,
+        minLength: 1,
+        maxLength: 100,
+        items: { type: 'integer', label: 'Section' },
+        check: ids => (new Set(ids).size === ids.length ? null : 'A track can only list each section once')
+    }
+};
+
+const sectionContent = {
+    title: { type: 'string', label: 'Title', trim: true, maxLength: 200 },
+    stepLabel: { type: 'string', label: 'Step label', trim: true, allowEmpty: true, maxLength: 100 },
+    requiresAcknowledgment: { type: 'boolean', label: 'Requires acknowledgment' },
+    html: { type: 'string', label: 'Content', allowEmpty: true },
+    quiz: { type: 'object', label: 'Quiz', nullable: true, check: validateQuiz },
+    dueDays: { type: 'integer', label: 'Deadline', nullable: true, min: 1, max: 365 }
+};
+
+module.exports = {
+    login: {
+        body: {
+            email: { type: 'string', label: 'Email', required: true, trim: true, lowercase: true, maxLength: 254 },
+            password: currentPassword
+        }
+    },
+
+    acceptInvite: {
+        body: { token, password: newPassword }
+    },
+
+    forgotPassword: {
+        body: { email }
+    },
+
+    resetPassword: {
+        body: { token, password: newPassword }
+    },
+
+    changePassword: {
+        body: {
+            currentPassword: { ...currentPassword, label: 'Current password' },
+            newPassword: { ...newPassword, label: 'New password' }
+        }
+    },
+
+    submitQuiz: {
+        body: {
+            answers: {
+                type: 'array',
+                label: 'Answers',
+                required: true,
+                maxLength: 100,
+                items: { type: 'integer', label: 'Answer', nullable: true }
+            }
+        }
+    },
+
+    updateProgress: {
+        body: {
+            sectionId: { type: 'integer', label: 'Section', required: true },
+            acknowledged: { type: 'boolean', label: 'Acknowledged', required: true }
+        }
+    },
+
+    adminProgress: {
+        query: dashboardQuery
+    },
+
+    adminUsers: {
+        query: dashboardQuery
+    },
+
+    exportProgress: {
+        query: {
+            format: { type: 'string', label: 'Format', enum: ['csv', 'xlsx'], default: 'csv' },
+            cohortId: { type: 'integer', label: 'Cohort' },
+            trackId: { type: 'integer', label: 'Track' }
+        }
+    },
+
+    createUser: {
+        body: {
+            email,
+            name,
+            role: { ...role, default: 'staff' },
+            cohortId,
+            trackId,
+            startDate,
+            dueDate,
+            managerId,
+            managerEmail,
+            // Without a password the user is invited to choose one
+            password: { ...newPassword, required: false }
+        }
+    },
+
+    importUsers: {
+        body: {
+            csv: { type: 'string', label: 'CSV file', required: true },
+            dryRun: { type: 'boolean', label: 'Dry run', default: false }
+        }
+    },
+
+    updateUser: {
+        body: {
+            name: { ...name, required: false },
+            email: { ...email, required: false },
+            role,
+            cohortId,
+            trackId,
+            startDate,
+            dueDate,
+            managerId,
+            managerEmail
+        }
+    },
+
+    createCohort: {
+        body: cohortDetails
+    },
+
+    updateCohort: {
+        body: {
+            name: { ...cohortDetails.name, required: false },
+            startDate: { ...cohortDetails.startDate, required: false },
+            company: { ...cohortDetails.company, required: false },
+            team: { ...cohortDetails.team, required: false },
+            completionDays: cohortDetails.completionDays,
+            trackId
+        }
+    },
+
+    createTrack: {
+        body: trackDetails
+    },
+
+    updateTrack: {
+        body: {
+            name: { ...trackDetails.name, required: false },
+            description: trackDetails.description,
+            sectionIds: { ...trackDetails.sectionIds, required: false }
+        }
+    },
+
+    createSection: {
+        body: {
+            ...sectionContent,
+            title: { ...sectionContent.title, required: true }
+        }
+    },
+
+    updateSection: {
+        body: sectionContent
+    },
+
+    reorderSections: {
+        body: {
+            order: { type: 'array', label: 'Order', required: true, items: { type: 'integer', label: 'Section' } }
+        }
+    },
+
+    auditLog: {
+        query: {
+            userId: { type: 'integer', label: 'User' },
+            type: { type: 'string', label: 'Event type', enum: Object.keys(audit.EVENT_TYPES) },
+            from: { type: 'string', label: 'From', format: 'date' },
+            to: { type: 'string', label: 'To', format: 'date' },
+            page: { type: 'integer', label: 'Page', min: 1, default: 1 },
+            pageSize: { type: 'integer', label: 'Page size', min: 1, max: audit.MAX_PAGE_SIZE, default: audit.DEFAULT_PAGE_SIZE }
+        }
+    }
+};
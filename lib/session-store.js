@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const { BACKENDS, createStorage } = require('./storage');
+
+// Session stores for express-session. By default sessions are kept in the
+// same storage as everything else (sessions.json in the data directory, or
+// the SQLite database), so they survive restarts and are shared by every
+// process using that storage. Records in the sessions collection:
+//   { id, expiresAt, session }
+// `id` is a SHA-256 hash of the session ID, so the stored sessions can't be
+// used to take over anyone's session.
+//
+// The store is picked with the SESSION_STORE environment variable:
+//   json    - sessions.json in the data directory
+//   sqlite  - the SQLite database (needs better-sqlite3)
+//   memory  - in process memory; everyone is signed out on restart
+//   kv      - a Redis database reached over its REST API (Vercel KV or
+//             Upstash), at KV_REST_API_URL with KV_REST_API_TOKEN; the one
+//             to use on Vercel, where the data directory doesn't last
+// Unset, sessions go wherever STORAGE_BACKEND puts the rest of the data.
+
+const SESSION_STORES = [...BACKENDS, 'memory', 'kv'];
+const COLLECTION = 'sessions';
+const KV_KEY_PREFIX = 'onboarding:sess:';
+
+function hashId(sid) {
+    return crypto.createHash('sha256').update(String(sid)).digest('hex');
+}
+
+// When a session should be forgotten: its cookie's expiry, or ttlMs from now
+// for sessions whose cookie lasts until the browser closes
+function expiryOf(sess, ttlMs) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return new Date(expires ? new Date(expires).getTime() : Date.now() + ttlMs).toISOString();
+}
+
+function isExpired(record, now = Date.now()) {
+    return new Date(record.expiresAt).getTime() <= now;
+}
+
+function pruneSessions(records) {
+    const now = Date.now();
+    for (let i = records.length - 1; i >= 0; i--) {
+        if (isExpired(records[i], now)) {
+            records.splice(i, 1);
+        }
+    }
+}
+
+// An express-session store that keeps sessions in a collection of a storage
+// backend (see lib/storage/). Expired sessions are removed whenever a session
+// is saved, and when the store is created.
+function createStorageSessionStore(storage, { ttlMs }) {
+    const store = new session.Store();
+
+    // Run fn and pass its result or error to the callback, asynchronously as
+    // express-session expects
+    function run(callback, fn) {
+        let result;
+        try {
+            result = fn();
+        } catch (err) {
+            return callback && setImmediate(callback, err);
+        }
+        if (callback) {
+            setImmediate(callback, null, result);
+        }
+    }
+
+    store.get = (sid, callback) => run(callback, () => {
+        const id = hashId(sid);
+        const record = (storage.read(COLLECTION) || []).find(r => r.id === id);
+        return record && !isExpired(record) ? record.session : null;
+    });
+
+    store.set = (sid, sess, callback) => run(callback, () => {
+        const id = hashId(sid);
+        storage.update(COLLECTION, records => {
+            pruneSessions(records);
+            const record = { id, expiresAt: expiryOf(sess, ttlMs), session: sess };
+            const index = records.findIndex(r => r.id === id);
+            if (index === -1) {
+                records.push(record);
+            } else {
+                records[index] = record;
+            }
+        });
+    });
+
+    // Called on requests that didn't change the session. Only the expiry is
+    // updated, and nothing is written if it hasn't moved.
+    store.touch = (sid, sess, callback) => run(callback, () => {
+        const id = hashId(sid);
+        const expiresAt = expiryOf(sess, ttlMs);
+        const record = (storage.read(COLLECTION) || []).find(r => r.id === id);
+        if (!record || record.expiresAt === expiresAt) {
+            return;
+        }
+
+        storage.update(COLLECTION, records => {
+            const current = records.find(r => r.id === id);
+            if (current) {
+                current.expiresAt = expiresAt;
+                current.session.cookie = sess.cookie;
+            }
+        });
+    });
+
+    store.destroy = (sid, callback) => run(callback, () => {
+        const id = hashId(sid);
+        storage.update(COLLECTION, records => {
+            const index = records.findIndex(r => r.id === id);
+            if (index !== -1) {
+                records.splice(index, 1);
+            }
+        });
+    });
+
+    store.clear = (callback) => run(callback, () => {
+        storage.write(COLLECTION, []);
+    });
+
+    store.length = (callback) => run(callback, () => {
+        return (storage.read(COLLECTION) || []).filter(r => !isExpired(r)).length;
+    });
+
+    // Clear out sessions that expired while the app was down. This also
+    // fails straight away if the storage can't be written to.
+    storage.update(COLLECTION, pruneSessions);
+
+    return store;
+}
+
+// An express-session store that keeps each session under its own key in a
+// Redis database, through the REST API of Vercel KV and Upstash
+// (POST url with the command as a JSON array). Nothing is kept on the server
+// itself, so sessions are shared by every instance and outlast restarts and
+// serverless cold starts. Redis expires each key along with its session.
+function createKvSessionStore({ url, token, ttlMs }) {
+    if (!url || !token) {
+        throw configError('The kv session store needs KV_REST_API_URL and KV_REST_API_TOKEN to be set');
+    }
+
+    const store = new session.Store();
+
+    function command(args) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        }).then(res => res.json().catch(() => ({})).then(body => {
+            if (!res.ok || body.error) {
+                throw new Error(`Session store ${args[0]} failed: ${body.error || `HTTP ${res.status}`}`);
+            }
+            return body.result;
+        }));
+    }
+
+    // Pass the promise's result or error to the callback, once
+    function run(callback, promise) {
+        promise.then(result => [null, result], err => [err]).then(args => {
+            if (callback) {
+                callback(...args);
+            }
+        });
+    }
+
+    function keyFor(sid) {
+        return KV_KEY_PREFIX + hashId(sid);
+    }
+
+    function save(sid, sess) {
+        const ttl = Math.max(new Date(expiryOf(sess, ttlMs)).getTime() - Date.now(), 1);
+        return command(['SET', keyFor(sid), JSON.stringify(sess), 'PX', String(ttl)]);
+    }
+
+    store.get = (sid, callback) => run(callback, command(['GET', keyFor(sid)])
+        .then(value => (value ? JSON.parse(value) : null)));
+
+    store.set = (sid, sess, callback) => run(callback, save(sid, sess));
+
+    // The cookie's expiry is part of the session, so it is saved again
+    store.touch = (sid, sess, callback) => run(callback, save(sid, sess));
+
+    store.destroy = (sid, callback) => run(callback, command(['DEL', keyFor(sid)]));
+
+    return store;
+}
+
+// A mistake in the settings, which an app tolerating storage errors still
+// has to fail on rather than quietly keep sessions in memory
+function configError(message) {
+    const err = new Error(message);
+    err.code = 'SESSION_STORE_CONFIG';
+    return err;
+}
+
+// Create the session store selected by `backend` (default: SESSION_STORE
+// env). Without a selection, sessions are kept in `storage`, the app's own
+// storage; a different backend is opened in `dataDir`. The kv store is given
+// `kv` ({ url, token }, default: KV_REST_API_URL and KV_REST_API_TOKEN env).
+function createSessionStore({ backend, storage, dataDir, ttlMs, kv = {} }) {
+    const selected = (backend || process.env.SESSION_STORE || '').toLowerCase();
+
+    if (selected && !SESSION_STORES.includes(selected)) {
+        throw configError(`Unknown session store "${selected}". Use one of: ${SESSION_STORES.join(', ')}`);
+    }
+
+    if (selected === 'memory') {
+        return new session.MemoryStore();
+    }
+
+    if (selected === 'kv') {
+        return createKvSessionStore({
+            url: kv.url || process.env.KV_REST_API_URL,
+            token: kv.token || process.env.KV_REST_API_TOKEN,
+            ttlMs
+        });
+    }
+
+    const sessionStorage = !selected || selected === storage.backend
+        ? storage
+        : createStorage({ backend: selected, dataDir });
+
+    return createStorageSessionStore(sessionStorage, { ttlMs });
+}
+
+module.exports = {
+    SESSION_STORES,
+    createSessionStore,
+    createStorageSessionStore,
+    createKvSessionStore
+};
@@ -0,0 +1,18 @@
+// Error thrown when another process is in the middle of writing a
+// collection. Storage calls are synchronous, so requests in the same process
+// never run into each other; rather than hold up the whole server waiting for
+// another process, the write is refused and the client asked to retry. The
+// error carries an HTTP status so the app's error handler can answer with
+// 503 and a Retry-After header.
+const BUSY_RETRY_SECONDS = 1;
+
+function storageBusyError(collection) {
+    const err = new Error(`The ${collection} data is being written by another process. Please try again.`);
+    err.code = 'STORAGE_BUSY';
+    err.status = 503;
+    err.expose = true;
+    err.retryAfter = BUSY_RETRY_SECONDS;
+    return err;
+}
+
+module.exports = { storageBusyError };
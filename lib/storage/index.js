@@ -0,0 +1,43 @@
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+
+// Storage layer shared by the app and scripts. Every backend stores named
+// collections (users, progress, sections, ...) as arrays of records and
+// implements the same interface:
+//
+//   read(collection)        -> array, or null if the collection doesn't exist yet
+//   write(collection, data) -> replace the whole collection
+//   update(collection, fn)  -> atomically read, let fn change the array in place,
+//                              and save it; returns fn's result
+//   append(collection, item) -> add one record to the end without rewriting
+//                              the rest, for collections that only ever grow
+//
+// The backend is picked with the STORAGE_BACKEND environment variable:
+//   json   (default) - one JSON file per collection in the data directory
+//   sqlite           - an embedded SQLite database (needs better-sqlite3)
+
+const BACKENDS = ['json', 'sqlite'];
+const DEFAULT_SQLITE_FILENAME = 'onboarding.db';
+
+function createStorage({ backend, dataDir, sqliteFile } = {}) {
+    const selected = (backend || process.env.STORAGE_BACKEND || 'json').toLowerCase();
+
+    if (selected === 'json') {
+        return createJsonStore(dataDir);
+    }
+
+    if (selected === 'sqlite') {
+        // Only load the SQLite driver when it is actually used
+        const { createSqliteStore } = require('./sqlite-store');
+        const file = sqliteFile || process.env.SQLITE_FILE || path.join(dataDir, DEFAULT_SQLITE_FILENAME);
+        return createSqliteStore(file);
+    }
+
+    throw new Error(`Unknown storage backend "${selected}". Use one of: ${BACKENDS.join(', ')}`);
+}
+
+module.exports = {
+    BACKENDS,
+    DEFAULT_SQLITE_FILENAME,
+    createStorage
+};
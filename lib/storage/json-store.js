@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { storageBusyError } = require('./errors');
+
+// JSON file storage: one <collection>.json file per collection in the data
+// directory. Writes go to a temp file that is renamed over the original, so
+// readers never see a half-written file, and read-modify-write cycles hold a
+// lock file so other processes sharing the data directory can't overwrite
+// each other's changes. Every call is synchronous, so requests in the same
+// process can't interleave; if another process holds the lock the write fails
+// straight away with a STORAGE_BUSY error instead of blocking the event loop
+// until it is released.
+//
+// append() doesn't rewrite the JSON file: the record goes on a line of its
+// own in <collection>.jsonl, which read() adds to the end of the collection
+// and the next write or update folds into the JSON file.
+
+const LOCK_STALE_MS = 10000;
+
+function createJsonStore(dataDir) {
+    function fileFor(collection) {
+        return path.join(dataDir, `${collection}.json`);
+    }
+
+    function appendedFileFor(collection) {
+        return path.join(dataDir, `${collection}.jsonl`);
+    }
+
+    function ensureDataDir() {
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    // Run fn while holding the collection's lock file
+    function withLock(collection, fn) {
+        ensureDataDir();
+        const lockFile = `${fileFor(collection)}.lock`;
+        let fd;
+
+        while (fd === undefined) {
+            try {
+                fd = fs.openSync(lockFile, 'wx');
+            } catch (err) {
+                if (err.code !== 'EEXIST') {
+                    throw err;
+                }
+
+                // Clear a lock left behind by a crashed process
+                try {
+                    if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+                        fs.unlinkSync(lockFile);
+                        continue;
+                    }
+                } catch (statErr) {
+                    // The lock was released in the meantime - try again
+                    continue;
+                }
+
+                throw storageBusyError(collection);
+            }
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.closeSync(fd);
+            fs.unlinkSync(lockFile);
+        }
+    }
+
+    function writeAtomic(collection, data) {
+        const file = fileFor(collection);
+        const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+        fs.renameSync(tempFile, file);
+        // Only once the JSON file holds them: a crash in between repeats the
+        // appended records rather than losing them
+        fs.rmSync(appendedFileFor(collection), { force: true });
+    }
+
+    // The records appended since the JSON file was last written, or null if
+    // there are none
+    function readAppended(collection) {
+        const file = appendedFileFor(collection);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map(line => JSON.parse(line));
+    }
+
+    // Read a collection, or null if it has never been written
+    function read(collection) {
+        const file = fileFor(collection);
+        const appended = readAppended(collection);
+        if (!fs.existsSync(file)) {
+            return appended;
+        }
+        const items = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return appended ? items.concat(appended) : items;
+    }
+
+    function write(collection, data) {
+        withLock(collection, () => writeAtomic(collection, data));
+    }
+
+    // Read a collection, let fn change it in place and save it, all under
+    // the lock. Returns whatever fn returns.
+    function update(collection, fn) {
+        return withLock(collection, () => {
+            const items = read(collection) || [];
+            const result = fn(items);
+            writeAtomic(collection, items);
+            return result;
+        });
+    }
+
+    function append(collection, item) {
+        withLock(collection, () => fs.appendFileSync(appendedFileFor(collection), `${JSON.stringify(item)}\n`));
+    }
+
+    return {
+        backend: 'json',
+        read,
+        write,
+        update,
+        append
+    };
+}
+
+module.exports = { createJsonStore };
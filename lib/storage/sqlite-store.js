@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { storageBusyError } = require('./errors');
+
+// SQLite storage: collections are kept in a single embedded database file.
+// Each record is a row holding its JSON, and every write or read-modify-write
+// runs in an IMMEDIATE transaction so concurrent writers are serialised. A
+// read-modify-write only writes the rows whose record changed, so adding or
+// editing one record doesn't rewrite the rest of the collection, and append()
+// inserts a single row.
+//
+// Like the JSON store, it never waits for another process's write to finish,
+// which would block the event loop: the transaction fails straight away with
+// a STORAGE_BUSY error instead.
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (err) {
+        throw new Error('The sqlite storage backend needs the better-sqlite3 package. Install it with: npm install better-sqlite3');
+    }
+}
+
+function createSqliteStore(file) {
+    const Database = loadDriver();
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 0');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS collections (
+            name TEXT PRIMARY KEY
+        );
+        CREATE TABLE IF NOT EXISTS documents (
+            collection TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (collection, position)
+        );
+    `);
+
+    const statements = {
+        hasCollection: db.prepare('SELECT 1 FROM collections WHERE name = ?'),
+        addCollection: db.prepare('INSERT OR IGNORE INTO collections (name) VALUES (?)'),
+        selectDocuments: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY position'),
+        deleteDocuments: db.prepare('DELETE FROM documents WHERE collection = ?'),
+        deleteDocumentsFrom: db.prepare('DELETE FROM documents WHERE collection = ? AND position >= ?'),
+        insertDocument: db.prepare('INSERT INTO documents (collection, position, data) VALUES (?, ?, ?)'),
+        saveDocument: db.prepare(`
+            INSERT INTO documents (collection, position, data) VALUES (?, ?, ?)
+            ON CONFLICT (collection, position) DO UPDATE SET data = excluded.data
+        `),
+        appendDocument: db.prepare(`
+            INSERT INTO documents (collection, position, data)
+            SELECT @collection, COALESCE(MAX(position) + 1, 0), @data FROM documents WHERE collection = @collection
+        `)
+    };
+
+    // Run a transaction, turning "another connection is writing" into a
+    // STORAGE_BUSY error
+    function immediate(transaction, collection, ...args) {
+        try {
+            return transaction.immediate(collection, ...args);
+        } catch (err) {
+            if (err.code === 'SQLITE_BUSY') {
+                throw storageBusyError(collection);
+            }
+            throw err;
+        }
+    }
+
+    function readRows(collection) {
+        return statements.selectDocuments.all(collection).map(row => row.data);
+    }
+
+    // Read a collection, or null if it has never been written
+    function read(collection) {
+        if (!statements.hasCollection.get(collection)) {
+            return null;
+        }
+        return readRows(collection).map(data => JSON.parse(data));
+    }
+
+    const replaceCollection = db.transaction((collection, items) => {
+        statements.addCollection.run(collection);
+        statements.deleteDocuments.run(collection);
+        items.forEach((item, position) => {
+            statements.insertDocument.run(collection, position, JSON.stringify(item));
+        });
+    });
+
+    function write(collection, items) {
+        immediate(replaceCollection, collection, items);
+    }
+
+    // Read a collection, let fn change it in place and save the records that
+    // changed, all in one transaction. Records are stored by position, so
+    // removing one rewrites those after it. Returns whatever fn returns.
+    const updateCollection = db.transaction((collection, fn) => {
+        const before = readRows(collection);
+        const items = before.map(data => JSON.parse(data));
+        const result = fn(items);
+
+        statements.addCollection.run(collection);
+        items.forEach((item, position) => {
+            const data = JSON.stringify(item);
+            if (data !== before[position]) {
+                statements.saveDocument.run(collection, position, data);
+            }
+        });
+        if (items.length < before.length) {
+            statements.deleteDocumentsFrom.run(collection, items.length);
+        }
+        return result;
+    });
+
+    function update(collection, fn) {
+        return immediate(updateCollection, collection, fn);
+    }
+
+    const appendDocument = db.transaction((collection, item) => {
+        statements.addCollection.run(collection);
+        statements.appendDocument.run({ collection, data: JSON.stringify(item) });
+    });
+
+    function append(collection, item) {
+        immediate(appendDocument, collection, item);
+    }
+
+    return {
+        backend: 'sqlite',
+        read,
+        write,
+        update,
+        append
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,93 @@
+// Onboarding tracks: named, ordered sets of sections for one kind of joiner,
+// such as AKQA designers, Maytech engineers or team leads. Stored in
+// tracks.json:
+//   { id, name, description, sectionIds, createdAt, createdBy }
+// sectionIds lists the track's sections in the order they are taken. A
+// section can be in any number of tracks; acknowledging it counts towards
+// each of them, as progress is recorded per section.
+//
+// Users follow the track set on their own record (trackId) or, failing that,
+// their cohort's. Users with neither take every published section, in the
+// order set in the section editor.
+
+function nextTrackId(tracks) {
+    return Math.max(...tracks.map(t => t.id), 0) + 1;
+}
+
+function findTrackByName(tracks, name) {
+    const key = String(name).trim().toLowerCase();
+    return tracks.find(t => t.name.toLowerCase() === key) || null;
+}
+
+function createTrack(tracks, { name, description, sectionIds }, actor) {
+    const track = {
+        id: nextTrackId(tracks),
+        name,
+        description: description || '',
+        sectionIds,
+        createdAt: new Date().toISOString(),
+        createdBy: actor
+    };
+
+    tracks.push(track);
+    return track;
+}
+
+// Section IDs in the list that aren't sections at all
+function unknownSectionIds(sectionIds, allSections) {
+    return sectionIds.filter(id => !allSections.some(s => s.id === id));
+}
+
+// The track the user follows, or null if they take every section
+function trackFor(user, cohort, tracks) {
+    const trackId = user.trackId || (cohort && cohort.trackId) || null;
+    return tracks.find(t => t.id === trackId) || null;
+}
+
+// The published sections of a track, in the track's order, or all of them
+// for no track. Sections that haven't been published yet are left out until
+// they are.
+function trackSections(track, sections) {
+    if (!track) {
+        return sections;
+    }
+    return track.sectionIds.map(id => sections.find(s => s.id === id)).filter(Boolean);
+}
+
+// A function returning the sections a user takes, for working through many
+// users at once. `sections` is the list of published sections in display
+// order (see content.getPublishedSections).
+function sectionResolver({ sections, tracks, cohorts }) {
+    return user => trackSections(trackFor(user, cohorts.find(c => c.id === user.cohortId), tracks), sections);
+}
+
+// Admin view of a track: its sections with their titles, and how many users
+// and cohorts follow it. Users in a cohort on the track count unless they
+// have a track of their own. allSections are the admin summaries of every
+// section (see content.toAdminSummary), drafts included.
+function toAdminTrack(track, users, cohorts, allSections) {
+    const cohortIds = cohorts.filter(c => c.trackId === track.id).map(c => c.id);
+
+    return {
+        id: track.id,
+        name: track.name,
+        description: track.description,
+        sectionIds: track.sectionIds,
+        sections: track.sectionIds.map(id => {
+            const section = allSections.find(s => s.id === id);
+            return { id, title: section ? section.title : `Section ${id}` };
+        }),
+        cohorts: cohortIds.length,
+        members: users.filter(u => u.trackId ? u.trackId === track.id : cohortIds.includes(u.cohortId)).length
+    };
+}
+
+module.exports = {
+    findTrackByName,
+    createTrack,
+    unknownSectionIds,
+    trackFor,
+    trackSections,
+    sectionResolver,
+    toAdminTrack
+};
@@ -0,0 +1,120 @@
+const { parseCsv } = require('./csv');
+const { normalizeEmail, findByEmail } = require('./users');
+const { findCohortByName } = require('./cohorts');
+const { checkFields } = require('./validation');
+const schemas = require('./schemas');
+
+// Bulk import of user accounts from CSV. The first line is a header naming the
+// columns; `name` and `email` are required, `role`, `cohort` (the name of an
+// existing cohort) and `start date` are optional. Header matching ignores
+// case, spaces and punctuation, so "Start Date", "start_date" and "startDate"
+// all work.
+const COLUMNS = {
+    name: 'name',
+    email: 'email',
+    role: 'role',
+    cohort: 'cohort',
+    startdate: 'startDate'
+};
+
+const REQUIRED_COLUMNS = ['name', 'email'];
+
+// Each row is checked with the same rules as a user created in the admin
+// form, so an import can't create an account the form would refuse
+const { name, email, role, startDate } = schemas.createUser.body;
+const ROW_FIELDS = { name, email, role, startDate };
+
+// Every imported user is sent an invite email
+const MAX_ROWS = 500;
+
+function headerKey(header) {
+    return COLUMNS[String(header).toLowerCase().replace(/[^a-z]/g, '')] || null;
+}
+
+// Parse the CSV into rows of { line, name, email, role, cohort, startDate }.
+// Returns { rows } or { error } if the file can't be used at all.
+function parseImport(text) {
+    const [header, ...lines] = parseCsv(String(text || ''));
+
+    if (!header) {
+        return { error: 'The file is empty' };
+    }
+
+    const keys = header.map(headerKey);
+    const missing = REQUIRED_COLUMNS.filter(column => !keys.includes(column));
+    if (missing.length > 0) {
+        return { error: `Missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}` };
+    }
+
+    const rows = lines.map((values, index) => {
+        const row = { line: index + 2 };
+        keys.forEach((key, column) => {
+            if (key) {
+                row[key] = String(values[column] || '').trim();
+            }
+        });
+        return row;
+    });
+
+    return { rows };
+}
+
+// Check every row against the existing users and cohorts and the rest of the
+// file. Each row comes back with `errors` (empty when it can be imported) and
+// the account fields it would be created with.
+function validateImport(rows, users, cohorts) {
+    const seen = new Map();
+
+    return rows.map(row => {
+        // Empty optional cells are left out, as if the column wasn't there
+        const { values, fields } = checkFields({
+            name: row.name || '',
+            email: row.email || '',
+            role: row.role ? row.role.toLowerCase() : undefined,
+            startDate: row.startDate || undefined
+        }, ROW_FIELDS);
+        const errors = Object.values(fields || {});
+        const email = values.email || normalizeEmail(row.email || '');
+        const result = {
+            line: row.line,
+            name: values.name || row.name || '',
+            email,
+            role: values.role || (row.role || 'staff').toLowerCase(),
+            cohort: row.cohort || null,
+            cohortId: null,
+            startDate: values.startDate || row.startDate || null,
+            errors
+        };
+
+        if (result.cohort) {
+            const cohort = findCohortByName(cohorts, result.cohort);
+            if (cohort) {
+                result.cohort = cohort.name;
+                result.cohortId = cohort.id;
+            }
+        }
+
+        // A valid email mustn't be taken, here or earlier in the file
+        if (!fields || !fields.email) {
+            if (findByEmail(users, email)) {
+                errors.push('A user with this email already exists');
+            } else if (seen.has(email)) {
+                errors.push(`Duplicate of line ${seen.get(email)}`);
+            } else {
+                seen.set(email, row.line);
+            }
+        }
+
+        if (result.cohort && !result.cohortId) {
+            errors.push(`There is no cohort called "${result.cohort}"`);
+        }
+
+        return result;
+    });
+}
+
+module.exports = {
+    MAX_ROWS,
+    parseImport,
+    validateImport
+};
@@ -0,0 +1,140 @@
+// User accounts, as stored in users.json:
+//   { id, email, password (bcrypt hash), name, role, active, deactivatedAt,
+//     cohortId, trackId, startDate, dueDate, managerId, managerEmail,
+//     passwordChangedAt, mustChangePassword, createdAt }
+// `password` is null for invited users until they accept their invite.
+// `mustChangePassword` is set when someone else chose the password (the
+// seeded accounts, or an admin), and cleared once the user picks their own.
+// `cohortId` is the cohort the user onboards with (see lib/cohorts.js), if any.
+// `dueDate` is when they should finish, if an admin set it; otherwise it
+// comes from their cohort (see lib/due-dates.js). `managerId` is the manager
+// (or admin) they report to, who sees their onboarding on the dashboard.
+// `managerEmail` is copied in on their onboarding reminders, or failing that
+// their manager's own email (see lib/reminders.js).
+
+const ROLES = ['staff', 'manager', 'admin'];
+
+// Roles a user's managerId can point at
+const MANAGER_ROLES = ['manager', 'admin'];
+
+// What each role can do. Staff only take their own onboarding. Managers see
+// the dashboard for their direct reports - the users whose managerId is
+// theirs - and can remind them, but can't change anything. Admins see and
+// manage everyone and everything.
+const PERMISSIONS = {
+    'dashboard.view': ['manager', 'admin'], // progress, drill-down, certificates, export
+    'users.view_all': ['admin'], // everyone, rather than just direct reports
+    'reminders.send': ['manager', 'admin'],
+    'users.manage': ['admin'], // create, import, edit, deactivate, delete, invites
+    'content.manage': ['admin'], // sections, cohorts and tracks
+    'security.manage': ['admin'] // audit log and sign-in lockouts
+};
+
+function can(user, permission) {
+    return Boolean(user) && (PERMISSIONS[permission] || []).includes(user.role);
+}
+
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+// Where to copy the user's reminders: the email set on them, or else their
+// manager's, or null if they have neither
+function managerEmailFor(user, users) {
+    if (user.managerEmail) {
+        return user.managerEmail;
+    }
+    const manager = user.managerId && users.find(u => u.id === user.managerId);
+    return manager ? manager.email : null;
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Deliberately loose: something@something.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isValidEmail(email) {
+    return EMAIL_PATTERN.test(String(email));
+}
+
+// Emails are stored in lower case, so one address is one account however it
+// is typed
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
+
+// The user with this email. Compares in lower case, as users created before
+// emails were normalised may have kept their capitals.
+function findByEmail(users, email) {
+    const wanted = normalizeEmail(email);
+    return users.find(u => normalizeEmail(u.email) === wanted);
+}
+
+// Start dates are calendar dates, YYYY-MM-DD
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+}
+
+// Check a password chosen by a user. Returns an error message, or null if it is acceptable.
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// User IDs are never reused, even after a user is deleted, so records that
+// still name a deleted user (audit events, reminders, certificates) can't be
+// taken for a new user's. The last ID handed out is kept in the counters
+// collection as { name: 'users', value }; initialId() gives the value to
+// start from when there is no counter yet.
+const USER_ID_COUNTER = 'users';
+
+function nextUserId(counters, initialId) {
+    let counter = counters.find(c => c.name === USER_ID_COUNTER);
+    if (!counter) {
+        counter = { name: USER_ID_COUNTER, value: initialId() };
+        counters.push(counter);
+    }
+
+    counter.value += 1;
+    return counter.value;
+}
+
+// User as returned by the admin API, without the password hash
+function toSafeUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        // Users created before deactivation existed have no flag and are active
+        active: user.active !== false,
+        deactivatedAt: user.deactivatedAt || null,
+        // No password yet: invited but hasn't accepted
+        invitePending: !user.password,
+        mustChangePassword: Boolean(user.mustChangePassword),
+        cohortId: user.cohortId || null,
+        trackId: user.trackId || null,
+        startDate: user.startDate || null,
+        dueDate: user.dueDate || null,
+        managerId: user.managerId || null,
+        managerEmail: user.managerEmail || null
+    };
+}
+
+module.exports = {
+    ROLES,
+    MANAGER_ROLES,
+    can,
+    permissionsFor,
+    managerEmailFor,
+    MIN_PASSWORD_LENGTH,
+    isValidEmail,
+    normalizeEmail,
+    findByEmail,
+    validatePassword,
+    isValidDate,
+    nextUserId,
+    toSafeUser
+};
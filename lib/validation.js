@@ -0,0 +1,199 @@
+const { httpError } = require('./errors');
+const { isValidEmail, isValidDate } = require('./users');
+
+// Request validation. Routes declare the fields they accept in a schema (see
+// lib/schemas.js), one for the body and one for the query string:
+//   { body: { field: rules, ... }, query: { field: rules, ... } }
+//
+// Rules for a field (all optional apart from type):
+//   type       - 'string', 'integer', 'number', 'boolean', 'array' or 'object'
+//   label      - name used in messages (default: the field name)
+//   required   - the field must be present
+//   default    - value used when the field is missing
+//   nullable   - null is accepted as a value
+//   trim       - trim strings before checking them
+//   lowercase  - lower-case strings before checking them
+//   allowEmpty - accept empty strings; otherwise a string must have content
+//   minLength, maxLength - for strings and arrays
+//   min, max   - for numbers
+//   enum       - list of accepted values
+//   format     - 'email' or 'date' (YYYY-MM-DD)
+//   items      - rules for each entry of an array
+//   check      - function(value) returning an error message, or null if the
+//                value is fine, for anything the rules above can't express
+//
+// Fields that aren't declared are dropped. Query strings only carry text, so
+// numbers and booleans in the query are converted first.
+
+const TYPE_MESSAGES = {
+    string: 'must be text',
+    integer: 'must be a whole number',
+    number: 'must be a number',
+    boolean: 'must be true or false',
+    array: 'must be a list',
+    object: 'must be an object'
+};
+
+function hasType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default: return false;
+    }
+}
+
+// Turn query string text into the declared type, where it looks like one
+function fromQueryString(value, type) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// Check one value against its rules. Returns { value } or { error }.
+function checkValue(value, rules, label) {
+    if (value === null && rules.nullable) {
+        return { value };
+    }
+
+    if (rules.trim && typeof value === 'string') {
+        value = value.trim();
+    }
+    if (rules.lowercase && typeof value === 'string') {
+        value = value.toLowerCase();
+    }
+
+    if (!hasType(value, rules.type)) {
+        return { error: `${label} ${TYPE_MESSAGES[rules.type]}` };
+    }
+
+    if (rules.type === 'string' && value === '' && !rules.allowEmpty) {
+        return { error: `${label} is required` };
+    }
+
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return { error: rules.type === 'array'
+            ? `${label} must have at least ${rules.minLength} entries`
+            : `${label} must be at least ${rules.minLength} characters` };
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return { error: rules.type === 'array'
+            ? `${label} can have at most ${rules.maxLength} entries`
+            : `${label} must be at most ${rules.maxLength} characters` };
+    }
+
+    if (rules.min !== undefined && value < rules.min) {
+        return { error: `${label} must be at least ${rules.min}` };
+    }
+    if (rules.max !== undefined && value > rules.max) {
+        return { error: `${label} must be at most ${rules.max}` };
+    }
+
+    if (rules.enum && !rules.enum.includes(value)) {
+        return { error: `${label} must be one of: ${rules.enum.join(', ')}` };
+    }
+
+    if (rules.format === 'email' && !isValidEmail(value)) {
+        return { error: 'Please enter a valid email address' };
+    }
+    if (rules.format === 'date' && !isValidDate(value)) {
+        return { error: `${label} must be a date (YYYY-MM-DD)` };
+    }
+
+    if (rules.items) {
+        for (let i = 0; i < value.length; i++) {
+            const item = checkValue(value[i], rules.items, `${label} entry ${i + 1}`);
+            if (item.error) {
+                return item;
+            }
+            value[i] = item.value;
+        }
+    }
+
+    if (rules.check) {
+        const error = rules.check(value);
+        if (error) {
+            return { error };
+        }
+    }
+
+    return { value };
+}
+
+// Check an object against a schema. Returns { values, fields }, where fields
+// maps each invalid field to its message (null when everything is valid).
+// Also used on input that doesn't arrive as a request body, like the rows of
+// a user import.
+function checkFields(input, schema, fromQuery) {
+    const source = hasType(input, 'object') ? input : {};
+    const values = {};
+    const fields = {};
+
+    Object.keys(schema).forEach(name => {
+        const rules = schema[name];
+        const label = rules.label || name;
+        let value = source[name];
+
+        if (fromQuery) {
+            value = fromQueryString(value, rules.type);
+        }
+
+        if (value === undefined) {
+            if (rules.required) {
+                fields[name] = `${label} is required`;
+            } else if (rules.default !== undefined) {
+                values[name] = rules.default;
+            }
+            return;
+        }
+
+        const result = checkValue(value, rules, label);
+        if (result.error) {
+            fields[name] = result.error;
+        } else {
+            values[name] = result.value;
+        }
+    });
+
+    return { values, fields: Object.keys(fields).length > 0 ? fields : null };
+}
+
+// Middleware that validates the body and query against a schema, replacing
+// them with the checked values or failing with a 400 VALIDATION_FAILED error
+function validate(schema) {
+    return (req, res, next) => {
+        const fields = {};
+
+        ['body', 'query'].forEach(part => {
+            if (!schema[part]) {
+                return;
+            }
+            const result = checkFields(req[part], schema[part], part === 'query');
+            req[part] = result.values;
+            Object.assign(fields, result.fields);
+        });
+
+        const names = Object.keys(fields);
+        if (names.length > 0) {
+            const message = names.length === 1 ? fields[names[0]] : 'Some fields are not valid';
+            return next(httpError(400, 'VALIDATION_FAILED', message, fields));
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    checkFields,
+    validate
+};
@@ -0,0 +1,156 @@
+// Audit log: sign-ins, acknowledgments and admin actions, newest first,
+// filtered by user, event type and date and shown a page at a time
+
+// State
+let auditPage = 1;
+let auditTotalPages = 1;
+let auditEventTypes = {};
+
+// DOM Elements
+const auditContent = document.getElementById('audit-content');
+const auditFilters = document.getElementById('audit-filters');
+const auditUserSelect = document.getElementById('audit-user');
+const auditTypeSelect = document.getElementById('audit-type');
+const auditFromInput = document.getElementById('audit-from');
+const auditToInput = document.getElementById('audit-to');
+const auditPrevBtn = document.getElementById('audit-prev');
+const auditNextBtn = document.getElementById('audit-next');
+const auditPageInfo = document.getElementById('audit-page-info');
+
+// Called from admin.js whenever the dashboard data is loaded, and when the
+// filters or page change
+async function loadAuditLog() {
+    renderAuditUserOptions();
+
+    const params = new URLSearchParams({ page: auditPage });
+    if (auditUserSelect.value) params.set('userId', auditUserSelect.value);
+    if (auditTypeSelect.value) params.set('type', auditTypeSelect.value);
+    if (auditFromInput.value) params.set('from', auditFromInput.value);
+    if (auditToInput.value) params.set('to', auditToInput.value);
+
+    try {
+        const response = await apiFetch(`/api/admin/audit?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            auditContent.innerHTML = `<div class="empty-state"><h3>Cannot show the audit log</h3><p>${escapeHtml(data.error.message)}</p></div>`;
+            return;
+        }
+
+        auditEventTypes = data.types;
+        renderAuditTypeOptions();
+        auditTotalPages = Math.max(1, Math.ceil(data.total / data.pageSize));
+        renderAuditTable(data.events, data.total);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        auditContent.innerHTML = '<div class="empty-state"><h3>Error loading audit log</h3><p>Please try refreshing the page.</p></div>';
+    }
+}
+
+// Users from admin.js. Deleted users drop out of the list, but their events
+// are still in the log.
+function renderAuditUserOptions() {
+    const selected = auditUserSelect.value;
+    const options = allUsers
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(user => `<option value="${user.id}">${escapeHtml(user.name)} (${escapeHtml(user.email)})</option>`)
+        .join('');
+
+    auditUserSelect.innerHTML = `<option value="">All users</option>${options}`;
+    auditUserSelect.value = selected;
+}
+
+function renderAuditTypeOptions() {
+    const selected = auditTypeSelect.value;
+    const options = Object.keys(auditEventTypes)
+        .map(type => `<option value="${type}">${escapeHtml(auditEventTypes[type])}</option>`)
+        .join('');
+
+    auditTypeSelect.innerHTML = `<option value="">All events</option>${options}`;
+    auditTypeSelect.value = selected;
+}
+
+function renderAuditTable(events, total) {
+    auditPrevBtn.disabled = auditPage <= 1;
+    auditNextBtn.disabled = auditPage >= auditTotalPages;
+    auditPageInfo.textContent = total === 0 ? '' : `Page ${auditPage} of ${auditTotalPages} (${total} events)`;
+
+    if (events.length === 0) {
+        auditContent.innerHTML = `
+            <div class="empty-state">
+                <h3>No Events</h3>
+                <p>No audit events match these filters.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = events.map(event => `
+        <tr>
+            <td>${formatDateTime(event.at)}</td>
+            <td><strong>${escapeHtml(auditEventTypes[event.type] || event.type)}</strong></td>
+            <td>${event.actorEmail ? escapeHtml(event.actorEmail) : '—'}</td>
+            <td>${event.targetLabel !== null ? escapeHtml(event.targetLabel) : '—'}</td>
+            <td class="audit-details">${formatAuditDetails(event.details)}</td>
+            <td class="audit-details" title="${escapeHtml(event.userAgent || '')}">${escapeHtml(event.ip || '')}</td>
+        </tr>
+    `).join('');
+
+    auditContent.innerHTML = `
+        <table class="progress-table">
+            <thead>
+                <tr>
+                    <th>When</th>
+                    <th>Event</th>
+                    <th>By</th>
+                    <th>Target</th>
+                    <th>Details</th>
+                    <th>IP Address</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// "key: value" lines; edits show each field's old and new value
+function formatAuditDetails(details) {
+    return Object.keys(details).map(key => {
+        const value = details[key];
+        if (key === 'changes') {
+            return Object.keys(value)
+                .map(field => `${escapeHtml(field)}: ${escapeHtml(value[field].from)} → ${escapeHtml(value[field].to)}`)
+                .join('<br>');
+        }
+        const text = Array.isArray(value) ? value.join(', ') : value;
+        return `${escapeHtml(key)}: ${escapeHtml(text)}`;
+    }).join('<br>');
+}
+
+// Called from admin.js once the admin session is confirmed
+function initAuditLog() {
+    auditFilters.addEventListener('submit', (e) => {
+        e.preventDefault();
+        auditPage = 1;
+        loadAuditLog();
+    });
+
+    // Wait for the form to clear before loading
+    auditFilters.addEventListener('reset', () => {
+        setTimeout(() => {
+            auditPage = 1;
+            loadAuditLog();
+        });
+    });
+
+    auditPrevBtn.addEventListener('click', () => {
+        auditPage--;
+        loadAuditLog();
+    });
+
+    auditNextBtn.addEventListener('click', () => {
+        auditPage++;
+        loadAuditLog();
+    });
+}
@@ -0,0 +1,261 @@
+// Cohorts: create, edit and delete cohorts, compare how far each has got,
+// and pick the cohort the dashboard stats and table are scoped to
+
+// State
+let adminCohorts = [];
+let selectedCohortId = null; // Cohort the dashboard is showing, or null for everyone
+let editingCohortId = null; // Cohort open in the modal, or null when creating one
+
+// DOM Elements
+const cohortsContent = document.getElementById('cohorts-content');
+const cohortFilter = document.getElementById('cohort-filter');
+const newCohortBtn = document.getElementById('new-cohort-btn');
+const cohortModal = document.getElementById('cohort-modal');
+const cohortModalTitle = document.getElementById('cohort-modal-title');
+const cohortForm = document.getElementById('cohort-form');
+const cohortCancelBtn = document.getElementById('cohort-cancel-btn');
+
+// Called from admin.js whenever the dashboard data is loaded, before the
+// progress table, which shows each user's cohort
+async function loadCohorts() {
+    try {
+        const response = await apiFetch('/api/admin/cohorts');
+        if (!response.ok) {
+            throw new Error('Request failed');
+        }
+        adminCohorts = await response.json();
+
+        // The selected cohort may have been deleted
+        if (!adminCohorts.some(c => c.id === selectedCohortId)) {
+            selectedCohortId = null;
+        }
+
+        renderCohortOptions();
+        renderCohortsTable();
+    } catch (error) {
+        console.error('Error loading cohorts:', error);
+        cohortsContent.innerHTML = '<div class="empty-state"><h3>Error loading cohorts</h3><p>Please try refreshing the page.</p></div>';
+    }
+}
+
+function cohortName(cohortId) {
+    const cohort = adminCohorts.find(c => c.id === cohortId);
+    return cohort ? cohort.name : '';
+}
+
+// Fill the dashboard filter and the cohort pickers in the user forms
+function renderCohortOptions() {
+    const options = adminCohorts
+        .map(cohort => `<option value="${cohort.id}">${escapeHtml(cohort.name)}</option>`)
+        .join('');
+
+    cohortFilter.innerHTML = `<option value="">All cohorts</option>${options}`;
+    cohortFilter.value = selectedCohortId === null ? '' : String(selectedCohortId);
+
+    ['user-cohort', 'edit-user-cohort'].forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = `<option value="">No cohort</option>${options}`;
+        select.value = selected;
+    });
+}
+
+// Cohort comparison: each cohort's staff and how far they have got
+function renderCohortsTable() {
+    if (adminCohorts.length === 0) {
+        cohortsContent.innerHTML = `
+            <div class="empty-state">
+                <h3>No Cohorts</h3>
+                <p>${can('content.manage')
+                    ? 'Create a cohort for each intake to compare how they are getting on.'
+                    : 'None of your direct reports are in a cohort.'}</p>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = adminCohorts.map(cohort => `
+        <tr class="${cohort.id === selectedCohortId ? 'selected-row' : ''}">
+            <td>
+                <strong>${escapeHtml(cohort.name)}</strong><br>
+                <small>${escapeHtml(cohort.company)} &middot; ${escapeHtml(cohort.team)}</small>
+            </td>
+            <td>${formatDate(cohort.startDate)}</td>
+            <td>${cohort.dueDate ? formatDate(cohort.dueDate) : '&mdash;'}</td>
+            <td>${cohort.trackId ? escapeHtml(trackName(cohort.trackId)) : 'All sections'}</td>
+            <td>${cohort.stats.staff}</td>
+            <td>${cohort.stats.completed}</td>
+            <td>${cohort.stats.inProgress}</td>
+            <td>${cohort.stats.notStarted}</td>
+            <td>${cohort.stats.overdue}</td>
+            <td class="progress-bar-cell">
+                <div class="mini-progress-bar">
+                    <div class="mini-progress-fill" style="width: ${cohort.stats.averageProgress}%"></div>
+                </div>
+                <small>${cohort.stats.averageProgress}%</small>
+            </td>
+            <td class="row-actions">
+                <button class="table-btn" data-action="show" data-id="${cohort.id}">Show</button>
+                ${can('content.manage') ? `
+                    <button class="table-btn" data-action="edit" data-id="${cohort.id}">Edit</button>
+                    <button class="table-btn danger" data-action="delete" data-id="${cohort.id}">Delete</button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+
+    cohortsContent.innerHTML = `
+        <table class="progress-table">
+            <thead>
+                <tr>
+                    <th>Cohort</th>
+                    <th>Start Date</th>
+                    <th>Due Date</th>
+                    <th>Track</th>
+                    <th>Staff</th>
+                    <th>Completed</th>
+                    <th>In Progress</th>
+                    <th>Not Started</th>
+                    <th>Overdue</th>
+                    <th>Average Progress</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Scope the dashboard to one cohort (or everyone, with null)
+async function selectCohort(cohortId) {
+    selectedCohortId = cohortId;
+    tableQuery.page = 1;
+    await loadData();
+}
+
+function openCohortEditor(cohortId) {
+    const cohort = adminCohorts.find(c => c.id === cohortId);
+
+    editingCohortId = cohort ? cohort.id : null;
+    cohortModalTitle.textContent = cohort ? 'Edit Cohort' : 'New Cohort';
+    document.getElementById('cohort-name').value = cohort ? cohort.name : '';
+    document.getElementById('cohort-start-date').value = cohort ? cohort.startDate : '';
+    document.getElementById('cohort-company').value = cohort ? cohort.company : 'Maytech';
+    document.getElementById('cohort-team').value = cohort ? cohort.team : '';
+    document.getElementById('cohort-completion-days').value = cohort && cohort.completionDays ? cohort.completionDays : '';
+    document.getElementById('cohort-track').value = cohort && cohort.trackId ? String(cohort.trackId) : '';
+    cohortModal.classList.add('active');
+}
+
+function closeCohortEditor() {
+    cohortModal.classList.remove('active');
+    cohortForm.reset();
+    editingCohortId = null;
+}
+
+async function saveCohort() {
+    const completionDays = document.getElementById('cohort-completion-days').value;
+    const trackValue = document.getElementById('cohort-track').value;
+    const cohort = {
+        name: document.getElementById('cohort-name').value,
+        startDate: document.getElementById('cohort-start-date').value,
+        company: document.getElementById('cohort-company').value,
+        team: document.getElementById('cohort-team').value,
+        completionDays: completionDays ? Number(completionDays) : null,
+        trackId: trackValue ? Number(trackValue) : null
+    };
+    const url = editingCohortId === null ? '/api/admin/cohorts' : `/api/admin/cohorts/${editingCohortId}`;
+
+    const submitBtn = cohortForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    showFieldErrors(cohortForm);
+
+    try {
+        const response = await apiFetch(url, {
+            method: editingCohortId === null ? 'POST' : 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(cohort)
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            closeCohortEditor();
+            await loadData();
+        } else if (!showFieldErrors(cohortForm, data.error.fields)) {
+            alert(data.error.message);
+        }
+    } catch (error) {
+        console.error('Error saving cohort:', error);
+        alert('Error saving cohort. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+async function deleteCohort(cohortId) {
+    const cohort = adminCohorts.find(c => c.id === cohortId);
+    if (!cohort) {
+        return;
+    }
+
+    const members = cohort.members === 1 ? '1 member' : `${cohort.members} members`;
+    if (!confirm(`Delete the ${cohort.name} cohort? Its ${members} will be kept, without a cohort.`)) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/api/admin/cohorts/${cohortId}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+        }
+
+        await loadData();
+    } catch (error) {
+        console.error('Error deleting cohort:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Called from admin.js once the admin session is confirmed
+function initCohorts() {
+    cohortFilter.addEventListener('change', () => {
+        selectCohort(cohortFilter.value ? Number(cohortFilter.value) : null);
+    });
+
+    newCohortBtn.addEventListener('click', () => openCohortEditor(null));
+
+    cohortsContent.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const cohortId = Number(button.dataset.id);
+        if (button.dataset.action === 'show') {
+            selectCohort(cohortId);
+        } else if (button.dataset.action === 'edit') {
+            openCohortEditor(cohortId);
+        } else if (button.dataset.action === 'delete') {
+            deleteCohort(cohortId);
+        }
+    });
+
+    cohortCancelBtn.addEventListener('click', closeCohortEditor);
+
+    cohortModal.addEventListener('click', (e) => {
+        if (e.target === cohortModal) {
+            closeCohortEditor();
+        }
+    });
+
+    cohortForm.addEventListener('reset', () => showFieldErrors(cohortForm));
+
+    cohortForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveCohort();
+    });
+}
@@ -0,0 +1,151 @@
+// Bulk user import: upload a CSV, preview the validation report, then create the accounts
+
+// State
+let importCsv = null; // Text of the chosen file
+
+// DOM Elements
+const importUsersBtn = document.getElementById('import-users-btn');
+const importModal = document.getElementById('import-modal');
+const importFileInput = document.getElementById('import-file');
+const importResults = document.getElementById('import-results');
+const importCancelBtn = document.getElementById('import-cancel-btn');
+const importPreviewBtn = document.getElementById('import-preview-btn');
+const importSubmitBtn = document.getElementById('import-submit-btn');
+
+// Called from admin.js once the admin session is confirmed
+function initUserImport() {
+    importUsersBtn.addEventListener('click', () => {
+        resetImport();
+        importModal.classList.add('active');
+    });
+
+    importCancelBtn.addEventListener('click', closeImport);
+
+    importModal.addEventListener('click', (e) => {
+        if (e.target === importModal) {
+            closeImport();
+        }
+    });
+
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        importCsv = file ? await file.text() : null;
+        importResults.innerHTML = '';
+        importPreviewBtn.disabled = !importCsv;
+        importSubmitBtn.disabled = true;
+    });
+
+    importPreviewBtn.addEventListener('click', () => runImport(true));
+    importSubmitBtn.addEventListener('click', () => runImport(false));
+}
+
+function resetImport() {
+    importCsv = null;
+    importFileInput.value = '';
+    importResults.innerHTML = '';
+    importPreviewBtn.disabled = true;
+    importSubmitBtn.disabled = true;
+}
+
+function closeImport() {
+    importModal.classList.remove('active');
+    resetImport();
+}
+
+// Validate the file (dryRun) or create the accounts
+async function runImport(dryRun) {
+    const button = dryRun ? importPreviewBtn : importSubmitBtn;
+    const label = button.textContent;
+    button.disabled = true;
+    button.innerHTML = `<span class="loading"></span>${dryRun ? 'Checking...' : 'Importing...'}`;
+
+    try {
+        const response = await apiFetch('/api/admin/users/import', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ csv: importCsv, dryRun })
+        });
+
+        const data = await response.json();
+
+        if (!data.rows) {
+            alert(data.error.message);
+            return;
+        }
+
+        importResults.innerHTML = renderImportResults(data);
+        // Only allow importing once a preview has come back clean
+        importSubmitBtn.disabled = !(dryRun && data.valid);
+
+        if (!dryRun && data.created > 0) {
+            importPreviewBtn.disabled = true;
+            await loadData();
+        }
+    } catch (error) {
+        console.error('Error importing users:', error);
+        alert('Error importing users. Please try again.');
+    } finally {
+        button.textContent = label;
+        if (dryRun) {
+            button.disabled = !importCsv;
+        }
+    }
+}
+
+function renderImportResults(data) {
+    const failed = data.rows.filter(row => row.errors.length > 0).length;
+    let summary;
+
+    if (data.created > 0) {
+        summary = `Created ${data.created} user${data.created === 1 ? '' : 's'} and emailed them an invitation to choose a password.`;
+    } else if (failed > 0) {
+        summary = `${failed} of ${data.rows.length} rows have errors. Fix the file and preview it again - no users are created until every row is valid.`;
+    } else {
+        summary = `All ${data.rows.length} rows are valid and ready to import.`;
+    }
+
+    const rows = data.rows.map(row => {
+        let result;
+        if (row.errors.length > 0) {
+            result = `<span class="import-error">${row.errors.map(escapeHtml).join('<br>')}</span>`;
+        } else if (row.id) {
+            result = row.inviteSent
+                ? 'Created &middot; invitation sent'
+                : '<span class="import-error">Created, but the invitation email was not delivered - resend it from Invitations</span>';
+        } else {
+            result = 'Ready';
+        }
+
+        return `
+            <tr class="${row.errors.length > 0 ? 'import-row-error' : ''}">
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.name)}</td>
+                <td>${escapeHtml(row.email)}</td>
+                <td>${escapeHtml(row.role)}</td>
+                <td>${escapeHtml(row.cohort || '')}</td>
+                <td>${escapeHtml(row.startDate || '')}</td>
+                <td>${result}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <p class="import-summary">${summary}</p>
+        <table class="progress-table import-table">
+            <thead>
+                <tr>
+                    <th>Line</th>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Cohort</th>
+                    <th>Start Date</th>
+                    <th>Result</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
@@ -0,0 +1,135 @@
+// Invitations: list invite links sent to new users, resend or revoke them
+
+// State
+let adminInvites = [];
+
+// DOM Elements
+const invitesContent = document.getElementById('invites-content');
+
+const INVITE_STATUSES = {
+    pending: { className: 'status-in-progress', text: 'Pending' },
+    accepted: { className: 'status-completed', text: 'Accepted' },
+    expired: { className: 'status-not-started', text: 'Expired' },
+    revoked: { className: 'status-deactivated', text: 'Revoked' }
+};
+
+// Called from admin.js whenever the dashboard data is loaded
+async function loadInvites() {
+    try {
+        const response = await apiFetch('/api/admin/invites');
+        if (!response.ok) {
+            throw new Error('Request failed');
+        }
+        adminInvites = await response.json();
+        renderInvitesTable();
+    } catch (error) {
+        console.error('Error loading invites:', error);
+        invitesContent.innerHTML = '<div class="empty-state"><h3>Error loading invitations</h3><p>Please try refreshing the page.</p></div>';
+    }
+}
+
+function renderInvitesTable() {
+    if (adminInvites.length === 0) {
+        invitesContent.innerHTML = `
+            <div class="empty-state">
+                <h3>No Invitations</h3>
+                <p>New users are emailed an invitation to choose their password.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = adminInvites.map(invite => {
+        const status = INVITE_STATUSES[invite.status];
+        const canResend = invite.status !== 'accepted';
+
+        return `
+            <tr>
+                <td><strong>${escapeHtml(invite.name || 'Deleted user')}</strong></td>
+                <td>${escapeHtml(invite.email)}</td>
+                <td><span class="status-badge ${status.className}">${status.text}</span></td>
+                <td>${formatDateTime(invite.createdAt)}</td>
+                <td>${invite.status === 'accepted' ? formatDateTime(invite.acceptedAt) : formatDateTime(invite.expiresAt)}</td>
+                <td class="row-actions">
+                    ${canResend && invite.name ? `<button class="table-btn" data-action="resend" data-id="${invite.id}">Resend</button>` : ''}
+                    ${invite.status === 'pending' ? `<button class="table-btn danger" data-action="revoke" data-id="${invite.id}">Revoke</button>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    invitesContent.innerHTML = `
+        <table class="progress-table">
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Status</th>
+                    <th>Sent</th>
+                    <th>Expires / Accepted</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+async function resendInvite(id) {
+    try {
+        const response = await apiFetch(`/api/admin/invites/${id}/resend`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+            return;
+        }
+
+        if (data.inviteSent) {
+            alert(`A new invitation has been sent to ${data.invite.email}. Earlier links no longer work.`);
+        } else {
+            prompt('The invitation email was not delivered. Send this link instead:', data.inviteUrl);
+        }
+        await loadInvites();
+    } catch (error) {
+        console.error('Error resending invite:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+async function revokeInvite(id) {
+    if (!confirm('Revoke this invitation? The link will stop working.')) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/api/admin/invites/${id}/revoke`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+            return;
+        }
+
+        await loadInvites();
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Called from admin.js once the admin session is confirmed
+function initInvites() {
+    invitesContent.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        if (button.dataset.action === 'resend') {
+            resendInvite(button.dataset.id);
+        } else if (button.dataset.action === 'revoke') {
+            revokeInvite(button.dataset.id);
+        }
+    });
+}
@@ -0,0 +1,90 @@
+// Sign-in lockouts: list IPs and accounts locked out after too many failed
+// sign-ins, and clear them
+
+// State
+let adminLockouts = [];
+
+// DOM Elements
+const lockoutsContent = document.getElementById('lockouts-content');
+
+// Called from admin.js whenever the dashboard data is loaded
+async function loadLockouts() {
+    try {
+        const response = await apiFetch('/api/admin/lockouts');
+        if (!response.ok) {
+            throw new Error('Request failed');
+        }
+        adminLockouts = await response.json();
+        renderLockoutsTable();
+    } catch (error) {
+        console.error('Error loading lockouts:', error);
+        lockoutsContent.innerHTML = '<div class="empty-state"><h3>Error loading lockouts</h3><p>Please try refreshing the page.</p></div>';
+    }
+}
+
+function renderLockoutsTable() {
+    if (adminLockouts.length === 0) {
+        lockoutsContent.innerHTML = `
+            <div class="empty-state">
+                <h3>No Locked Sign-ins</h3>
+                <p>Accounts and IP addresses with too many failed sign-ins are locked out for a while and listed here.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = adminLockouts.map(lockout => `
+        <tr>
+            <td>${lockout.type === 'account' ? 'Account' : 'IP address'}</td>
+            <td><strong>${escapeHtml(lockout.key)}</strong></td>
+            <td>${escapeHtml(lockout.name || '')}</td>
+            <td>${formatDateTime(lockout.lastFailureAt)}</td>
+            <td>${formatDateTime(lockout.lockedUntil)}</td>
+            <td class="row-actions">
+                <button class="table-btn" data-type="${lockout.type}" data-key="${escapeHtml(lockout.key)}">Unlock</button>
+            </td>
+        </tr>
+    `).join('');
+
+    lockoutsContent.innerHTML = `
+        <table class="progress-table">
+            <thead>
+                <tr>
+                    <th>Type</th>
+                    <th>Account / IP</th>
+                    <th>User</th>
+                    <th>Last Failure</th>
+                    <th>Locked Until</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+async function clearLockout(type, key) {
+    try {
+        const response = await apiFetch(`/api/admin/lockouts/${type}/${encodeURIComponent(key)}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+        }
+
+        await loadLockouts();
+    } catch (error) {
+        console.error('Error clearing lockout:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Called from admin.js once the admin session is confirmed
+function initLockouts() {
+    lockoutsContent.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-key]');
+        if (button) {
+            clearLockout(button.dataset.type, button.dataset.key);
+        }
+    });
+}
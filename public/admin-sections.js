@@ -0,0 +1,425 @@
+// Section editor: create, edit, reorder and publish onboarding content
+
+// State
+let adminSections = [];
+let editingSection = null; // Section being edited, or null when creating one
+
+// DOM Elements
+const sectionsContent = document.getElementById('sections-content');
+const newSectionBtn = document.getElementById('new-section-btn');
+const sectionModal = document.getElementById('section-modal');
+const sectionModalTitle = document.getElementById('section-modal-title');
+const sectionForm = document.getElementById('section-form');
+const sectionTitleInput = document.getElementById('section-title');
+const sectionStepLabelInput = document.getElementById('section-step-label');
+const sectionRequiresAckInput = document.getElementById('section-requires-ack');
+const sectionDueDaysInput = document.getElementById('section-due-days');
+const sectionHtmlInput = document.getElementById('section-html');
+const sectionCancelBtn = document.getElementById('section-cancel-btn');
+const sectionSaveBtn = document.getElementById('section-save-btn');
+const sectionPublishBtn = document.getElementById('section-publish-btn');
+const sectionHistory = document.getElementById('section-history');
+const quizPassMarkInput = document.getElementById('quiz-pass-mark');
+const quizQuestions = document.getElementById('quiz-questions');
+const addQuestionBtn = document.getElementById('add-question-btn');
+
+// Escape user-provided text before inserting it as HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Calendar dates (YYYY-MM-DD), shown without a time zone shift
+function formatDate(value) {
+    return new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+// Called from admin.js once the admin session is confirmed
+async function initSectionEditor() {
+    setupSectionEditorListeners();
+    await loadAdminSections();
+}
+
+// Load all sections, including drafts
+async function loadAdminSections() {
+    try {
+        const response = await apiFetch('/api/admin/sections');
+        if (!response.ok) {
+            throw new Error('Request failed');
+        }
+        adminSections = await response.json();
+        renderSectionsTable();
+    } catch (error) {
+        console.error('Error loading sections:', error);
+        sectionsContent.innerHTML = '<div class="empty-state"><h3>Error loading sections</h3><p>Please try refreshing the page.</p></div>';
+    }
+}
+
+function sectionStatus(section) {
+    if (!section.publishedVersion) {
+        return { className: 'status-not-started', text: 'Unpublished' };
+    }
+    if (section.hasDraft) {
+        return { className: 'status-draft', text: `v${section.publishedVersion} + Draft` };
+    }
+    return { className: 'status-completed', text: `Published v${section.publishedVersion}` };
+}
+
+// Render the section list
+function renderSectionsTable() {
+    if (adminSections.length === 0) {
+        sectionsContent.innerHTML = `
+            <div class="empty-state">
+                <h3>No Sections</h3>
+                <p>Create a section to start building the onboarding content.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = adminSections.map((section, index) => {
+        const status = sectionStatus(section);
+        return `
+            <tr>
+                <td>
+                    <button class="table-btn" data-action="move-up" data-index="${index}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="table-btn" data-action="move-down" data-index="${index}" ${index === adminSections.length - 1 ? 'disabled' : ''}>↓</button>
+                </td>
+                <td><strong>${escapeHtml(section.title)}</strong></td>
+                <td>${escapeHtml(section.stepLabel)}</td>
+                <td>${section.dueDays ? `${section.dueDays} days` : '&mdash;'}</td>
+                <td><span class="status-badge ${status.className}">${status.text}</span></td>
+                <td>${formatDateTime(section.updatedAt)}</td>
+                <td>
+                    <button class="table-btn" data-action="edit" data-id="${section.id}">Edit</button>
+                    ${section.hasDraft ? `<button class="table-btn" data-action="publish" data-id="${section.id}">Publish</button>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    sectionsContent.innerHTML = `
+        <table class="progress-table">
+            <thead>
+                <tr>
+                    <th>Order</th>
+                    <th>Title</th>
+                    <th>Step Label</th>
+                    <th>Deadline</th>
+                    <th>Status</th>
+                    <th>Last Edited</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Move a section one place up or down
+async function moveSection(index, offset) {
+    const order = adminSections.map(s => s.id);
+    const target = index + offset;
+    [order[index], order[target]] = [order[target], order[index]];
+
+    try {
+        const response = await apiFetch('/api/admin/sections/order', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ order })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+            return;
+        }
+
+        adminSections = data.sections;
+        renderSectionsTable();
+    } catch (error) {
+        console.error('Error reordering sections:', error);
+        alert('Error reordering sections. Please try again.');
+    }
+}
+
+// Open the editor for an existing section, or a blank one when id is null
+async function openSectionEditor(id) {
+    editingSection = null;
+    sectionForm.reset();
+    quizQuestions.innerHTML = '';
+    sectionHistory.innerHTML = '';
+
+    if (id === null) {
+        sectionModalTitle.textContent = 'New Section';
+        sectionModal.classList.add('active');
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/api/admin/sections/${id}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+            return;
+        }
+
+        editingSection = data;
+        sectionModalTitle.textContent = `Edit Section: ${data.title}`;
+        fillSectionForm(data.versions[data.versions.length - 1]);
+        renderVersionHistory(data);
+        sectionModal.classList.add('active');
+    } catch (error) {
+        console.error('Error loading section:', error);
+        alert('Error loading section. Please try again.');
+    }
+}
+
+function fillSectionForm(version) {
+    sectionTitleInput.value = version.title;
+    sectionStepLabelInput.value = version.stepLabel;
+    sectionRequiresAckInput.checked = version.requiresAcknowledgment;
+    sectionDueDaysInput.value = version.dueDays || '';
+    sectionHtmlInput.value = version.html;
+
+    quizQuestions.innerHTML = '';
+    quizPassMarkInput.value = version.quiz ? version.quiz.passMark : 80;
+    if (version.quiz) {
+        version.quiz.questions.forEach(addQuestionEditor);
+    }
+}
+
+// Add an editor block for a quiz question, optionally pre-filled
+function addQuestionEditor(question) {
+    const block = document.createElement('div');
+    block.className = 'quiz-question-editor';
+    block.innerHTML = `
+        <input type="text" class="question-text" placeholder="Question" required>
+        <textarea class="question-options" placeholder="One option per line" required></textarea>
+        <div class="quiz-question-actions">
+            <label>Correct option number <input type="number" class="question-answer" min="1" required></label>
+            <button type="button" class="table-btn" data-remove-question>Remove</button>
+        </div>
+    `;
+
+    if (question) {
+        block.querySelector('.question-text').value = question.text;
+        block.querySelector('.question-options').value = question.options.join('\n');
+        block.querySelector('.question-answer').value = question.answer + 1;
+    }
+
+    quizQuestions.appendChild(block);
+}
+
+// Read the quiz from the editor. Returns null when there are no questions.
+function readQuizForm() {
+    const questions = Array.from(quizQuestions.querySelectorAll('.quiz-question-editor')).map(block => ({
+        text: block.querySelector('.question-text').value,
+        options: block.querySelector('.question-options').value.split('\n').map(o => o.trim()).filter(Boolean),
+        answer: Number(block.querySelector('.question-answer').value) - 1
+    }));
+
+    if (questions.length === 0) {
+        return null;
+    }
+
+    return {
+        passMark: Number(quizPassMarkInput.value),
+        questions
+    };
+}
+
+function renderVersionHistory(section) {
+    const items = section.versions.slice().reverse().map(version => {
+        let label = 'Draft';
+        if (version.version === section.publishedVersion) {
+            label = `Published ${formatDateTime(version.publishedAt)} (current)`;
+        } else if (version.publishedAt) {
+            label = `Published ${formatDateTime(version.publishedAt)}`;
+        }
+
+        return `
+            <div class="version-item">
+                <span><strong>v${version.version}</strong> &middot; ${label}</span>
+                <button type="button" class="table-btn" data-version="${version.version}">Load into editor</button>
+            </div>
+        `;
+    }).join('');
+
+    sectionHistory.innerHTML = `<h3>Version History</h3>${items}`;
+}
+
+function closeSectionEditor() {
+    sectionModal.classList.remove('active');
+    sectionForm.reset();
+    quizQuestions.innerHTML = '';
+    editingSection = null;
+}
+
+// Save the form as a draft. Returns the section ID, or null on failure.
+async function saveSectionDraft() {
+    const body = {
+        title: sectionTitleInput.value,
+        stepLabel: sectionStepLabelInput.value,
+        requiresAcknowledgment: sectionRequiresAckInput.checked,
+        dueDays: sectionDueDaysInput.value ? Number(sectionDueDaysInput.value) : null,
+        html: sectionHtmlInput.value,
+        quiz: readQuizForm()
+    };
+
+    const url = editingSection ? `/api/admin/sections/${editingSection.id}` : '/api/admin/sections';
+    const response = await apiFetch(url, {
+        method: editingSection ? 'PUT' : 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        alert(data.error.message);
+        return null;
+    }
+
+    return editingSection ? editingSection.id : data.section.id;
+}
+
+// Publish the latest draft of a section
+async function publishAdminSection(id) {
+    const confirmed = confirm('Publish this section? Staff who acknowledged an earlier version will be asked to acknowledge it again.');
+    if (!confirmed) {
+        return false;
+    }
+
+    const response = await apiFetch(`/api/admin/sections/${id}/publish`, { method: 'POST' });
+    const data = await response.json();
+
+    if (!response.ok) {
+        alert(data.error.message);
+        return false;
+    }
+
+    if (data.staleAcknowledgments > 0) {
+        alert(`Section published. ${data.staleAcknowledgments} staff member(s) will be asked to acknowledge it again.`);
+    }
+    return true;
+}
+
+// Setup event listeners
+function setupSectionEditorListeners() {
+    newSectionBtn.addEventListener('click', () => openSectionEditor(null));
+
+    sectionsContent.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action } = button.dataset;
+        if (action === 'move-up' || action === 'move-down') {
+            await moveSection(Number(button.dataset.index), action === 'move-up' ? -1 : 1);
+        } else if (action === 'edit') {
+            await openSectionEditor(Number(button.dataset.id));
+        } else if (action === 'publish') {
+            try {
+                if (await publishAdminSection(Number(button.dataset.id))) {
+                    await Promise.all([loadAdminSections(), loadData()]);
+                }
+            } catch (error) {
+                console.error('Error publishing section:', error);
+                alert('Error publishing section. Please try again.');
+            }
+        }
+    });
+
+    // Load an earlier version's content into the form
+    sectionHistory.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-version]');
+        if (!button || !editingSection) return;
+
+        const version = editingSection.versions.find(v => v.version === Number(button.dataset.version));
+        if (version) {
+            fillSectionForm(version);
+        }
+    });
+
+    addQuestionBtn.addEventListener('click', () => addQuestionEditor(null));
+
+    quizQuestions.addEventListener('click', (e) => {
+        if (e.target.closest('[data-remove-question]')) {
+            e.target.closest('.quiz-question-editor').remove();
+        }
+    });
+
+    sectionCancelBtn.addEventListener('click', closeSectionEditor);
+
+    sectionModal.addEventListener('click', (e) => {
+        if (e.target === sectionModal) {
+            closeSectionEditor();
+        }
+    });
+
+    // Save draft
+    sectionForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        sectionSaveBtn.disabled = true;
+        sectionSaveBtn.innerHTML = '<span class="loading"></span>Saving...';
+
+        try {
+            if (await saveSectionDraft() !== null) {
+                closeSectionEditor();
+                await loadAdminSections();
+            }
+        } catch (error) {
+            console.error('Error saving section:', error);
+            alert('Error saving section. Please try again.');
+        } finally {
+            sectionSaveBtn.disabled = false;
+            sectionSaveBtn.textContent = 'Save Draft';
+        }
+    });
+
+    // Save and publish
+    sectionPublishBtn.addEventListener('click', async () => {
+        if (!sectionForm.reportValidity()) return;
+
+        sectionPublishBtn.disabled = true;
+        sectionPublishBtn.innerHTML = '<span class="loading"></span>Publishing...';
+
+        try {
+            const id = await saveSectionDraft();
+            if (id !== null) {
+                await publishAdminSection(id);
+                closeSectionEditor();
+                await Promise.all([loadAdminSections(), loadData()]);
+            }
+        } catch (error) {
+            console.error('Error publishing section:', error);
+            alert('Error publishing section. Please try again.');
+        } finally {
+            sectionPublishBtn.disabled = false;
+            sectionPublishBtn.textContent = 'Save & Publish';
+        }
+    });
+}
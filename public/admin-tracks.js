@@ -0,0 +1,296 @@
+// Tracks: create, edit and delete the ordered sets of sections that
+// different joiners take, and pick the track the dashboard is scoped to
+
+// State
+let adminTracks = [];
+let selectedTrackId = null; // Track the dashboard is showing, or null for everyone
+let editingTrackId = null; // Track open in the modal, or null when creating one
+let trackSectionIds = []; // Sections of the track in the modal, in order
+
+// DOM Elements
+const tracksContent = document.getElementById('tracks-content');
+const trackFilter = document.getElementById('track-filter');
+const newTrackBtn = document.getElementById('new-track-btn');
+const trackModal = document.getElementById('track-modal');
+const trackModalTitle = document.getElementById('track-modal-title');
+const trackForm = document.getElementById('track-form');
+const trackSectionList = document.getElementById('track-section-list');
+const trackAddSection = document.getElementById('track-add-section');
+const trackAddSectionBtn = document.getElementById('track-add-section-btn');
+const trackCancelBtn = document.getElementById('track-cancel-btn');
+
+// Called from admin.js whenever the dashboard data is loaded, before the
+// progress table, which shows each user's track
+async function loadTracks() {
+    try {
+        const response = await apiFetch('/api/admin/tracks');
+        if (!response.ok) {
+            throw new Error('Request failed');
+        }
+        adminTracks = await response.json();
+
+        // The selected track may have been deleted
+        if (!adminTracks.some(t => t.id === selectedTrackId)) {
+            selectedTrackId = null;
+        }
+
+        renderTrackOptions();
+        renderTracksTable();
+    } catch (error) {
+        console.error('Error loading tracks:', error);
+        tracksContent.innerHTML = '<div class="empty-state"><h3>Error loading tracks</h3><p>Please try refreshing the page.</p></div>';
+    }
+}
+
+function trackName(trackId) {
+    const track = adminTracks.find(t => t.id === trackId);
+    return track ? track.name : '';
+}
+
+// Fill the dashboard filter and the track pickers in the user and cohort forms
+function renderTrackOptions() {
+    const options = adminTracks
+        .map(track => `<option value="${track.id}">${escapeHtml(track.name)}</option>`)
+        .join('');
+
+    trackFilter.innerHTML = `<option value="">All tracks</option>${options}`;
+    trackFilter.value = selectedTrackId === null ? '' : String(selectedTrackId);
+
+    const emptyOptions = {
+        'user-track': "Cohort's track",
+        'edit-user-track': "Cohort's track",
+        'cohort-track': 'All sections'
+    };
+    Object.keys(emptyOptions).forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = `<option value="">${emptyOptions[id]}</option>${options}`;
+        select.value = selected;
+    });
+}
+
+function renderTracksTable() {
+    if (adminTracks.length === 0) {
+        tracksContent.innerHTML = `
+            <div class="empty-state">
+                <h3>No Tracks</h3>
+                <p>${can('content.manage')
+                    ? 'Everyone takes every section. Create a track to give a role or company its own set of sections.'
+                    : 'Your direct reports take every section.'}</p>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = adminTracks.map(track => `
+        <tr class="${track.id === selectedTrackId ? 'selected-row' : ''}">
+            <td>
+                <strong>${escapeHtml(track.name)}</strong>
+                ${track.description ? `<br><small>${escapeHtml(track.description)}</small>` : ''}
+            </td>
+            <td>${track.sections.map(s => escapeHtml(s.title)).join(' &rarr; ')}</td>
+            <td>${track.members}</td>
+            <td>${track.cohorts}</td>
+            <td class="row-actions">
+                <button class="table-btn" data-action="show" data-id="${track.id}">Show</button>
+                ${can('content.manage') ? `
+                    <button class="table-btn" data-action="edit" data-id="${track.id}">Edit</button>
+                    <button class="table-btn danger" data-action="delete" data-id="${track.id}">Delete</button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+
+    tracksContent.innerHTML = `
+        <table class="progress-table">
+            <thead>
+                <tr>
+                    <th>Track</th>
+                    <th>Sections</th>
+                    <th>Users</th>
+                    <th>Cohorts</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Scope the dashboard to one track (or everyone, with null)
+async function selectTrack(trackId) {
+    selectedTrackId = trackId;
+    tableQuery.page = 1;
+    await loadData();
+}
+
+function sectionTitle(sectionId) {
+    const section = adminSections.find(s => s.id === sectionId);
+    return section ? section.title : `Section ${sectionId}`;
+}
+
+// The track's sections in order, and the sections that could still be added
+function renderTrackSections() {
+    trackSectionList.innerHTML = trackSectionIds.length === 0
+        ? '<li class="form-hint">No sections yet.</li>'
+        : trackSectionIds.map((id, index) => `
+            <li>
+                <span>${index + 1}. ${escapeHtml(sectionTitle(id))}</span>
+                <span>
+                    <button type="button" class="table-btn" data-action="move-up" data-index="${index}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="table-btn" data-action="move-down" data-index="${index}" ${index === trackSectionIds.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="table-btn danger" data-action="remove" data-index="${index}">Remove</button>
+                </span>
+            </li>
+        `).join('');
+
+    const available = adminSections.filter(s => !trackSectionIds.includes(s.id));
+    trackAddSection.innerHTML = available
+        .map(section => `<option value="${section.id}">${escapeHtml(section.title)}${section.publishedVersion ? '' : ' (unpublished)'}</option>`)
+        .join('');
+    trackAddSectionBtn.disabled = available.length === 0;
+}
+
+function openTrackEditor(trackId) {
+    const track = adminTracks.find(t => t.id === trackId);
+
+    editingTrackId = track ? track.id : null;
+    trackModalTitle.textContent = track ? 'Edit Track' : 'New Track';
+    document.getElementById('track-name').value = track ? track.name : '';
+    document.getElementById('track-description').value = track ? track.description : '';
+    // New tracks start from every section, to be trimmed down
+    trackSectionIds = track ? track.sectionIds.slice() : adminSections.map(s => s.id);
+    renderTrackSections();
+    trackModal.classList.add('active');
+}
+
+function closeTrackEditor() {
+    trackModal.classList.remove('active');
+    trackForm.reset();
+    editingTrackId = null;
+    trackSectionIds = [];
+}
+
+async function saveTrack() {
+    const track = {
+        name: document.getElementById('track-name').value,
+        description: document.getElementById('track-description').value,
+        sectionIds: trackSectionIds
+    };
+    const url = editingTrackId === null ? '/api/admin/tracks' : `/api/admin/tracks/${editingTrackId}`;
+
+    const submitBtn = trackForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    showFieldErrors(trackForm);
+
+    try {
+        const response = await apiFetch(url, {
+            method: editingTrackId === null ? 'POST' : 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(track)
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            closeTrackEditor();
+            await loadData();
+        } else if (!showFieldErrors(trackForm, data.error.fields)) {
+            alert(data.error.message);
+        }
+    } catch (error) {
+        console.error('Error saving track:', error);
+        alert('Error saving track. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+async function deleteTrack(trackId) {
+    const track = adminTracks.find(t => t.id === trackId);
+    if (!track) {
+        return;
+    }
+
+    if (!confirm(`Delete the ${track.name} track? Its users and cohorts will take every section instead.`)) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/api/admin/tracks/${trackId}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+        }
+
+        await loadData();
+    } catch (error) {
+        console.error('Error deleting track:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Called from admin.js once the admin session is confirmed
+function initTracks() {
+    trackFilter.addEventListener('change', () => {
+        selectTrack(trackFilter.value ? Number(trackFilter.value) : null);
+    });
+
+    newTrackBtn.addEventListener('click', () => openTrackEditor(null));
+
+    tracksContent.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const trackId = Number(button.dataset.id);
+        if (button.dataset.action === 'show') {
+            selectTrack(trackId);
+        } else if (button.dataset.action === 'edit') {
+            openTrackEditor(trackId);
+        } else if (button.dataset.action === 'delete') {
+            deleteTrack(trackId);
+        }
+    });
+
+    trackSectionList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const index = Number(button.dataset.index);
+        if (button.dataset.action === 'remove') {
+            trackSectionIds.splice(index, 1);
+        } else {
+            const target = button.dataset.action === 'move-up' ? index - 1 : index + 1;
+            [trackSectionIds[index], trackSectionIds[target]] = [trackSectionIds[target], trackSectionIds[index]];
+        }
+        renderTrackSections();
+    });
+
+    trackAddSectionBtn.addEventListener('click', () => {
+        if (trackAddSection.value) {
+            trackSectionIds.push(Number(trackAddSection.value));
+            renderTrackSections();
+        }
+    });
+
+    trackCancelBtn.addEventListener('click', closeTrackEditor);
+
+    trackModal.addEventListener('click', (e) => {
+        if (e.target === trackModal) {
+            closeTrackEditor();
+        }
+    });
+
+    trackForm.addEventListener('reset', () => showFieldErrors(trackForm));
+
+    trackForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveTrack();
+    });
+}
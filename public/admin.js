@@ -1,28 +1,51 @@
 // State
-let allProgress = [];
-let allUsers = [];
-const totalSections = 7;
+let allUsers = []; // Every user, for the manager and audit log pickers (admins only)
+let tableRows = []; // The page of the table shown: users joined with their progress
+let tableQuery = { q: '', status: '', sort: 'name', order: 'asc', page: 1 };
+let tableTotalPages = 1;
+let sectionTitles = {}; // Section titles by ID
+let currentUserId = null; // The signed-in admin or manager
+let currentPermissions = []; // What they can do (see PERMISSIONS in lib/users.js)
+let editingUserId = null; // User open in the edit modal
 
 // DOM Elements
 const logoutBtn = document.getElementById('logout-btn');
 const refreshBtn = document.getElementById('refresh-btn');
+const exportBtn = document.getElementById('export-btn');
+const exportFormat = document.getElementById('export-format');
 const addUserBtn = document.getElementById('add-user-btn');
 const addUserModal = document.getElementById('add-user-modal');
 const addUserForm = document.getElementById('add-user-form');
 const cancelBtn = document.getElementById('cancel-btn');
 const tableContent = document.getElementById('table-content');
+const userSearch = document.getElementById('user-search');
+const statusFilter = document.getElementById('status-filter');
+const tablePrevBtn = document.getElementById('table-prev');
+const tableNextBtn = document.getElementById('table-next');
+const tablePageInfo = document.getElementById('table-page-info');
+const editUserModal = document.getElementById('edit-user-modal');
+const editUserForm = document.getElementById('edit-user-form');
+const editCancelBtn = document.getElementById('edit-cancel-btn');
+const userProgressModal = document.getElementById('user-progress-modal');
+const userProgressTitle = document.getElementById('user-progress-title');
+const userProgressContent = document.getElementById('user-progress-content');
+const userProgressCloseBtn = document.getElementById('user-progress-close-btn');
 
 // Stats elements
 const totalStaffEl = document.getElementById('total-staff');
 const completedCountEl = document.getElementById('completed-count');
 const inProgressCountEl = document.getElementById('in-progress-count');
 const notStartedCountEl = document.getElementById('not-started-count');
+const overdueCountEl = document.getElementById('overdue-count');
+const dueSoonCountEl = document.getElementById('due-soon-count');
+
+const TABLE_PAGE_SIZE = 25;
 
 // Initialize
 async function init() {
     try {
         // Check session
-        const sessionResponse = await fetch('/api/session');
+        const sessionResponse = await apiFetch('/api/session');
         if (!sessionResponse.ok) {
             window.location.href = '/';
             return;
@@ -30,91 +53,235 @@ async function init() {
 
         const sessionData = await sessionResponse.json();
         const currentUser = sessionData.user;
+        currentUserId = currentUser.id;
+
+        if (currentUser.mustChangePassword) {
+            window.location.href = '/change-password';
+            return;
+        }
 
-        // Check if admin
-        if (currentUser.role !== 'admin') {
+        // Staff have the onboarding page instead
+        currentPermissions = currentUser.permissions;
+        if (!can('dashboard.view')) {
             window.location.href = '/onboarding';
             return;
         }
+        showRole(currentUser.role);
 
         // Load data
         await loadData();
 
         // Setup event listeners
         setupEventListeners();
+
+        if (can('users.manage')) {
+            // Bulk user import (admin-import.js)
+            initUserImport();
+
+            // Invitations (admin-invites.js)
+            initInvites();
+        }
+
+        if (can('security.manage')) {
+            // Sign-in lockouts (admin-lockouts.js)
+            initLockouts();
+
+            // Audit log (admin-audit.js)
+            initAuditLog();
+        }
+
+        // Cohorts (admin-cohorts.js)
+        initCohorts();
+
+        // Tracks (admin-tracks.js)
+        initTracks();
+
+        // Section editor (admin-sections.js)
+        if (can('content.manage')) {
+            await initSectionEditor();
+        }
     } catch (error) {
         console.error('Initialization error:', error);
         window.location.href = '/';
     }
 }
 
+function can(permission) {
+    return currentPermissions.includes(permission);
+}
+
+// Managers get a read-only dashboard of their direct reports: take away the
+// panels and buttons for what their role can't do (marked data-permission)
+function showRole(role) {
+    document.getElementById('role-badge').textContent = role.toUpperCase();
+
+    if (!can('users.view_all')) {
+        document.getElementById('dashboard-subtitle').textContent = 'Follow the onboarding of the people who report to you';
+    }
+
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        if (!can(el.dataset.permission)) {
+            el.remove();
+        }
+    });
+}
+
 // Load all data
 async function loadData() {
     try {
         // Show loading state
         tableContent.innerHTML = '<div class="empty-state"><h3>Loading...</h3></div>';
 
-        // Fetch users and progress
-        const [usersResponse, progressResponse] = await Promise.all([
-            fetch('/api/admin/users'),
-            fetch('/api/admin/progress')
-        ]);
+        // Tracks (admin-tracks.js) and cohorts (admin-cohorts.js) first, as
+        // the table is for the selected ones. Cohorts show their track.
+        await loadTracks();
+        await loadCohorts();
 
-        if (usersResponse.ok) {
-            allUsers = await usersResponse.json();
+        const sectionsResponse = await apiFetch('/api/admin/sections');
+        if (sectionsResponse.ok) {
+            const sections = await sectionsResponse.json();
+            sectionTitles = Object.fromEntries(sections.map(s => [s.id, s.title]));
         }
 
-        if (progressResponse.ok) {
-            allProgress = await progressResponse.json();
+        await loadTable();
+
+        // Everyone, for the pickers in the user forms and the audit log
+        if (can('users.manage')) {
+            const usersResponse = await apiFetch('/api/admin/users/directory');
+            if (usersResponse.ok) {
+                allUsers = await usersResponse.json();
+            }
         }
 
-        // Render dashboard
-        renderStats();
-        renderTable();
+        // Invitations (admin-invites.js), sign-in lockouts (admin-lockouts.js)
+        // and the audit log (admin-audit.js), for admins
+        if (can('users.manage')) {
+            await loadInvites();
+        }
+        if (can('security.manage')) {
+            await loadLockouts();
+            await loadAuditLog();
+        }
     } catch (error) {
         console.error('Error loading data:', error);
         tableContent.innerHTML = '<div class="empty-state"><h3>Error loading data</h3><p>Please try refreshing the page.</p></div>';
     }
 }
 
-// Render statistics
-function renderStats() {
-    const staffUsers = allUsers.filter(u => u.role === 'staff');
-    const totalStaff = staffUsers.length;
-
-    let completed = 0;
-    let inProgress = 0;
-    let notStarted = 0;
+// Fetch the page of the table being shown. The server searches, filters,
+// sorts and counts (see lib/dashboard.js); the statistics are for everyone in
+// the cohort (admin-cohorts.js) and track (admin-tracks.js) shown.
+async function loadTable() {
+    try {
+        const params = new URLSearchParams({
+            sort: tableQuery.sort,
+            order: tableQuery.order,
+            page: tableQuery.page,
+            pageSize: TABLE_PAGE_SIZE
+        });
+        if (tableQuery.q) {
+            params.set('q', tableQuery.q);
+        }
+        if (tableQuery.status) {
+            params.set('status', tableQuery.status);
+        }
+        if (selectedCohortId !== null) {
+            params.set('cohortId', selectedCohortId);
+        }
+        if (selectedTrackId !== null) {
+            params.set('trackId', selectedTrackId);
+        }
 
-    staffUsers.forEach(user => {
-        const userProgress = allProgress.find(p => p.userId === user.id);
+        const response = await apiFetch(`/api/admin/users?${params}`);
+        if (!response.ok) {
+            throw new Error('Request failed');
+        }
+        const data = await response.json();
 
-        if (!userProgress || userProgress.completedSections === 0) {
-            notStarted++;
-        } else if (userProgress.completedSections >= totalSections - 1) {
-            completed++;
-        } else {
-            inProgress++;
+        // Users removed or filtered out can leave the page past the last one
+        tableTotalPages = Math.max(1, Math.ceil(data.total / data.pageSize));
+        if (tableQuery.page > tableTotalPages) {
+            tableQuery.page = tableTotalPages;
+            return loadTable();
         }
-    });
 
-    totalStaffEl.textContent = totalStaff;
-    completedCountEl.textContent = completed;
-    inProgressCountEl.textContent = inProgress;
-    notStartedCountEl.textContent = notStarted;
+        tableRows = data.rows;
+        renderStats(data.stats);
+        renderTable(data.total);
+    } catch (error) {
+        console.error('Error loading users:', error);
+        tableContent.innerHTML = '<div class="empty-state"><h3>Error loading data</h3><p>Please try refreshing the page.</p></div>';
+    }
+}
+
+// Show the table from its first page, after the search or a filter changes
+async function reloadTable() {
+    tableQuery.page = 1;
+    await loadTable();
 }
 
-// Render progress table
-function renderTable() {
-    const staffUsers = allUsers.filter(u => u.role === 'staff');
+// Render statistics, worked out by the server
+function renderStats(stats) {
+    totalStaffEl.textContent = stats.staff;
+    completedCountEl.textContent = stats.completed;
+    inProgressCountEl.textContent = stats.inProgress;
+    notStartedCountEl.textContent = stats.notStarted;
+    overdueCountEl.textContent = stats.overdue;
+    dueSoonCountEl.textContent = stats.dueSoon;
+}
 
-    if (staffUsers.length === 0) {
-        tableContent.innerHTML = `
-            <div class="empty-state">
-                <h3>No Staff Members</h3>
-                <p>Add users to start tracking their onboarding progress.</p>
-            </div>
-        `;
+// A column heading that sorts the table by that column, and turns the order
+// round when it already does
+function sortHeader(sort, label) {
+    const active = tableQuery.sort === sort;
+    const arrow = active ? (tableQuery.order === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th><button type="button" class="sort-btn ${active ? 'active' : ''}" data-sort="${sort}">${label}${arrow}</button></th>`;
+}
+
+// Render progress table: staff first, then admins and managers so their
+// accounts can be managed too (the server sorts them that way)
+function renderTable(total) {
+    tablePrevBtn.disabled = tableQuery.page <= 1;
+    tableNextBtn.disabled = tableQuery.page >= tableTotalPages;
+    tablePageInfo.textContent = total === 0 ? '' : `Page ${tableQuery.page} of ${tableTotalPages} (${total} user${total === 1 ? '' : 's'})`;
+
+    if (tableRows.length === 0) {
+        if (tableQuery.q || tableQuery.status) {
+            tableContent.innerHTML = `
+                <div class="empty-state">
+                    <h3>No Matches</h3>
+                    <p>Nobody matches the search and status filter.</p>
+                </div>
+            `;
+        } else if (!can('users.view_all')) {
+            tableContent.innerHTML = `
+                <div class="empty-state">
+                    <h3>No Direct Reports</h3>
+                    <p>Nobody here reports to you. Ask an admin to set you as the manager of your new joiners.</p>
+                </div>
+            `;
+        } else if (selectedCohortId === null && selectedTrackId === null) {
+            tableContent.innerHTML = `
+                <div class="empty-state">
+                    <h3>No Staff Members</h3>
+                    <p>Add users to start tracking their onboarding progress.</p>
+                </div>
+            `;
+        } else if (selectedTrackId === null) {
+            tableContent.innerHTML = `
+                <div class="empty-state">
+                    <h3>No Members</h3>
+                    <p>Add users to this cohort from their Edit button, or import them with a cohort column.</p>
+                </div>
+            `;
+        } else {
+            tableContent.innerHTML = `
+                <div class="empty-state">
+                    <h3>No Members</h3>
+                    <p>Nobody here is on this track. Set it on users from their Edit button, or on their cohort.</p>
+                </div>
+            `;
+        }
         return;
     }
 
@@ -122,21 +289,25 @@ function renderTable() {
         <table class="progress-table">
             <thead>
                 <tr>
-                    <th>Name</th>
-                    <th>Email</th>
-                    <th>Progress</th>
+                    ${sortHeader('name', 'Name')}
+                    ${sortHeader('email', 'Email')}
+                    <th>Cohort</th>
+                    <th>Track</th>
+                    ${sortHeader('progress', 'Progress')}
                     <th>Status</th>
-                    <th>Last Updated</th>
+                    ${sortHeader('dueDate', 'Due')}
+                    <th>Knowledge Checks</th>
+                    ${sortHeader('lastUpdated', 'Last Updated')}
+                    <th></th>
                 </tr>
             </thead>
             <tbody>
     `;
 
-    staffUsers.forEach(user => {
-        const userProgress = allProgress.find(p => p.userId === user.id);
-        const completedSections = userProgress ? userProgress.completedSections : 0;
-        const percentage = Math.round((completedSections / (totalSections - 1)) * 100);
-        const lastUpdated = userProgress && userProgress.lastUpdated
+    tableRows.forEach(user => {
+        const userProgress = user.progress;
+        const { completedSections, requiredSections, percentage } = userProgress;
+        const lastUpdated = userProgress.lastUpdated
             ? new Date(userProgress.lastUpdated).toLocaleDateString('en-US', {
                 year: 'numeric',
                 month: 'short',
@@ -152,7 +323,7 @@ function renderTable() {
         if (completedSections === 0) {
             statusClass = 'status-not-started';
             statusText = 'Not Started';
-        } else if (completedSections >= totalSections - 1) {
+        } else if (completedSections >= requiredSections) {
             statusClass = 'status-completed';
             statusText = 'Completed';
         } else {
@@ -160,20 +331,37 @@ function renderTable() {
             statusText = 'In Progress';
         }
 
+        const isStaff = user.role === 'staff';
+
         tableHTML += `
-            <tr>
-                <td><strong>${user.name}</strong></td>
-                <td>${user.email}</td>
+            <tr class="${user.active ? '' : 'inactive-row'}">
+                <td><strong>${escapeHtml(user.name)}</strong></td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>${escapeHtml(cohortName(user.cohortId))}</td>
+                <td>${userProgress.trackId ? escapeHtml(trackName(userProgress.trackId)) : ''}</td>
                 <td class="progress-bar-cell">
-                    <div class="mini-progress-bar">
-                        <div class="mini-progress-fill" style="width: ${percentage}%"></div>
-                    </div>
-                    <small>${completedSections} / ${totalSections - 1} sections (${percentage}%)</small>
+                    ${isStaff ? `
+                        <div class="mini-progress-bar">
+                            <div class="mini-progress-fill" style="width: ${percentage}%"></div>
+                        </div>
+                        <small>${completedSections} / ${requiredSections} sections (${percentage}%)</small>
+                    ` : '&mdash;'}
+                </td>
+                <td>
+                    ${isStaff
+                        ? `<span class="status-badge ${statusClass}">${statusText}</span>`
+                        : `<span class="status-badge status-admin">${user.role === 'admin' ? 'Admin' : 'Manager'}</span>`}
+                    ${renderDueBadge(userProgress)}
+                    ${user.invitePending ? '<span class="status-badge status-invited">Invited</span>' : ''}
+                    ${user.active ? '' : '<span class="status-badge status-deactivated">Deactivated</span>'}
                 </td>
+                <td>${userProgress.dueDate ? formatDate(userProgress.dueDate) : '&mdash;'}</td>
+                <td class="quiz-scores">${renderQuizScores(userProgress)}</td>
                 <td>
-                    <span class="status-badge ${statusClass}">${statusText}</span>
+                    ${lastUpdated}
+                    ${userProgress.lastRemindedAt ? `<br><small>Reminded ${formatDateTime(userProgress.lastRemindedAt)}</small>` : ''}
                 </td>
-                <td>${lastUpdated}</td>
+                <td class="row-actions">${renderUserActions(user, userProgress)}</td>
             </tr>
         `;
     });
@@ -186,12 +374,351 @@ function renderTable() {
     tableContent.innerHTML = tableHTML;
 }
 
+// "Overdue" or "Due soon" next to the status, for staff who are behind
+function renderDueBadge(userProgress) {
+    if (!userProgress || !userProgress.dueStatus) {
+        return '';
+    }
+    return userProgress.dueStatus === 'overdue'
+        ? '<span class="status-badge status-overdue">Overdue</span>'
+        : '<span class="status-badge status-due-soon">Due Soon</span>';
+}
+
+// Row buttons for managing a user. Admins can't deactivate or delete themselves.
+// Reminders are for active staff who have signed up and not yet finished.
+// Managers can only look and send reminders.
+function renderUserActions(user, userProgress) {
+    const isSelf = user.id === currentUserId;
+    const actions = [
+        `<button class="table-btn" data-action="details" data-user-id="${user.id}">Details</button>`
+    ];
+
+    if (can('users.manage')) {
+        actions.push(`<button class="table-btn" data-action="edit" data-user-id="${user.id}">Edit</button>`);
+    }
+
+    if (can('reminders.send') && user.role === 'staff' && user.active && !user.invitePending && userProgress.status !== 'completed') {
+        actions.push(`<button class="table-btn" data-action="remind" data-user-id="${user.id}">Remind</button>`);
+    }
+
+    if (userProgress.status === 'completed') {
+        actions.push(`<button class="table-btn" data-action="certificate" data-user-id="${user.id}">Certificate</button>`);
+    }
+
+    if (!can('users.manage')) {
+        return actions.join('');
+    }
+
+    if (user.role === 'staff') {
+        actions.push(`<button class="table-btn" data-action="reset-progress" data-user-id="${user.id}">Reset Progress</button>`);
+    }
+
+    if (user.active) {
+        actions.push(`<button class="table-btn" data-action="deactivate" data-user-id="${user.id}" ${isSelf ? 'disabled' : ''}>Deactivate</button>`);
+    } else {
+        actions.push(`<button class="table-btn" data-action="reactivate" data-user-id="${user.id}">Reactivate</button>`);
+    }
+
+    actions.push(`<button class="table-btn danger" data-action="delete" data-user-id="${user.id}" ${isSelf ? 'disabled' : ''}>Delete</button>`);
+    return actions.join('');
+}
+
+function openEditUser(userId) {
+    const user = tableRows.find(u => u.id === userId);
+    if (!user) {
+        return;
+    }
+
+    editingUserId = user.id;
+    document.getElementById('edit-user-name').value = user.name;
+    document.getElementById('edit-user-email').value = user.email;
+    document.getElementById('edit-user-role').value = user.role;
+    // Admins can't demote themselves
+    document.getElementById('edit-user-role').disabled = user.id === currentUserId;
+    document.getElementById('edit-user-cohort').value = user.cohortId === null ? '' : String(user.cohortId);
+    document.getElementById('edit-user-track').value = user.trackId === null ? '' : String(user.trackId);
+    document.getElementById('edit-user-start-date').value = user.startDate || '';
+    document.getElementById('edit-user-due-date').value = user.dueDate || '';
+    renderManagerOptions('edit-user-manager', user);
+    document.getElementById('edit-user-manager-email').value = user.managerEmail || '';
+    editUserModal.classList.add('active');
+}
+
+// Fill a manager picker with the managers and admins, leaving out the user
+// being edited (nobody manages themselves)
+function renderManagerOptions(selectId, user) {
+    const select = document.getElementById(selectId);
+    const options = allUsers
+        .filter(u => (u.role === 'manager' || u.role === 'admin') && !(user && u.id === user.id))
+        .map(u => `<option value="${u.id}">${escapeHtml(u.name)} (${escapeHtml(u.email)})</option>`)
+        .join('');
+
+    select.innerHTML = `<option value="">No manager</option>${options}`;
+    select.value = user && user.managerId !== null ? String(user.managerId) : '';
+}
+
+function closeEditUser() {
+    editUserModal.classList.remove('active');
+    editUserForm.reset();
+    editingUserId = null;
+}
+
+// Show validation errors from the API under the matching inputs of a form
+// (the .field-error element with that data-field), clearing the others.
+// Returns true if any were shown.
+function showFieldErrors(form, fields = {}) {
+    let shown = false;
+
+    form.querySelectorAll('.field-error').forEach(el => {
+        const message = fields[el.dataset.field] || '';
+        el.textContent = message;
+        el.parentElement.classList.toggle('invalid', Boolean(message));
+        shown = shown || Boolean(message);
+    });
+
+    return shown;
+}
+
+// Run one of the row actions that change a user, after confirming it
+async function runUserAction(action, userId) {
+    const user = tableRows.find(u => u.id === userId);
+    if (!user) {
+        return;
+    }
+
+    const requests = {
+        'remind': {
+            confirm: `Email ${user.name} a reminder to finish their onboarding${user.managerEmail || user.managerId ? ', with a copy to their manager' : ''}?`,
+            method: 'POST',
+            url: `/api/admin/users/${userId}/reminder`,
+            done: data => `Reminder sent to ${user.email}${data.managerNotified ? ` and ${data.reminder.managerEmail}` : ''}.`
+        },
+        'deactivate': {
+            confirm: `Deactivate ${user.name}? They will no longer be able to log in, but their progress is kept.`,
+            method: 'POST',
+            url: `/api/admin/users/${userId}/deactivate`
+        },
+        'reactivate': {
+            confirm: null,
+            method: 'POST',
+            url: `/api/admin/users/${userId}/reactivate`
+        },
+        'reset-progress': {
+            confirm: `Reset all onboarding progress for ${user.name}? They will have to start again from the first section.`,
+            method: 'POST',
+            url: `/api/admin/users/${userId}/reset-progress`
+        },
+        'delete': {
+            confirm: `Permanently delete ${user.name} and their onboarding history? This cannot be undone.`,
+            method: 'DELETE',
+            url: `/api/admin/users/${userId}`
+        }
+    };
+    const request = requests[action];
+
+    if (request.confirm && !confirm(request.confirm)) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(request.url, { method: request.method });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+            return;
+        }
+
+        if (request.done) {
+            alert(request.done(data));
+        }
+
+        await loadData();
+    } catch (error) {
+        console.error('Error updating user:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Summarise a user's quiz attempts: latest score and attempt count per section
+function renderQuizScores(userProgress) {
+    const attempted = userProgress
+        ? userProgress.sections.filter(s => s.quizAttempts && s.quizAttempts.length > 0)
+        : [];
+
+    if (attempted.length === 0) {
+        return '&mdash;';
+    }
+
+    return attempted.map(entry => {
+        const latest = entry.quizAttempts[entry.quizAttempts.length - 1];
+        const title = sectionTitles[entry.id] || `Section ${entry.id}`;
+        const attempts = entry.quizAttempts.length;
+        return `${escapeHtml(title)}: ${latest.score}% ${latest.passed ? '✓' : '✗'} (${attempts} attempt${attempts === 1 ? '' : 's'})`;
+    }).join('<br>');
+}
+
+// "3 days", "5 hours", "12 minutes" - the largest whole unit of a duration
+function formatDuration(ms) {
+    const units = [
+        ['day', 24 * 60 * 60 * 1000],
+        ['hour', 60 * 60 * 1000],
+        ['minute', 60 * 1000]
+    ];
+
+    for (const [unit, size] of units) {
+        const count = Math.floor(ms / size);
+        if (count >= 1) {
+            return `${count} ${unit}${count === 1 ? '' : 's'}`;
+        }
+    }
+
+    return 'under a minute';
+}
+
+// Show one user's progress section by section
+async function openUserProgress(userId) {
+    try {
+        const response = await apiFetch(`/api/admin/users/${userId}/progress`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.error.message);
+            return;
+        }
+
+        userProgressTitle.textContent = data.user.name;
+        userProgressContent.innerHTML = renderUserTimeline(data);
+        userProgressModal.classList.add('active');
+    } catch (error) {
+        console.error('Error loading user progress:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+function renderUserTimeline(data) {
+    const summary = `
+        <p class="user-progress-summary">
+            ${escapeHtml(data.user.email)} &middot;
+            ${data.track ? `${escapeHtml(data.track.name)} track &middot;` : ''}
+            ${data.completedSections} / ${data.requiredSections} sections acknowledged &middot;
+            Last updated ${data.lastUpdated ? formatDateTime(data.lastUpdated) : 'never'}
+            ${data.dueDate ? `&middot; Due ${formatDate(data.dueDate)}` : ''}
+            ${renderDueBadge(data)}
+        </p>
+        ${data.reminders.length ? `
+            <p class="user-progress-summary">
+                Reminded ${data.reminders.map(r => formatDateTime(r.sentAt)).join(', ')}
+            </p>
+        ` : ''}
+    `;
+
+    const items = data.sections.map(section => {
+        let statusClass = '';
+        let statusText = 'Not acknowledged';
+        const details = [];
+
+        if (!section.requiresAcknowledgment) {
+            statusText = 'No acknowledgment needed';
+        } else if (section.acknowledged) {
+            statusClass = 'done';
+            statusText = `Acknowledged ${formatDateTime(section.acknowledgedAt)}`;
+            if (section.sincePrevious !== null) {
+                details.push(`${formatDuration(section.sincePrevious)} after the previous section`);
+            }
+        } else if (section.stale) {
+            statusClass = 'stale';
+            statusText = `Acknowledged version ${section.acknowledgedVersion}, now on version ${section.version}`;
+        }
+
+        if (section.dueDate && !section.acknowledged) {
+            details.push(`${section.overdue ? 'Overdue: was due' : 'Due'} ${formatDate(section.dueDate)}`);
+        }
+
+        if (section.reacknowledgments > 0) {
+            details.push(`Re-acknowledged ${section.reacknowledgments} time${section.reacknowledgments === 1 ? '' : 's'}`);
+        }
+
+        section.history.filter(h => !h.acknowledged).forEach(h => {
+            details.push(`Acknowledgment withdrawn ${formatDateTime(h.at)}`);
+        });
+
+        section.quizAttempts.forEach((attempt, index) => {
+            details.push(`Knowledge check attempt ${index + 1}: ${attempt.score}% ${attempt.passed ? '✓' : '✗'} (${formatDateTime(attempt.submittedAt)})`);
+        });
+
+        return `
+            <li class="timeline-item ${statusClass}">
+                <h4><span>${escapeHtml(section.title)}</span><small>${statusText}</small></h4>
+                ${details.length ? `<div class="timeline-meta">${details.join('<br>')}</div>` : ''}
+            </li>
+        `;
+    }).join('');
+
+    return `${summary}<ul class="timeline">${items}</ul>`;
+}
+
+// Download the progress report as a CSV or XLSX file
+async function exportProgress(format) {
+    try {
+        const cohortQuery = selectedCohortId === null ? '' : `&cohortId=${selectedCohortId}`;
+        const trackQuery = selectedTrackId === null ? '' : `&trackId=${selectedTrackId}`;
+        const response = await apiFetch(`/api/admin/progress/export?format=${format}${cohortQuery}${trackQuery}`);
+
+        if (!response.ok) {
+            const data = await response.json();
+            alert(data.error.message);
+            return;
+        }
+
+        await saveDownload(response, `onboarding-progress.${format}`);
+    } catch (error) {
+        console.error('Export error:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Download a user's completion certificate. Fetched rather than opened, so
+// that if there is no certificate to give the admin sees why.
+async function downloadCertificate(userId) {
+    try {
+        const response = await apiFetch(`/api/admin/users/${userId}/certificate`);
+
+        if (!response.ok) {
+            const data = await response.json();
+            alert(data.error.message);
+            return;
+        }
+
+        await saveDownload(response, 'onboarding-certificate.pdf');
+    } catch (error) {
+        console.error('Certificate download error:', error);
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Save a file response, under the filename chosen by the server
+async function saveDownload(response, fallbackName) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 // Setup event listeners
 function setupEventListeners() {
     // Logout
     logoutBtn.addEventListener('click', async () => {
         try {
-            await fetch('/api/logout', { method: 'POST' });
+            await apiFetch('/api/logout', { method: 'POST' });
             window.location.href = '/';
         } catch (error) {
             console.error('Logout error:', error);
@@ -208,8 +735,84 @@ function setupEventListeners() {
         refreshBtn.textContent = '↻ Refresh Data';
     });
 
+    // Export
+    exportBtn.addEventListener('click', async () => {
+        exportBtn.disabled = true;
+        exportBtn.innerHTML = '<span class="loading"></span>Exporting...';
+        await exportProgress(exportFormat.value);
+        exportBtn.disabled = false;
+        exportBtn.textContent = '⬇ Export';
+    });
+
+    // Search, as the user stops typing
+    let searchTimer = null;
+    userSearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            tableQuery.q = userSearch.value.trim();
+            reloadTable();
+        }, 300);
+    });
+
+    statusFilter.addEventListener('change', () => {
+        tableQuery.status = statusFilter.value;
+        reloadTable();
+    });
+
+    tablePrevBtn.addEventListener('click', () => {
+        tableQuery.page--;
+        loadTable();
+    });
+
+    tableNextBtn.addEventListener('click', () => {
+        tableQuery.page++;
+        loadTable();
+    });
+
+    // Sortable column headings and row actions
+    tableContent.addEventListener('click', (e) => {
+        const sortBtn = e.target.closest('button[data-sort]');
+        if (sortBtn) {
+            const sort = sortBtn.dataset.sort;
+            tableQuery.order = tableQuery.sort === sort && tableQuery.order === 'asc' ? 'desc' : 'asc';
+            tableQuery.sort = sort;
+            reloadTable();
+            return;
+        }
+
+        const button = e.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const userId = Number(button.dataset.userId);
+        if (button.dataset.action === 'details') {
+            openUserProgress(userId);
+        } else if (button.dataset.action === 'edit') {
+            openEditUser(userId);
+        } else if (button.dataset.action === 'certificate') {
+            downloadCertificate(userId);
+        } else {
+            runUserAction(button.dataset.action, userId);
+        }
+    });
+
+    userProgressCloseBtn.addEventListener('click', () => {
+        userProgressModal.classList.remove('active');
+    });
+
+    userProgressModal.addEventListener('click', (e) => {
+        if (e.target === userProgressModal) {
+            userProgressModal.classList.remove('active');
+        }
+    });
+
     // Add user
     addUserBtn.addEventListener('click', () => {
+        // New users join the cohort and track being shown
+        document.getElementById('user-cohort').value = selectedCohortId === null ? '' : String(selectedCohortId);
+        document.getElementById('user-track').value = selectedTrackId === null ? '' : String(selectedTrackId);
+        renderManagerOptions('user-manager', null);
         addUserModal.classList.add('active');
     });
 
@@ -227,25 +830,46 @@ function setupEventListeners() {
         }
     });
 
+    // Closing a form resets it; clear its field errors too
+    addUserForm.addEventListener('reset', () => showFieldErrors(addUserForm));
+    editUserForm.addEventListener('reset', () => showFieldErrors(editUserForm));
+
     // Add user form submit
     addUserForm.addEventListener('submit', async (e) => {
         e.preventDefault();
 
         const name = document.getElementById('user-name').value;
         const email = document.getElementById('user-email').value;
-        const password = document.getElementById('user-password').value;
+        const role = document.getElementById('user-role').value;
+        const cohortValue = document.getElementById('user-cohort').value;
+        const trackValue = document.getElementById('user-track').value;
+        const startDate = document.getElementById('user-start-date').value || null;
+        const dueDate = document.getElementById('user-due-date').value || null;
+        const managerValue = document.getElementById('user-manager').value;
+        const managerEmail = document.getElementById('user-manager-email').value.trim() || null;
 
         const submitBtn = e.target.querySelector('button[type="submit"]');
         submitBtn.disabled = true;
-        submitBtn.innerHTML = '<span class="loading"></span>Creating...';
+        submitBtn.innerHTML = '<span class="loading"></span>Sending...';
+        showFieldErrors(addUserForm);
 
         try {
-            const response = await fetch('/api/admin/users', {
+            const response = await apiFetch('/api/admin/users', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ email, password, name })
+                body: JSON.stringify({
+                    email,
+                    name,
+                    role,
+                    cohortId: cohortValue ? Number(cohortValue) : null,
+                    trackId: trackValue ? Number(trackValue) : null,
+                    startDate,
+                    dueDate,
+                    managerId: managerValue ? Number(managerValue) : null,
+                    managerEmail
+                })
             });
 
             const data = await response.json();
@@ -255,16 +879,81 @@ function setupEventListeners() {
                 addUserModal.classList.remove('active');
                 addUserForm.reset();
                 await loadData();
-                alert(`User ${name} created successfully!`);
-            } else {
-                alert(data.error || 'Error creating user');
+                if (data.inviteSent) {
+                    alert(`Invitation sent to ${email}.`);
+                } else {
+                    prompt(`${name} was created, but the invitation email was not delivered. Send them this link instead:`, data.inviteUrl);
+                }
+            } else if (!showFieldErrors(addUserForm, data.error.fields)) {
+                alert(data.error.message);
             }
         } catch (error) {
             console.error('Error creating user:', error);
             alert('Error creating user. Please try again.');
         } finally {
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Create User';
+            submitBtn.textContent = 'Send Invite';
+        }
+    });
+
+    // Edit user
+    editCancelBtn.addEventListener('click', closeEditUser);
+
+    editUserModal.addEventListener('click', (e) => {
+        if (e.target === editUserModal) {
+            closeEditUser();
+        }
+    });
+
+    editUserForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const cohortValue = document.getElementById('edit-user-cohort').value;
+        const trackValue = document.getElementById('edit-user-track').value;
+        const managerValue = document.getElementById('edit-user-manager').value;
+        const changes = {
+            name: document.getElementById('edit-user-name').value,
+            email: document.getElementById('edit-user-email').value,
+            cohortId: cohortValue ? Number(cohortValue) : null,
+            trackId: trackValue ? Number(trackValue) : null,
+            startDate: document.getElementById('edit-user-start-date').value || null,
+            dueDate: document.getElementById('edit-user-due-date').value || null,
+            managerId: managerValue ? Number(managerValue) : null,
+            managerEmail: document.getElementById('edit-user-manager-email').value.trim() || null
+        };
+        const roleSelect = document.getElementById('edit-user-role');
+        if (!roleSelect.disabled) {
+            changes.role = roleSelect.value;
+        }
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<span class="loading"></span>Saving...';
+        showFieldErrors(editUserForm);
+
+        try {
+            const response = await apiFetch(`/api/admin/users/${editingUserId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(changes)
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                closeEditUser();
+                await loadData();
+            } else if (!showFieldErrors(editUserForm, data.error.fields)) {
+                alert(data.error.message);
+            }
+        } catch (error) {
+            console.error('Error saving user:', error);
+            alert('Error saving user. Please try again.');
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Save Changes';
         }
     });
 }
@@ -0,0 +1,51 @@
+// Shared fetch wrapper for the API. Takes the same arguments and returns the
+// same response as fetch(), but requests that change something carry the
+// session's CSRF token in the X-CSRF-Token header. The token comes from
+// GET /api/session and is fetched once per page.
+
+let csrfTokenRequest = null;
+
+function getCsrfToken(refresh) {
+    if (!csrfTokenRequest || refresh) {
+        csrfTokenRequest = fetch('/api/session')
+            .then(response => response.json())
+            .then(data => data.csrfToken)
+            .catch(error => {
+                // Try again next time rather than keeping the failure
+                csrfTokenRequest = null;
+                throw error;
+            });
+    }
+    return csrfTokenRequest;
+}
+
+async function apiFetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method === 'GET' || method === 'HEAD') {
+        return fetch(url, options);
+    }
+
+    const response = await fetchWithCsrfToken(url, options, await getCsrfToken());
+
+    // The session may have ended since the token was fetched (signed out in
+    // another tab, or expired). Get the new session's token and try once more.
+    if (response.status === 403 && await isCsrfFailure(response)) {
+        return fetchWithCsrfToken(url, options, await getCsrfToken(true));
+    }
+    return response;
+}
+
+function fetchWithCsrfToken(url, options, token) {
+    const headers = new Headers(options.headers);
+    headers.set('X-CSRF-Token', token);
+    return fetch(url, { ...options, headers });
+}
+
+async function isCsrfFailure(response) {
+    try {
+        const data = await response.clone().json();
+        return data.error.code === 'CSRF_TOKEN_INVALID';
+    } catch (error) {
+        return false;
+    }
+}
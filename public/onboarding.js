@@ -2,41 +2,73 @@
 let currentUser = null;
 let currentSection = 0;
 let userProgress = null;
-const totalSections = 7; // 0-6
+let sections = []; // Section summaries of the user's track from /api/sections, in display order
 
 // DOM Elements
-const sections = document.querySelectorAll('.content-section');
+const sectionsContainer = document.getElementById('sections-container');
+const progressStepsContainer = document.getElementById('progress-steps');
 const progressFill = document.getElementById('progress-fill');
 const progressPercentage = document.getElementById('progress-percentage');
 const acknowledgeCheckbox = document.getElementById('acknowledge-checkbox');
+const acknowledgeLabel = document.getElementById('acknowledge-label');
+const acknowledgeText = document.getElementById('acknowledge-text');
 const acknowledgeBtn = document.getElementById('acknowledge-btn');
+const staleNotice = document.getElementById('stale-notice');
+const certificateArea = document.getElementById('certificate-area');
 const prevBtn = document.getElementById('prev-btn');
 const nextBtn = document.getElementById('next-btn');
 const logoutBtn = document.getElementById('logout-btn');
 const userNameSpan = document.getElementById('user-name');
-const progressSteps = document.querySelectorAll('.step');
+const progressContainer = document.getElementById('progress-container');
+const acknowledgmentArea = document.getElementById('acknowledgment-area');
+const navigationButtons = document.getElementById('navigation-buttons');
+const pageMessage = document.getElementById('page-message');
+const pageMessageTitle = document.getElementById('page-message-title');
+const pageMessageText = document.getElementById('page-message-text');
+const pageMessageRetry = document.getElementById('page-message-retry');
 
 // Initialize
 async function init() {
+    setupLogout();
+    pageMessageRetry.addEventListener('click', () => window.location.reload());
+
     try {
-        // Check session
-        const sessionResponse = await fetch('/api/session');
-        if (!sessionResponse.ok) {
+        // Check session. Only a missing session means signing in again;
+        // anything else is shown as an error below.
+        const sessionResponse = await apiFetch('/api/session');
+        if (sessionResponse.status === 401) {
             window.location.href = '/';
             return;
         }
+        if (!sessionResponse.ok) {
+            throw new Error(`Could not check the session (HTTP ${sessionResponse.status})`);
+        }
 
         const sessionData = await sessionResponse.json();
         currentUser = sessionData.user;
+
+        if (currentUser.mustChangePassword) {
+            window.location.href = '/change-password';
+            return;
+        }
         userNameSpan.textContent = `Welcome, ${currentUser.name}`;
 
-        // Redirect admin to admin panel
-        if (currentUser.role === 'admin') {
+        // Admins and managers have the dashboard instead
+        if (currentUser.permissions.includes('dashboard.view')) {
             window.location.href = '/admin';
             return;
         }
 
-        // Load progress
+        // Load content, then progress
+        await loadSections();
+        if (sections.length === 0) {
+            showPageMessage(
+                'Nothing to do yet',
+                'There are no onboarding sections for you yet. Check back once your onboarding has been set up, or ask your manager.',
+                false
+            );
+            return;
+        }
         await loadProgress();
 
         // Setup event listeners
@@ -46,17 +78,117 @@ async function init() {
         showSection(currentSection);
     } catch (error) {
         console.error('Initialization error:', error);
-        window.location.href = '/';
+        showPageMessage('Something went wrong', 'Your onboarding could not be loaded. Please try again in a moment.', true);
     }
 }
 
+// Show a message in place of the sections and everything that goes with
+// them, with a Try Again button if reloading might help
+function showPageMessage(title, text, canRetry) {
+    pageMessageTitle.textContent = title;
+    pageMessageText.textContent = text;
+    pageMessageRetry.hidden = !canRetry;
+    pageMessage.hidden = false;
+
+    progressContainer.hidden = true;
+    sectionsContainer.hidden = true;
+    certificateArea.hidden = true;
+    acknowledgmentArea.hidden = true;
+    navigationButtons.hidden = true;
+}
+
+// Load sections and render their content and progress steps
+async function loadSections() {
+    const response = await apiFetch('/api/sections');
+    if (!response.ok) {
+        throw new Error('Could not load onboarding sections');
+    }
+    sections = await response.json();
+
+    const details = await Promise.all(sections.map(async section => {
+        const sectionResponse = await apiFetch(`/api/sections/${section.id}`);
+        if (!sectionResponse.ok) {
+            throw new Error(`Could not load section ${section.id}`);
+        }
+        return sectionResponse.json();
+    }));
+
+    sectionsContainer.innerHTML = details.map(section => `
+        <section id="section-${section.id}" class="content-section">
+            ${section.html}
+            ${section.quiz ? renderQuiz(section) : ''}
+        </section>
+    `).join('');
+
+    renderProgressSteps();
+}
+
+// Escape text before inserting it as HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Render a section's knowledge check. Answers are graded by the server.
+function renderQuiz(section) {
+    const questions = section.quiz.questions.map((question, questionIndex) => `
+        <fieldset class="quiz-question">
+            <legend>${questionIndex + 1}. ${escapeHtml(question.text)}</legend>
+            ${question.options.map((option, optionIndex) => `
+                <label class="quiz-option">
+                    <input type="radio" name="question-${questionIndex}" value="${optionIndex}" required>
+                    ${escapeHtml(option)}
+                </label>
+            `).join('')}
+        </fieldset>
+    `).join('');
+
+    return `
+        <div class="container">
+            <form class="section-quiz" data-section-id="${section.id}">
+                <h3>Knowledge Check</h3>
+                <p class="quiz-intro">Answer these questions to unlock the acknowledgment. You need ${section.quiz.passMark}% to pass.</p>
+                ${questions}
+                <button type="submit" class="acknowledge-btn">Submit Answers</button>
+                <p class="quiz-result"></p>
+            </form>
+        </div>
+    `;
+}
+
+// Render the step indicators for the loaded sections
+function renderProgressSteps() {
+    progressStepsContainer.innerHTML = sections.map((section, index) => `
+        <div class="step" data-step="${index}">
+            <div class="step-circle">${index + 1}</div>
+            <span>${escapeHtml(section.stepLabel)}</span>
+        </div>
+    `).join('');
+}
+
+// Number of sections that must be acknowledged. /api/sections only lists the
+// sections of the user's track, so this is their track's total.
+function requiredSectionCount() {
+    return sections.filter(s => s.requiresAcknowledgment).length;
+}
+
 // Load user progress
 async function loadProgress() {
     try {
-        const response = await fetch('/api/progress');
+        const response = await apiFetch('/api/progress');
         if (response.ok) {
             userProgress = await response.json();
-            currentSection = userProgress.currentSection || 0;
+            currentSection = Math.min(userProgress.currentSection || 0, sections.length - 1);
+
+            // Send the user back to any section that changed since they acknowledged it
+            const staleIndex = sections.findIndex((section, index) => isSectionStale(index));
+            if (staleIndex >= 0 && staleIndex < currentSection) {
+                currentSection = staleIndex;
+            }
             updateProgressBar();
         }
     } catch (error) {
@@ -67,7 +199,7 @@ async function loadProgress() {
 // Save progress
 async function saveProgress(sectionId, acknowledged) {
     try {
-        const response = await fetch('/api/progress', {
+        const response = await apiFetch('/api/progress', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -78,11 +210,22 @@ async function saveProgress(sectionId, acknowledged) {
             })
         });
 
+        const data = await response.json();
+
         if (response.ok) {
-            userProgress = await response.json();
+            userProgress = data;
             updateProgressBar();
             return true;
         }
+
+        // The server enforces section order - go back to the section that's still due
+        if (data.error.code === 'SECTION_OUT_OF_ORDER') {
+            alert(data.error.message);
+            const expectedIndex = sections.findIndex(s => s.id === data.expectedSectionId);
+            if (expectedIndex >= 0) {
+                showSection(expectedIndex);
+            }
+        }
         return false;
     } catch (error) {
         console.error('Error saving progress:', error);
@@ -93,10 +236,10 @@ async function saveProgress(sectionId, acknowledged) {
 // Show section
 function showSection(sectionIndex) {
     // Hide all sections
-    sections.forEach(section => section.classList.remove('active'));
+    sectionsContainer.querySelectorAll('.content-section').forEach(section => section.classList.remove('active'));
 
     // Show current section
-    const currentSectionElement = document.getElementById(`section-${sectionIndex}`);
+    const currentSectionElement = document.getElementById(`section-${sections[sectionIndex].id}`);
     if (currentSectionElement) {
         currentSectionElement.classList.add('active');
     }
@@ -104,32 +247,73 @@ function showSection(sectionIndex) {
     // Update current section
     currentSection = sectionIndex;
 
+    // Note a knowledge check that has already been passed
+    const quizResult = currentSectionElement && currentSectionElement.querySelector('.quiz-result');
+    if (quizResult && !quizResult.textContent && sections[sectionIndex].hasQuiz && hasPassedQuiz(sectionIndex)) {
+        quizResult.className = 'quiz-result passed';
+        quizResult.textContent = 'You have passed this knowledge check.';
+    }
+
     // Check if section is already acknowledged
     const isAcknowledged = isSectionAcknowledged(sectionIndex);
 
     // Update UI
     updateNavigationButtons();
     updateAcknowledgmentArea(isAcknowledged);
+    updateCertificateArea();
     updateProgressSteps();
 
     // Scroll to top
     window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
-// Check if section is acknowledged
+// Find the progress entry for a section
+function getProgressEntry(sectionIndex) {
+    if (!userProgress || !userProgress.sections || !sections[sectionIndex]) return null;
+    const sectionId = sections[sectionIndex].id;
+    return userProgress.sections.find(s => s.id === sectionId) || null;
+}
+
+// Check if section is acknowledged (against its current version)
 function isSectionAcknowledged(sectionIndex) {
-    if (!userProgress || !userProgress.sections) return false;
-    const section = userProgress.sections.find(s => s.id === sectionIndex);
-    return section && section.acknowledged;
+    const entry = getProgressEntry(sectionIndex);
+    return Boolean(entry && entry.acknowledged && !entry.stale);
+}
+
+// Check if the section's knowledge check (if any) has been passed for its current version
+function hasPassedQuiz(sectionIndex) {
+    const section = sections[sectionIndex];
+    if (!section || !section.hasQuiz) return true;
+
+    const entry = getProgressEntry(sectionIndex);
+    return Boolean(entry && entry.quizAttempts && entry.quizAttempts.some(attempt => {
+        return attempt.passed && attempt.version === section.version;
+    }));
+}
+
+// Check if section was acknowledged before its content was updated
+function isSectionStale(sectionIndex) {
+    const entry = getProgressEntry(sectionIndex);
+    return Boolean(entry && entry.stale);
 }
 
 // Update acknowledgment area
 function updateAcknowledgmentArea(isAcknowledged) {
-    if (currentSection === totalSections - 1) {
+    staleNotice.hidden = !isSectionStale(currentSection);
+
+    if (!sections[currentSection].requiresAcknowledgment) {
         // Completion section - no acknowledgment needed
         return;
     }
 
+    // The knowledge check has to be passed before the section can be acknowledged
+    const quizPassed = hasPassedQuiz(currentSection);
+    acknowledgeCheckbox.disabled = !quizPassed;
+    acknowledgeLabel.classList.toggle('disabled', !quizPassed);
+    acknowledgeText.textContent = quizPassed
+        ? 'I have read and understood this section'
+        : 'Pass the knowledge check above to acknowledge this section';
+
     if (isAcknowledged) {
         acknowledgeCheckbox.checked = true;
         acknowledgeBtn.disabled = false;
@@ -141,21 +325,30 @@ function updateAcknowledgmentArea(isAcknowledged) {
     }
 }
 
+// Offer the certificate on the completion page, once every section is
+// acknowledged. Tracks without a completion page get it on their last section.
+function updateCertificateArea() {
+    const completed = Boolean(userProgress) && userProgress.completedSections >= requiredSectionCount();
+    const isLast = currentSection === sections.length - 1;
+    certificateArea.hidden = !completed || (sections[currentSection].requiresAcknowledgment && !isLast);
+}
+
 // Update navigation buttons
 function updateNavigationButtons() {
     // Previous button
     prevBtn.disabled = currentSection === 0;
 
     // Next button
-    const canProgress = isSectionAcknowledged(currentSection) || currentSection === totalSections - 1;
-    const hasNext = currentSection < totalSections - 1;
+    const canProgress = isSectionAcknowledged(currentSection) || !sections[currentSection].requiresAcknowledgment;
+    const hasNext = currentSection < sections.length - 1;
     nextBtn.disabled = !canProgress || !hasNext;
 }
 
 // Update progress bar
 function updateProgressBar() {
     const completedCount = userProgress ? userProgress.completedSections : 0;
-    const percentage = Math.round((completedCount / (totalSections - 1)) * 100);
+    const requiredCount = requiredSectionCount();
+    const percentage = requiredCount > 0 ? Math.round((completedCount / requiredCount) * 100) : 100;
 
     progressFill.style.width = `${percentage}%`;
     progressPercentage.textContent = `${percentage}%`;
@@ -163,7 +356,7 @@ function updateProgressBar() {
 
 // Update progress steps
 function updateProgressSteps() {
-    progressSteps.forEach((step, index) => {
+    progressStepsContainer.querySelectorAll('.step').forEach((step, index) => {
         step.classList.remove('active', 'completed');
 
         if (index < currentSection) {
@@ -193,6 +386,56 @@ function setupEventListeners() {
         acknowledgeBtn.disabled = !e.target.checked;
     });
 
+    // Knowledge check submission
+    sectionsContainer.addEventListener('submit', async (e) => {
+        const form = e.target.closest('.section-quiz');
+        if (!form) return;
+        e.preventDefault();
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const result = form.querySelector('.quiz-result');
+        const answers = Array.from(form.querySelectorAll('.quiz-question')).map((fieldset) => {
+            const checked = fieldset.querySelector('input:checked');
+            return checked ? Number(checked.value) : null;
+        });
+
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<span class="loading"></span>Checking...';
+
+        try {
+            const response = await apiFetch(`/api/sections/${form.dataset.sectionId}/quiz`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ answers })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                result.className = 'quiz-result failed';
+                result.textContent = data.error.message;
+                return;
+            }
+
+            result.className = `quiz-result ${data.passed ? 'passed' : 'failed'}`;
+            result.textContent = data.passed
+                ? `You scored ${data.score}% - passed! You can now acknowledge this section.`
+                : `You scored ${data.score}%. You need ${data.passMark}% to pass - review the section and try again.`;
+
+            // Pick up the recorded attempt
+            userProgress = data.progress;
+            updateAcknowledgmentArea(isSectionAcknowledged(currentSection));
+        } catch (error) {
+            console.error('Error submitting quiz:', error);
+            result.className = 'quiz-result failed';
+            result.textContent = 'Connection error. Please try again.';
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Submit Answers';
+        }
+    });
+
     // Acknowledge button
     acknowledgeBtn.addEventListener('click', async () => {
         if (!acknowledgeCheckbox.checked) return;
@@ -200,14 +443,15 @@ function setupEventListeners() {
         acknowledgeBtn.disabled = true;
         acknowledgeBtn.innerHTML = '<span class="loading"></span>Saving...';
 
-        const success = await saveProgress(currentSection, true);
+        const success = await saveProgress(sections[currentSection].id, true);
 
         if (success) {
             acknowledgeBtn.textContent = 'Acknowledged ✓';
+            updateCertificateArea();
 
             // Auto-advance to next section after a short delay
             setTimeout(() => {
-                if (currentSection < totalSections - 1) {
+                if (currentSection < sections.length - 1) {
                     showSection(currentSection + 1);
                 }
             }, 800);
@@ -226,29 +470,30 @@ function setupEventListeners() {
 
     // Next button
     nextBtn.addEventListener('click', () => {
-        if (currentSection < totalSections - 1 && isSectionAcknowledged(currentSection)) {
+        if (currentSection < sections.length - 1 && isSectionAcknowledged(currentSection)) {
             showSection(currentSection + 1);
         }
     });
 
-    // Logout button
+    // Completion button (rendered with the section content)
+    sectionsContainer.addEventListener('click', (e) => {
+        if (e.target.closest('.completed-btn')) {
+            window.location.href = '/';
+        }
+    });
+}
+
+// Logout button. Set up first, so it works even if the page fails to load.
+function setupLogout() {
     logoutBtn.addEventListener('click', async () => {
         try {
-            await fetch('/api/logout', { method: 'POST' });
+            await apiFetch('/api/logout', { method: 'POST' });
             window.location.href = '/';
         } catch (error) {
             console.error('Logout error:', error);
             window.location.href = '/';
         }
     });
-
-    // Completion button
-    const completedBtn = document.querySelector('.completed-btn');
-    if (completedBtn) {
-        completedBtn.addEventListener('click', () => {
-            window.location.href = '/';
-        });
-    }
 }
 
 // Add loading spinner style
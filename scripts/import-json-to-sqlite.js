@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// One-shot import of the JSON data files into the SQLite storage backend.
+//
+// Usage:
+//   node scripts/import-json-to-sqlite.js [--data-dir <dir>] [--db <file>] [--force]
+//
+// Reads every collection's JSON file (users.json, progress.json and so on,
+// including pending invites, password resets, sign-in lockouts and sessions)
+// from the data directory (default: DATA_DIR, or data/, as for the server) and
+// writes them to the SQLite database (default: <data-dir>/onboarding.db, or
+// SQLITE_FILE). Collections that already exist in the database are left alone
+// unless --force is given.
+
+const path = require('path');
+const { createJsonStore } = require('../lib/storage/json-store');
+const { createSqliteStore } = require('../lib/storage/sqlite-store');
+const { DEFAULT_SQLITE_FILENAME } = require('../lib/storage');
+
+const COLLECTIONS = [
+    'users',
+    'progress',
+    'sections',
+    'invites',
+    'password-resets',
+    'login-attempts',
+    'sessions',
+    'audit',
+    'cohorts',
+    'reminders',
+    'certificates',
+    'tracks',
+    'counters'
+];
+
+function parseArgs(argv) {
+    const options = {
+        dataDir: process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data'),
+        db: process.env.SQLITE_FILE || null,
+        force: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--data-dir') {
+            options.dataDir = path.resolve(argv[++i]);
+        } else if (arg === '--db') {
+            options.db = path.resolve(argv[++i]);
+        } else if (arg === '--force') {
+            options.force = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    options.db = options.db || path.join(options.dataDir, DEFAULT_SQLITE_FILENAME);
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const source = createJsonStore(options.dataDir);
+    const target = createSqliteStore(options.db);
+
+    console.log(`Importing from ${options.dataDir} into ${options.db}`);
+
+    COLLECTIONS.forEach(collection => {
+        const items = source.read(collection);
+        if (items === null) {
+            console.log(`  ${collection}: no ${collection}.json, skipped`);
+            return;
+        }
+
+        if (target.read(collection) !== null && !options.force) {
+            console.log(`  ${collection}: already in the database, skipped (use --force to overwrite)`);
+            return;
+        }
+
+        target.write(collection, items);
+        console.log(`  ${collection}: imported ${items.length} record(s)`);
+    });
+
+    console.log('\nDone. Start the server with STORAGE_BACKEND=sqlite to use the database.');
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`Import failed: ${err.message}`);
+    process.exit(1);
+}
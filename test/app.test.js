@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN, startApp } = require('./helpers');
+
+test('createApp seeds its own data directory and serves the API', async () => {
+    const server = await startApp();
+    try {
+        const client = server.client();
+        const session = await client.get('/api/session');
+        assert.strictEqual(session.status, 401);
+        assert.strictEqual(session.body.error.code, 'NOT_AUTHENTICATED');
+        assert.ok(session.body.csrfToken);
+
+        const users = JSON.parse(fs.readFileSync(path.join(server.dataDir, 'users.json'), 'utf8'));
+        assert.deepStrictEqual(users.map(u => u.email), ['admin@maytech.com', 'staff@maytech.com']);
+
+        const page = await client.get('/');
+        assert.strictEqual(page.status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('apps with different data directories are independent', async () => {
+    const first = await startApp();
+    const second = await startApp();
+    try {
+        const admin = first.client();
+        await admin.signInSeeded(ADMIN);
+        const created = await admin.post('/api/admin/users', { email: 'new@example.com', name: 'New Person', password: 'Password123' });
+        assert.strictEqual(created.status, 200);
+
+        // The second app still has the seeded password and no new user
+        const stillSeeded = await second.client().signIn(ADMIN.email, ADMIN.password);
+        assert.strictEqual(stillSeeded.status, 200);
+        const unknown = await second.client().signIn('new@example.com', 'Password123');
+        assert.strictEqual(unknown.status, 401);
+    } finally {
+        await first.close();
+        await second.close();
+    }
+});
+
+test('unknown API routes answer with a JSON error', async () => {
+    const server = await startApp();
+    try {
+        const res = await server.client().get('/api/nothing-here');
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error.code, 'NOT_FOUND');
+    } finally {
+        await server.close();
+    }
+});
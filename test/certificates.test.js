@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+// Acknowledge every section that needs it, in order
+async function completeOnboarding(client) {
+    const sections = await client.get('/api/sections');
+    for (const section of sections.body.filter(s => s.requiresAcknowledgment)) {
+        const res = await client.post('/api/progress', { sectionId: section.id, acknowledged: true });
+        assert.strictEqual(res.status, 200);
+    }
+}
+
+// The verification ID printed in a certificate PDF's filename
+function certificateId(res) {
+    assert.strictEqual(res.status, 200);
+    return res.headers.get('content-disposition').match(/onboarding-certificate-([0-9a-f]+)\.pdf/)[1];
+}
+
+async function startCompleted() {
+    const server = await startApp();
+    const admin = server.client();
+    await admin.signInSeeded(ADMIN);
+    const staff = server.client();
+    await staff.signInSeeded(STAFF);
+    await completeOnboarding(staff);
+    const id = certificateId(await staff.get('/api/certificate'));
+    return { server, admin, staff, id };
+}
+
+// The PDF's streams, inflated
+function pdfStreams(buffer) {
+    const streams = [];
+    let start = buffer.indexOf('stream\n');
+    while (start !== -1) {
+        const end = buffer.indexOf('\nendstream', start);
+        try {
+            streams.push(zlib.inflateSync(buffer.subarray(start + 'stream\n'.length, end)).toString('latin1'));
+        } catch (err) {
+            // Not compressed
+        }
+        start = buffer.indexOf('stream\n', end + '\nendstream'.length);
+    }
+    return streams;
+}
+
+function verify(server, id) {
+    return server.client().get(`/api/certificates/${id}`);
+}
+
+test('resetting progress revokes the certificate, and finishing again issues a new one', async () => {
+    const { server, admin, staff, id } = await startCompleted();
+    try {
+        const reset = await admin.post('/api/admin/users/2/reset-progress');
+        assert.strictEqual(reset.status, 200);
+
+        const revoked = await verify(server, id);
+        assert.ok(revoked.body.revokedAt);
+        assert.strictEqual(revoked.body.revokedReason, 'progress_reset');
+
+        await completeOnboarding(staff);
+        const newId = certificateId(await staff.get('/api/certificate'));
+        assert.notStrictEqual(newId, id);
+        assert.strictEqual((await verify(server, newId)).body.revokedAt, null);
+
+        const events = await admin.get('/api/admin/audit?type=certificate.revoked');
+        assert.strictEqual(events.body.total, 1);
+        assert.deepStrictEqual(events.body.events[0].details, { certificateIds: [id], reason: 'progress_reset' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('withdrawing an acknowledgment revokes the certificate', async () => {
+    const { server, staff, id } = await startCompleted();
+    try {
+        await staff.post('/api/progress', { sectionId: 5, acknowledged: false });
+        assert.strictEqual((await verify(server, id)).body.revokedReason, 'acknowledgment_withdrawn');
+    } finally {
+        await server.close();
+    }
+});
+
+test('publishing a new version of an acknowledged section revokes the certificate', async () => {
+    const { server, admin, id } = await startCompleted();
+    try {
+        const saved = await admin.put('/api/admin/sections/0', { html: '<p>Changed</p>' });
+        assert.strictEqual(saved.status, 200);
+        const published = await admin.post('/api/admin/sections/0/publish');
+        assert.strictEqual(published.status, 200);
+        assert.strictEqual(published.body.staleAcknowledgments, 1);
+
+        assert.strictEqual((await verify(server, id)).body.revokedReason, 'sections_changed');
+    } finally {
+        await server.close();
+    }
+});
+
+test('a change that leaves the user complete keeps the certificate', async () => {
+    const { server, admin, id } = await startCompleted();
+    try {
+        const reordered = await admin.put('/api/admin/sections/order', { order: [1, 0, 2, 3, 4, 5, 6] });
+        assert.strictEqual(reordered.status, 200);
+        const edited = await admin.patch('/api/admin/users/2', { cohortId: null });
+        assert.strictEqual(edited.status, 200);
+
+        assert.strictEqual((await verify(server, id)).body.revokedAt, null);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the certificate embeds a font that can print any name', async () => {
+    const server = await startApp();
+    try {
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+        const account = { email: 'zoe@example.com', password: 'Password123', newPassword: 'Password456' };
+        const created = await admin.post('/api/admin/users', { email: account.email, name: 'Zoë Дмитриева Ελένη', password: account.password });
+        assert.strictEqual(created.status, 200);
+
+        const user = server.client();
+        await user.signInSeeded(account);
+        await completeOnboarding(user);
+
+        const pdf = await user.get('/api/certificate');
+        assert.strictEqual(pdf.headers.get('content-type'), 'application/pdf');
+        const text = pdf.body.toString('latin1');
+        assert.match(text, /\/BaseFont \/[A-Z]{6}\+DejaVuSans\b/);
+        assert.match(text, /\/BaseFont \/[A-Z]{6}\+DejaVuSans-Bold\b/);
+        assert.doesNotMatch(text, /Helvetica/);
+
+        // The fonts' character maps include the Cyrillic and Greek letters
+        const maps = pdfStreams(pdf.body).filter(stream => stream.includes('begincmap')).join('');
+        assert.match(maps, /<0414>/i);
+        assert.match(maps, /<0395>/i);
+
+        const noCertificate = await admin.get('/api/admin/users/2/certificate');
+        assert.strictEqual(noCertificate.status, 409);
+        assert.strictEqual(noCertificate.body.error.code, 'ONBOARDING_INCOMPLETE');
+    } finally {
+        await server.close();
+    }
+});
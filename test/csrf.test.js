@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, startApp } = require('./helpers');
+
+function sessionCookie(res) {
+    return (res.headers.get('set-cookie') || '').split(';')[0];
+}
+
+// A JSON request with the given cookie and, if there is one, token
+function send(server, method, pathname, { cookie, token, body = {} }) {
+    const headers = { 'Content-Type': 'application/json', Cookie: cookie };
+    if (token) {
+        headers['X-CSRF-Token'] = token;
+    }
+    return fetch(server.url + pathname, { method, headers, body: JSON.stringify(body) })
+        .then(async res => ({ status: res.status, body: await res.json() }));
+}
+
+test('the token comes with the session, even before signing in', async () => {
+    const server = await startApp();
+    try {
+        const client = server.client();
+        const first = await client.refresh();
+        assert.strictEqual(first.status, 401);
+        assert.strictEqual(first.body.error.code, 'NOT_AUTHENTICATED');
+        assert.ok(first.body.csrfToken);
+
+        // The same token for the rest of the session
+        const second = await client.refresh();
+        assert.strictEqual(second.body.csrfToken, first.body.csrfToken);
+    } finally {
+        await server.close();
+    }
+});
+
+test('signing in needs the session token', async () => {
+    const server = await startApp();
+    try {
+        const session = await server.client().refresh();
+        const cookie = sessionCookie(session);
+        const credentials = { email: STAFF.email, password: STAFF.password };
+
+        for (const token of [undefined, 'not-the-token']) {
+            const res = await send(server, 'POST', '/api/login', { cookie, token, body: credentials });
+            assert.strictEqual(res.status, 403);
+            assert.strictEqual(res.body.error.code, 'CSRF_TOKEN_INVALID');
+        }
+
+        // Nor does a token from another session work
+        const other = await server.client().refresh();
+        const borrowed = await send(server, 'POST', '/api/login', { cookie, token: other.body.csrfToken, body: credentials });
+        assert.strictEqual(borrowed.status, 403);
+
+        const res = await send(server, 'POST', '/api/login', { cookie, token: session.body.csrfToken, body: credentials });
+        assert.strictEqual(res.status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('signed-in requests that change something need the token', async () => {
+    const server = await startApp();
+    try {
+        const client = server.client();
+        const signIn = await client.signInSeeded(STAFF);
+        const session = await client.refresh();
+        const cookie = sessionCookie(signIn) || sessionCookie(session);
+        assert.ok(cookie);
+
+        const progress = await send(server, 'POST', '/api/progress', { cookie, body: { sectionId: 0, acknowledged: true } });
+        assert.strictEqual(progress.status, 403);
+        assert.strictEqual(progress.body.error.code, 'CSRF_TOKEN_INVALID');
+        const saved = await client.get('/api/progress');
+        assert.strictEqual(saved.body.completedSections, 0);
+
+        const logout = await send(server, 'POST', '/api/logout', { cookie });
+        assert.strictEqual(logout.status, 403);
+        assert.strictEqual((await client.get('/api/session')).status, 200);
+
+        // Reading doesn't need it
+        const sections = await fetch(`${server.url}/api/sections`, { headers: { Cookie: cookie } });
+        assert.strictEqual(sections.status, 200);
+    } finally {
+        await server.close();
+    }
+});
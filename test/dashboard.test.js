@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, startApp } = require('./helpers');
+
+const PEOPLE = [
+    { email: 'alice@example.com', name: 'Alice Smith' },
+    { email: 'bob@example.com', name: 'Bob Jones' },
+    { email: 'carol@smith.example', name: 'Carol White' }
+];
+
+// An app with the seeded accounts and three more staff, of whom Bob has
+// acknowledged the first section
+async function startWithStaff() {
+    const server = await startApp();
+    const admin = server.client();
+    await admin.signInSeeded(ADMIN);
+
+    for (const person of PEOPLE) {
+        const res = await admin.post('/api/admin/users', { ...person, password: 'Password123' });
+        assert.strictEqual(res.status, 200);
+    }
+
+    const bob = server.client();
+    await bob.signInSeeded({ email: 'bob@example.com', password: 'Password123', newPassword: 'Password456' });
+    assert.strictEqual((await bob.post('/api/progress', { sectionId: 0, acknowledged: true })).status, 200);
+
+    return { server, admin };
+}
+
+function names(res) {
+    return res.body.rows.map(row => row.name);
+}
+
+test('rows come joined with progress, staff first, with totals and statistics', async () => {
+    const { server, admin } = await startWithStaff();
+    try {
+        const res = await admin.get('/api/admin/users');
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(names(res), ['Alice Smith', 'Bob Jones', 'Carol White', 'Demo Staff', 'Admin User']);
+        assert.strictEqual(res.body.total, 5);
+        assert.strictEqual(res.body.page, 1);
+        assert.strictEqual(res.body.pageSize, 50);
+        assert.deepStrictEqual(res.body.stats, { staff: 4, completed: 0, inProgress: 1, notStarted: 3, overdue: 0, dueSoon: 0 });
+
+        const bob = res.body.rows.find(row => row.email === 'bob@example.com');
+        assert.strictEqual(bob.password, undefined);
+        assert.strictEqual(bob.progress.status, 'in_progress');
+        assert.strictEqual(bob.progress.completedSections, 1);
+        assert.ok(bob.progress.percentage > 0);
+        assert.ok(bob.progress.lastUpdated);
+    } finally {
+        await server.close();
+    }
+});
+
+test('search matches names and emails, and filters narrow the rows but not the statistics', async () => {
+    const { server, admin } = await startWithStaff();
+    try {
+        const search = await admin.get('/api/admin/users?q=SMITH');
+        assert.deepStrictEqual(names(search), ['Alice Smith', 'Carol White']);
+        assert.strictEqual(search.body.total, 2);
+        assert.strictEqual(search.body.stats.staff, 4);
+
+        const inProgress = await admin.get('/api/admin/users?status=in_progress');
+        assert.deepStrictEqual(names(inProgress), ['Bob Jones']);
+
+        const notStarted = await admin.get('/api/admin/users?status=not_started');
+        assert.deepStrictEqual(names(notStarted), ['Alice Smith', 'Carol White', 'Demo Staff']);
+
+        const both = await admin.get('/api/admin/users?status=in_progress&q=alice');
+        assert.deepStrictEqual(both.body.rows, []);
+        assert.strictEqual(both.body.total, 0);
+
+        const admins = await admin.get('/api/admin/users?role=admin');
+        assert.deepStrictEqual(names(admins), ['Admin User']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('rows sort by any column either way, and come a page at a time', async () => {
+    const { server, admin } = await startWithStaff();
+    try {
+        const byProgress = await admin.get('/api/admin/users?sort=progress&order=desc');
+        assert.strictEqual(names(byProgress)[0], 'Bob Jones');
+
+        // Users who never started have no lastUpdated, and go last either way
+        for (const order of ['asc', 'desc']) {
+            const byUpdated = await admin.get(`/api/admin/users?sort=lastUpdated&order=${order}`);
+            assert.strictEqual(names(byUpdated)[0], 'Bob Jones');
+        }
+
+        const byName = await admin.get('/api/admin/users?sort=name&order=desc');
+        assert.deepStrictEqual(names(byName), ['Demo Staff', 'Carol White', 'Bob Jones', 'Alice Smith', 'Admin User']);
+
+        const first = await admin.get('/api/admin/users?pageSize=2');
+        const second = await admin.get('/api/admin/users?pageSize=2&page=2');
+        const last = await admin.get('/api/admin/users?pageSize=2&page=3');
+        assert.deepStrictEqual(names(first), ['Alice Smith', 'Bob Jones']);
+        assert.deepStrictEqual(names(second), ['Carol White', 'Demo Staff']);
+        assert.deepStrictEqual(names(last), ['Admin User']);
+        [first, second, last].forEach(res => assert.strictEqual(res.body.total, 5));
+
+        const beyond = await admin.get('/api/admin/users?pageSize=2&page=4');
+        assert.deepStrictEqual(beyond.body.rows, []);
+        assert.strictEqual(beyond.body.total, 5);
+
+        const tooBig = await admin.get('/api/admin/users?pageSize=501');
+        assert.strictEqual(tooBig.status, 400);
+        assert.ok(tooBig.body.error.fields.pageSize);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the progress list has the same paging, over staff only', async () => {
+    const { server, admin } = await startWithStaff();
+    try {
+        const res = await admin.get('/api/admin/progress?pageSize=3&sort=email');
+        assert.deepStrictEqual(res.body.rows.map(row => row.email), ['alice@example.com', 'bob@example.com', 'carol@smith.example']);
+        assert.strictEqual(res.body.total, 4);
+    } finally {
+        await server.close();
+    }
+});
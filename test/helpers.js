@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../lib/app');
+
+// Helpers for the integration tests: each test starts its own app on a free
+// port with a fresh temporary data directory, and talks to it over HTTP with
+// a client that keeps its session cookie and sends the CSRF token.
+
+const ADMIN = { email: 'admin@maytech.com', password: 'admin123', newPassword: 'AdminPass123' };
+const STAFF = { email: 'staff@maytech.com', password: 'staff123', newPassword: 'StaffPass123' };
+
+// Start an app. Emails are collected in `mail` instead of being sent (and
+// reported as delivered), and
+// the reminder scheduler is off. Options are passed on to createApp().
+// close() stops the server and removes the data directory.
+async function startApp(options = {}) {
+    const dataDir = options.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-test-'));
+    const mail = [];
+    const app = createApp({
+        dataDir,
+        mailer: { send: message => { mail.push(message); return Promise.resolve({ delivered: true }); } },
+        reminders: { intervalMinutes: 0 },
+        ...options
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        app,
+        url,
+        dataDir,
+        mail,
+        client: () => createClient(url),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        }).then(() => {
+            if (!options.dataDir) {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+            }
+        })
+    };
+}
+
+// An HTTP client with its own session. Requests resolve to
+// { status, headers, body } with the body parsed when it is JSON.
+function createClient(url) {
+    let cookie = null;
+    let csrfToken = null;
+
+    async function request(method, pathname, body) {
+        const headers = {};
+        if (cookie) {
+            headers.Cookie = cookie;
+        }
+        if (csrfToken && method !== 'GET') {
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const res = await fetch(url + pathname, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) {
+            cookie = setCookie.split(';')[0];
+        }
+
+        const type = res.headers.get('content-type') || '';
+        const result = {
+            status: res.status,
+            headers: res.headers,
+            body: type.includes('application/json') ? await res.json() : Buffer.from(await res.arrayBuffer())
+        };
+        if (result.body && result.body.csrfToken) {
+            csrfToken = result.body.csrfToken;
+        }
+        return result;
+    }
+
+    // Fetch the session (and with it the CSRF token)
+    function refresh() {
+        return request('GET', '/api/session');
+    }
+
+    async function signIn(email, password) {
+        if (!csrfToken) {
+            await refresh();
+        }
+        const res = await request('POST', '/api/login', { email, password });
+        await refresh();
+        return res;
+    }
+
+    // Sign in as a seeded account and choose a new password, as it must
+    // before doing anything else
+    async function signInSeeded(account) {
+        await signIn(account.email, account.password);
+        const res = await request('POST', '/api/account/password', { currentPassword: account.password, newPassword: account.newPassword });
+        if (res.status !== 200) {
+            throw new Error(`Changing the seeded password failed: ${JSON.stringify(res.body)}`);
+        }
+        await refresh();
+        return res;
+    }
+
+    return {
+        request,
+        refresh,
+        signIn,
+        signInSeeded,
+        get: pathname => request('GET', pathname),
+        post: (pathname, body) => request('POST', pathname, body === undefined ? {} : body),
+        put: (pathname, body) => request('PUT', pathname, body),
+        patch: (pathname, body) => request('PATCH', pathname, body),
+        delete: pathname => request('DELETE', pathname),
+        get csrfToken() {
+            return csrfToken;
+        }
+    };
+}
+
+module.exports = {
+    ADMIN,
+    STAFF,
+    startApp,
+    createClient
+};
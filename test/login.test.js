@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+function readCollection(server, collection) {
+    return JSON.parse(fs.readFileSync(path.join(server.dataDir, `${collection}.json`), 'utf8'));
+}
+
+function writeCollection(server, collection, data) {
+    fs.writeFileSync(path.join(server.dataDir, `${collection}.json`), JSON.stringify(data, null, 2));
+}
+
+function sessionCookie(res) {
+    return (res.headers.get('set-cookie') || '').split(';')[0];
+}
+
+test('a failed sign-in slows down the next attempt', async () => {
+    const server = await startApp();
+    try {
+        const client = server.client();
+        const failed = await client.signIn(STAFF.email, 'wrong-password');
+        assert.strictEqual(failed.status, 401);
+        assert.strictEqual(failed.body.error.code, 'INVALID_CREDENTIALS');
+
+        const throttled = await client.signIn(STAFF.email, STAFF.password);
+        assert.strictEqual(throttled.status, 429);
+        assert.strictEqual(throttled.body.error.code, 'LOGIN_THROTTLED');
+        assert.strictEqual(throttled.headers.get('retry-after'), '1');
+    } finally {
+        await server.close();
+    }
+});
+
+test('repeated failures lock the account but not other accounts', async () => {
+    const server = await startApp({ loginThrottle: { maxAccountFailures: 2, backoffSeconds: 0 } });
+    try {
+        const client = server.client();
+        await client.signIn(STAFF.email, 'wrong-password');
+        await client.signIn(STAFF.email, 'wrong-password');
+
+        const locked = await client.signIn(STAFF.email, STAFF.password);
+        assert.strictEqual(locked.status, 429);
+        assert.strictEqual(locked.body.error.code, 'LOGIN_LOCKED');
+        assert.strictEqual(locked.headers.get('retry-after'), String(15 * 60));
+
+        const other = await client.signIn(ADMIN.email, ADMIN.password);
+        assert.strictEqual(other.status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a password check that throws gives up its place in the limits', async () => {
+    const server = await startApp();
+    try {
+        const users = readCollection(server, 'users');
+        users.find(u => u.email === STAFF.email).password = 12345;
+        writeCollection(server, 'users', users);
+
+        const client = server.client();
+        const res = await client.signIn(STAFF.email, STAFF.password);
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual(res.body.error.code, 'INTERNAL_ERROR');
+
+        // Not counted as a failure, and not still in progress either, which
+        // would turn the next attempt away
+        readCollection(server, 'login-attempts').forEach(record => {
+            assert.strictEqual(record.pending, undefined);
+            assert.ok(!record.failures);
+        });
+        const again = await client.signIn(STAFF.email, STAFF.password);
+        assert.strictEqual(again.status, 500);
+    } finally {
+        await server.close();
+    }
+});
+
+test('signing in starts a new session with a new CSRF token', async () => {
+    const server = await startApp();
+    try {
+        const client = server.client();
+        const before = await client.refresh();
+        const oldCookie = sessionCookie(before);
+        const oldToken = before.body.csrfToken;
+        assert.ok(oldCookie);
+
+        const res = await client.request('POST', '/api/login', { email: STAFF.email, password: STAFF.password });
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.csrfToken);
+        assert.notStrictEqual(res.body.csrfToken, oldToken);
+        assert.notStrictEqual(sessionCookie(res), oldCookie);
+
+        // Neither the old cookie nor the old token work any more
+        for (const cookie of [oldCookie, sessionCookie(res)]) {
+            const stale = await fetch(`${server.url}/api/account/password`, {
+                method: 'POST',
+                headers: { Cookie: cookie, 'X-CSRF-Token': oldToken, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ currentPassword: STAFF.password, newPassword: STAFF.newPassword })
+            });
+            assert.strictEqual(stale.status, 403);
+            assert.strictEqual((await stale.json()).error.code, 'CSRF_TOKEN_INVALID');
+        }
+
+        const session = await client.get('/api/session');
+        assert.strictEqual(session.body.user.email, STAFF.email);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailer } = require('../lib/mail');
+const { ADMIN, startApp } = require('./helpers');
+
+// Run fn with environment variables set (undefined removes them), then put
+// them back
+function withEnv(vars, fn) {
+    const saved = {};
+    for (const [name, value] of Object.entries(vars)) {
+        saved[name] = process.env[name];
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+    }
+    try {
+        return fn();
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    }
+}
+
+test('production refuses to start without a mail transport', () => {
+    withEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: undefined }, () => {
+        assert.throws(() => createMailer({ dataDir: os.tmpdir() }), /MAIL_TRANSPORT must be set in production/);
+        assert.ok(createMailer({ transport: 'console' }));
+    });
+    withEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }, () => {
+        assert.ok(createMailer());
+    });
+});
+
+test('the outbox keeps the message but reports it as not delivered', async () => {
+    const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-outbox-'));
+    try {
+        const mailer = createMailer({ transport: 'outbox', outboxDir });
+        const result = await mailer.send({ to: 'ann@example.com', subject: 'Hello', text: 'Hi' });
+        assert.strictEqual(result.delivered, false);
+        assert.strictEqual(JSON.parse(fs.readFileSync(result.file, 'utf8')).to, 'ann@example.com');
+    } finally {
+        fs.rmSync(outboxDir, { recursive: true, force: true });
+    }
+});
+
+test('inviteSent is only true when the transport delivered the invite', async () => {
+    const server = await startApp({ mailer: { send: () => Promise.resolve({ delivered: false }) } });
+    try {
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+
+        const created = await admin.post('/api/admin/users', { email: 'ann@example.com', name: 'Ann' });
+        assert.strictEqual(created.status, 200);
+        assert.strictEqual(created.body.inviteSent, false);
+        assert.match(created.body.inviteUrl, /\/accept-invite\?token=/);
+    } finally {
+        await server.close();
+    }
+
+    const delivering = await startApp();
+    try {
+        const admin = delivering.client();
+        await admin.signInSeeded(ADMIN);
+
+        const created = await admin.post('/api/admin/users', { email: 'ann@example.com', name: 'Ann' });
+        assert.strictEqual(created.body.inviteSent, true);
+        assert.strictEqual(delivering.mail.length, 1);
+    } finally {
+        await delivering.close();
+    }
+});
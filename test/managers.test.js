@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+const MANAGER = { email: 'lead@example.com', password: 'Password123', newPassword: 'Password456' };
+
+// An app with a manager who has one direct report, next to the seeded staff
+// member who reports to nobody
+async function startWithTeam() {
+    const server = await startApp();
+    const admin = server.client();
+    await admin.signInSeeded(ADMIN);
+
+    const manager = await admin.post('/api/admin/users', { email: MANAGER.email, name: 'Team Lead', role: 'manager', password: MANAGER.password });
+    assert.strictEqual(manager.status, 200);
+    const report = await admin.post('/api/admin/users', { email: 'report@example.com', name: 'Direct Report', password: 'Password123', managerId: manager.body.user.id });
+    assert.strictEqual(report.status, 200);
+
+    const lead = server.client();
+    await lead.signInSeeded(MANAGER);
+    return { server, admin, lead, reportId: report.body.user.id };
+}
+
+test('managers only see their direct reports', async () => {
+    const { server, admin, lead, reportId } = await startWithTeam();
+    try {
+        const session = await lead.get('/api/session');
+        assert.deepStrictEqual(session.body.user.permissions, ['dashboard.view', 'reminders.send']);
+        assert.strictEqual((await lead.get('/admin')).status, 200);
+
+        const users = await lead.get('/api/admin/users');
+        assert.strictEqual(users.status, 200);
+        assert.deepStrictEqual(users.body.rows.map(row => row.id), [reportId]);
+        assert.strictEqual(users.body.total, 1);
+        assert.strictEqual(users.body.stats.staff, 1);
+
+        const progress = await lead.get('/api/admin/progress');
+        assert.deepStrictEqual(progress.body.rows.map(row => row.id), [reportId]);
+
+        // Admins still see everyone
+        const everyone = await admin.get('/api/admin/users');
+        assert.ok(everyone.body.total > 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('anyone else is not found for a manager', async () => {
+    const { server, lead, reportId } = await startWithTeam();
+    try {
+        assert.strictEqual((await lead.get(`/api/admin/users/${reportId}/progress`)).status, 200);
+        assert.strictEqual((await lead.post(`/api/admin/users/${reportId}/reminder`)).status, 200);
+
+        // The seeded staff member, who isn't the manager's report
+        for (const res of [await lead.get('/api/admin/users/2/progress'), await lead.post('/api/admin/users/2/reminder'), await lead.get('/api/admin/users/2/certificate')]) {
+            assert.strictEqual(res.status, 404);
+            assert.strictEqual(res.body.error.code, 'USER_NOT_FOUND');
+        }
+    } finally {
+        await server.close();
+    }
+});
+
+test("managers can't change users or content", async () => {
+    const { server, lead, reportId } = await startWithTeam();
+    try {
+        const attempts = [
+            await lead.post('/api/admin/users', { email: 'another@example.com', name: 'Another' }),
+            await lead.patch(`/api/admin/users/${reportId}`, { name: 'Renamed' }),
+            await lead.post(`/api/admin/users/${reportId}/reset-progress`),
+            await lead.delete(`/api/admin/users/${reportId}`),
+            await lead.post('/api/admin/sections/0/publish'),
+            await lead.get('/api/admin/audit')
+        ];
+        attempts.forEach(res => {
+            assert.strictEqual(res.status, 403);
+            assert.strictEqual(res.body.error.code, 'PERMISSION_DENIED');
+        });
+    } finally {
+        await server.close();
+    }
+});
+
+test("staff can't see the dashboard at all", async () => {
+    const server = await startApp();
+    try {
+        const staff = server.client();
+        await staff.signInSeeded(STAFF);
+        assert.deepStrictEqual((await staff.get('/api/session')).body.user.permissions, []);
+
+        const res = await staff.get('/api/admin/users');
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.body.error.code, 'PERMISSION_DENIED');
+    } finally {
+        await server.close();
+    }
+});
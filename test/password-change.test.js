@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+test('seeded accounts must change their password before doing anything else', async () => {
+    const server = await startApp();
+    try {
+        const staff = server.client();
+        const signIn = await staff.signIn(STAFF.email, STAFF.password);
+        assert.strictEqual(signIn.status, 200);
+        assert.strictEqual(signIn.body.user.mustChangePassword, true);
+
+        const session = await staff.get('/api/session');
+        assert.strictEqual(session.status, 200);
+        assert.strictEqual(session.body.user.mustChangePassword, true);
+
+        const sections = await staff.get('/api/sections');
+        assert.strictEqual(sections.status, 403);
+        assert.strictEqual(sections.body.error.code, 'PASSWORD_CHANGE_REQUIRED');
+
+        const page = await staff.get('/onboarding');
+        assert.strictEqual(page.status, 302);
+        assert.strictEqual(page.headers.get('location'), '/change-password');
+
+        const changed = await staff.post('/api/account/password', { currentPassword: STAFF.password, newPassword: STAFF.newPassword });
+        assert.strictEqual(changed.status, 200);
+        assert.strictEqual(changed.body.user.mustChangePassword, false);
+
+        assert.strictEqual((await staff.get('/api/sections')).status, 200);
+        assert.strictEqual((await staff.get('/onboarding')).status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the current password is required, and the new one must differ', async () => {
+    const server = await startApp();
+    try {
+        const staff = server.client();
+        await staff.signIn(STAFF.email, STAFF.password);
+
+        const wrong = await staff.post('/api/account/password', { currentPassword: 'not-it', newPassword: STAFF.newPassword });
+        assert.strictEqual(wrong.status, 400);
+        assert.strictEqual(wrong.body.error.code, 'INVALID_CURRENT_PASSWORD');
+        assert.ok(wrong.body.error.fields.currentPassword);
+
+        const unchanged = await staff.post('/api/account/password', { currentPassword: STAFF.password, newPassword: STAFF.password });
+        assert.strictEqual(unchanged.status, 400);
+        assert.strictEqual(unchanged.body.error.code, 'PASSWORD_UNCHANGED');
+
+        assert.strictEqual((await staff.get('/api/sections')).body.error.code, 'PASSWORD_CHANGE_REQUIRED');
+    } finally {
+        await server.close();
+    }
+});
+
+test('changing the password signs out other sessions and retires the old password', async () => {
+    const server = await startApp();
+    try {
+        const first = server.client();
+        const second = server.client();
+        await first.signIn(STAFF.email, STAFF.password);
+        await second.signIn(STAFF.email, STAFF.password);
+
+        await first.post('/api/account/password', { currentPassword: STAFF.password, newPassword: STAFF.newPassword });
+        assert.strictEqual((await first.get('/api/session')).status, 200);
+        assert.strictEqual((await second.get('/api/session')).status, 401);
+
+        const withNew = await server.client().signIn(STAFF.email, STAFF.newPassword);
+        assert.strictEqual(withNew.status, 200);
+        assert.strictEqual(withNew.body.user.mustChangePassword, false);
+
+        const withOld = await server.client().signIn(STAFF.email, STAFF.password);
+        assert.strictEqual(withOld.status, 401);
+    } finally {
+        await server.close();
+    }
+});
+
+test('users created with a password chosen by an admin must change it too', async () => {
+    const server = await startApp();
+    try {
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+        const created = await admin.post('/api/admin/users', { email: 'new@example.com', name: 'New User', password: 'Password123' });
+        assert.strictEqual(created.status, 200);
+
+        const user = server.client();
+        const signIn = await user.signIn('new@example.com', 'Password123');
+        assert.strictEqual(signIn.body.user.mustChangePassword, true);
+        assert.strictEqual((await user.get('/admin')).status, 302);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+async function startAsStaff() {
+    const server = await startApp();
+    const staff = server.client();
+    await staff.signInSeeded(STAFF);
+    return { server, staff };
+}
+
+function acknowledge(client, sectionId, acknowledged = true) {
+    return client.post('/api/progress', { sectionId, acknowledged });
+}
+
+test('sections have to be acknowledged in order', async () => {
+    const { server, staff } = await startAsStaff();
+    try {
+        const skipped = await acknowledge(staff, 1);
+        assert.strictEqual(skipped.status, 409);
+        assert.strictEqual(skipped.body.error.code, 'SECTION_OUT_OF_ORDER');
+
+        const first = await acknowledge(staff, 0);
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.currentSection, 1);
+        assert.strictEqual(first.body.completedSections, 1);
+
+        const second = await acknowledge(staff, 1);
+        assert.strictEqual(second.status, 200);
+        assert.strictEqual(second.body.currentSection, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('unknown and informational sections are refused', async () => {
+    const { server, staff } = await startAsStaff();
+    try {
+        const unknown = await acknowledge(staff, 99);
+        assert.strictEqual(unknown.status, 400);
+        assert.strictEqual(unknown.body.error.code, 'UNKNOWN_SECTION');
+
+        const informational = await acknowledge(staff, 6);
+        assert.strictEqual(informational.body.error.code, 'SECTION_NOT_ACKNOWLEDGEABLE');
+    } finally {
+        await server.close();
+    }
+});
+
+test('the order follows the sections as the admin arranged them', async () => {
+    const { server, staff } = await startAsStaff();
+    try {
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+        const reordered = await admin.put('/api/admin/sections/order', { order: [3, 0, 1, 2, 4, 5, 6] });
+        assert.strictEqual(reordered.status, 200);
+
+        const sections = await staff.get('/api/sections');
+        assert.deepStrictEqual(sections.body.map(s => s.id), [3, 0, 1, 2, 4, 5, 6]);
+
+        const oldFirst = await acknowledge(staff, 0);
+        assert.strictEqual(oldFirst.body.error.code, 'SECTION_OUT_OF_ORDER');
+        const newFirst = await acknowledge(staff, 3);
+        assert.strictEqual(newFirst.status, 200);
+
+        const incomplete = await admin.put('/api/admin/sections/order', { order: [0, 1] });
+        assert.strictEqual(incomplete.status, 400);
+        assert.strictEqual(incomplete.body.error.code, 'INVALID_ORDER');
+    } finally {
+        await server.close();
+    }
+});
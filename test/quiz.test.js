@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+const QUIZ = {
+    passMark: 100,
+    questions: [
+        { text: 'First?', options: ['No', 'Yes'], answer: 1 },
+        { text: 'Second?', options: ['A', 'B', 'C'], answer: 2 }
+    ]
+};
+
+// An app whose first section has QUIZ published, with a signed-in staff client
+async function startWithQuiz() {
+    const server = await startApp();
+    const admin = server.client();
+    await admin.signInSeeded(ADMIN);
+    await admin.put('/api/admin/sections/0', { quiz: QUIZ });
+    const published = await admin.post('/api/admin/sections/0/publish');
+    assert.strictEqual(published.status, 200);
+
+    const staff = server.client();
+    await staff.signInSeeded(STAFF);
+    return { server, staff };
+}
+
+test('the quiz is sent without its answers and graded on the server', async () => {
+    const { server, staff } = await startWithQuiz();
+    try {
+        const section = await staff.get('/api/sections/0');
+        assert.strictEqual(section.body.quiz.questions.length, 2);
+        section.body.quiz.questions.forEach(question => assert.strictEqual(question.answer, undefined));
+
+        const failed = await staff.post('/api/sections/0/quiz', { answers: [1, 0] });
+        assert.strictEqual(failed.status, 200);
+        assert.deepStrictEqual([failed.body.score, failed.body.correct, failed.body.passed, failed.body.attempts], [50, 1, false, 1]);
+
+        const passed = await staff.post('/api/sections/0/quiz', { answers: [1, 2] });
+        assert.deepStrictEqual([passed.body.score, passed.body.passed, passed.body.attempts], [100, true, 2]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a section with a quiz can only be acknowledged after passing it', async () => {
+    const { server, staff } = await startWithQuiz();
+    try {
+        const early = await staff.post('/api/progress', { sectionId: 0, acknowledged: true });
+        assert.strictEqual(early.status, 409);
+        assert.strictEqual(early.body.error.code, 'QUIZ_NOT_PASSED');
+
+        await staff.post('/api/sections/0/quiz', { answers: [1, 2] });
+        const acknowledged = await staff.post('/api/progress', { sectionId: 0, acknowledged: true });
+        assert.strictEqual(acknowledged.status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('answers of the wrong length or with unknown options are rejected', async () => {
+    const { server, staff } = await startWithQuiz();
+    try {
+        const short = await staff.post('/api/sections/0/quiz', { answers: [1] });
+        assert.strictEqual(short.status, 400);
+        assert.strictEqual(short.body.error.code, 'VALIDATION_FAILED');
+
+        const unknown = await staff.post('/api/sections/0/quiz', { answers: [1, 3] });
+        assert.strictEqual(unknown.status, 400);
+        assert.match(unknown.body.error.fields.answers, /Question 2 has no option 3/);
+
+        const noQuiz = await staff.post('/api/sections/1/quiz', { answers: [] });
+        assert.strictEqual(noQuiz.body.error.code, 'NO_QUIZ');
+
+        const progress = await staff.get('/api/progress');
+        const entry = progress.body.sections.find(s => s.id === 0);
+        assert.ok(!entry || !entry.quizAttempts || entry.quizAttempts.length === 0);
+    } finally {
+        await server.close();
+    }
+});
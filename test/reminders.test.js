@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const reminders = require('../lib/reminders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-20T12:00:00Z');
+
+const sections = [{ id: 0, version: 1, requiresAcknowledgment: true }];
+const config = { ...reminders.DEFAULTS, stalledDays: 7 };
+
+function staff(fields) {
+    return { id: 2, role: 'staff', active: true, password: 'hash', ...fields };
+}
+
+test('staff with progress are stalled after stalledDays without any', () => {
+    const progress = { userId: 2, sections: [], lastUpdated: new Date(NOW - 8 * DAY_MS).toISOString() };
+    assert.strictEqual(reminders.reminderReason(staff(), null, progress, sections, config, NOW), 'stalled');
+
+    progress.lastUpdated = new Date(NOW - 2 * DAY_MS).toISOString();
+    assert.strictEqual(reminders.reminderReason(staff(), null, progress, sections, config, NOW), null);
+});
+
+test('staff who never started are stalled counting from their start date', () => {
+    assert.strictEqual(reminders.reminderReason(staff({ startDate: '2026-03-01' }), null, undefined, sections, config, NOW), 'stalled');
+    assert.strictEqual(reminders.reminderReason(staff({ startDate: '2026-03-18' }), null, undefined, sections, config, NOW), null);
+});
+
+test("staff who never started count from their cohort's start date", () => {
+    const cohort = { id: 1, startDate: '2026-03-01', completionDays: null };
+    assert.strictEqual(reminders.reminderReason(staff({ cohortId: 1 }), cohort, undefined, sections, config, NOW), 'stalled');
+});
+
+test('staff who never started and have no start date count from account creation', () => {
+    const old = staff({ createdAt: new Date(NOW - 10 * DAY_MS).toISOString() });
+    const recent = staff({ createdAt: new Date(NOW - DAY_MS).toISOString() });
+    assert.strictEqual(reminders.reminderReason(old, null, undefined, sections, config, NOW), 'stalled');
+    assert.strictEqual(reminders.reminderReason(recent, null, undefined, sections, config, NOW), null);
+});
+
+test('stalledDays of 0 turns off stalled reminders', () => {
+    const user = staff({ startDate: '2026-01-01' });
+    assert.strictEqual(reminders.reminderReason(user, null, undefined, sections, { ...config, stalledDays: 0 }, NOW), null);
+});
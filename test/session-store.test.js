@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../lib/app');
+const { createSessionStore } = require('../lib/session-store');
+const { STAFF, startApp } = require('./helpers');
+
+const TOKEN = 'test-token';
+const TTL_MS = 24 * 60 * 60 * 1000;
+
+// A stand-in for the Vercel KV / Upstash REST API, with just the commands
+// the session store uses. `keys` maps each key to { value, px }.
+function startKv() {
+    const keys = new Map();
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+            if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+                res.statusCode = 401;
+                return res.end(JSON.stringify({ error: 'Unauthorized' }));
+            }
+
+            const [name, key, value, , px] = JSON.parse(body);
+            let result = null;
+            if (name === 'GET') {
+                result = keys.has(key) ? keys.get(key).value : null;
+            } else if (name === 'SET') {
+                keys.set(key, { value, px: Number(px) });
+                result = 'OK';
+            } else if (name === 'DEL') {
+                result = keys.delete(key) ? 1 : 0;
+            }
+            res.end(JSON.stringify({ result }));
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        keys,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+function startKvApp(kv) {
+    return startApp({ sessionStore: createSessionStore({ backend: 'kv', kv: { url: kv.url, token: TOKEN }, ttlMs: TTL_MS }) });
+}
+
+test('kv: a session outlives the app instance that started it', async () => {
+    const kv = await startKv();
+    try {
+        const first = await startKvApp(kv);
+        let cookie;
+        try {
+            const client = first.client();
+            const signIn = await client.signIn(STAFF.email, STAFF.password);
+            assert.strictEqual(signIn.status, 200);
+            cookie = signIn.headers.get('set-cookie').split(';')[0];
+        } finally {
+            await first.close();
+        }
+
+        // Only the hash of the session ID is used as the key, and Redis
+        // expires it with the session
+        const [key] = kv.keys.keys();
+        assert.strictEqual(kv.keys.size, 1);
+        assert.match(key, /^onboarding:sess:[0-9a-f]{64}$/);
+        const sid = decodeURIComponent(cookie.split('=')[1]).slice('s:'.length).split('.')[0];
+        assert.ok(!key.includes(sid));
+        assert.ok(kv.keys.get(key).px > TTL_MS - 60 * 1000 && kv.keys.get(key).px <= TTL_MS);
+
+        const second = await startKvApp(kv);
+        try {
+            const session = await fetch(`${second.url}/api/session`, { headers: { Cookie: cookie } });
+            assert.strictEqual(session.status, 200);
+            const body = await session.json();
+            assert.strictEqual(body.user.email, STAFF.email);
+
+            await fetch(`${second.url}/api/logout`, {
+                method: 'POST',
+                headers: { Cookie: cookie, 'X-CSRF-Token': body.csrfToken }
+            });
+            assert.strictEqual(kv.keys.size, 0);
+        } finally {
+            await second.close();
+        }
+    } finally {
+        await kv.close();
+    }
+});
+
+test('kv: missing settings stop the app from starting, even when tolerating storage errors', () => {
+    const saved = { SESSION_STORE: process.env.SESSION_STORE, KV_REST_API_URL: process.env.KV_REST_API_URL, KV_REST_API_TOKEN: process.env.KV_REST_API_TOKEN };
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-test-'));
+    process.env.SESSION_STORE = 'kv';
+    delete process.env.KV_REST_API_URL;
+    delete process.env.KV_REST_API_TOKEN;
+    try {
+        assert.throws(
+            () => createApp({ dataDir, tolerateStorageErrors: true, mailer: { send: () => Promise.resolve({ delivered: true }) }, reminders: { intervalMinutes: 0 } }),
+            { code: 'SESSION_STORE_CONFIG', message: /KV_REST_API_URL and KV_REST_API_TOKEN/ }
+        );
+    } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('kv: a failing store fails the sign-in', async () => {
+    const kv = await startKv();
+    const server = await startApp({ sessionStore: createSessionStore({ backend: 'kv', kv: { url: kv.url, token: 'wrong' }, ttlMs: TTL_MS }) });
+    try {
+        const res = await server.client().signIn(STAFF.email, STAFF.password);
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual(res.body.error.code, 'INTERNAL_ERROR');
+    } finally {
+        await server.close();
+        await kv.close();
+    }
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { ADMIN, startApp } = require('./helpers');
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-storage-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+test.after(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+for (const backend of ['json', 'sqlite']) {
+    test(`${backend}: collections read back what was written`, () => {
+        const storage = createStorage({ backend, dataDir: tempDir() });
+
+        assert.strictEqual(storage.read('users'), null);
+        storage.write('users', [{ id: 1, name: 'Ada' }]);
+        assert.deepStrictEqual(storage.read('users'), [{ id: 1, name: 'Ada' }]);
+    });
+
+    test(`${backend}: update changes the collection and returns fn's result`, () => {
+        const storage = createStorage({ backend, dataDir: tempDir() });
+        storage.write('users', [{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+        const result = storage.update('users', users => {
+            users.splice(0, 1);
+            users[0].name = 'Bo';
+            users.push({ id: 4 });
+            return users.length;
+        });
+
+        assert.strictEqual(result, 3);
+        assert.deepStrictEqual(storage.read('users'), [{ id: 2, name: 'Bo' }, { id: 3 }, { id: 4 }]);
+
+        storage.update('users', users => users.splice(1));
+        assert.deepStrictEqual(storage.read('users'), [{ id: 2, name: 'Bo' }]);
+    });
+
+    test(`${backend}: update creates a missing collection`, () => {
+        const storage = createStorage({ backend, dataDir: tempDir() });
+        storage.update('audit', events => events.push({ id: 1 }));
+        assert.deepStrictEqual(storage.read('audit'), [{ id: 1 }]);
+    });
+
+    test(`${backend}: append adds records to the end, and later updates keep them`, () => {
+        const storage = createStorage({ backend, dataDir: tempDir() });
+        storage.append('audit', { id: 1 });
+        assert.deepStrictEqual(storage.read('audit'), [{ id: 1 }]);
+
+        storage.append('audit', { id: 2 });
+        storage.update('audit', events => events.push({ id: 3 }));
+        storage.append('audit', { id: 4 });
+        assert.deepStrictEqual(storage.read('audit'), [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]);
+
+        storage.write('audit', [{ id: 5 }]);
+        assert.deepStrictEqual(storage.read('audit'), [{ id: 5 }]);
+    });
+}
+
+test('json: append leaves the JSON file alone until the next write', () => {
+    const dataDir = tempDir();
+    const storage = createStorage({ backend: 'json', dataDir });
+    storage.write('audit', [{ id: 1 }]);
+    const file = path.join(dataDir, 'audit.json');
+    const written = fs.readFileSync(file, 'utf8');
+
+    storage.append('audit', { id: 2 });
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), written);
+    assert.strictEqual(fs.readFileSync(path.join(dataDir, 'audit.jsonl'), 'utf8'), '{"id":2}\n');
+
+    storage.update('audit', () => {});
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ id: 1 }, { id: 2 }]);
+    assert.strictEqual(fs.existsSync(path.join(dataDir, 'audit.jsonl')), false);
+});
+
+test('json: a write while another process holds the lock fails with STORAGE_BUSY', () => {
+    const dataDir = tempDir();
+    const storage = createStorage({ backend: 'json', dataDir });
+    storage.write('users', [{ id: 1 }]);
+    fs.writeFileSync(path.join(dataDir, 'users.json.lock'), '');
+
+    assert.throws(() => storage.update('users', users => users.push({ id: 2 })), err => {
+        assert.strictEqual(err.code, 'STORAGE_BUSY');
+        assert.strictEqual(err.status, 503);
+        return true;
+    });
+    assert.deepStrictEqual(storage.read('users'), [{ id: 1 }]);
+});
+
+test('json: a lock left behind by a crashed process is cleared', () => {
+    const dataDir = tempDir();
+    const storage = createStorage({ backend: 'json', dataDir });
+    const lockFile = path.join(dataDir, 'users.json.lock');
+    fs.writeFileSync(lockFile, '');
+    const stale = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockFile, stale, stale);
+
+    storage.update('users', users => users.push({ id: 1 }));
+    assert.deepStrictEqual(storage.read('users'), [{ id: 1 }]);
+    assert.strictEqual(fs.existsSync(lockFile), false);
+});
+
+test('sqlite: a write while another connection is writing fails with STORAGE_BUSY', () => {
+    const dataDir = tempDir();
+    const storage = createStorage({ backend: 'sqlite', dataDir });
+    storage.write('users', [{ id: 1 }]);
+
+    const Database = require('better-sqlite3');
+    const other = new Database(path.join(dataDir, 'onboarding.db'));
+    other.prepare('BEGIN IMMEDIATE').run();
+    try {
+        assert.throws(() => storage.update('users', users => users.push({ id: 2 })), { code: 'STORAGE_BUSY' });
+    } finally {
+        other.prepare('ROLLBACK').run();
+        other.close();
+    }
+    assert.deepStrictEqual(storage.read('users'), [{ id: 1 }]);
+});
+
+test('sqlite: update and append only write the records that changed', () => {
+    const dataDir = tempDir();
+    const storage = createStorage({ backend: 'sqlite', dataDir });
+    storage.write('users', [{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    // Count the row writes with triggers in the database itself
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(dataDir, 'onboarding.db'));
+    db.exec(`
+        CREATE TABLE row_writes (kind TEXT);
+        CREATE TRIGGER count_inserts AFTER INSERT ON documents BEGIN INSERT INTO row_writes VALUES ('insert'); END;
+        CREATE TRIGGER count_updates AFTER UPDATE ON documents BEGIN INSERT INTO row_writes VALUES ('update'); END;
+        CREATE TRIGGER count_deletes AFTER DELETE ON documents BEGIN INSERT INTO row_writes VALUES ('delete'); END;
+    `);
+    const rowWrites = () => db.prepare('SELECT kind FROM row_writes ORDER BY rowid').all().map(row => row.kind);
+
+    storage.update('users', users => {
+        users[1].name = 'Bo';
+        users.push({ id: 4 });
+    });
+    assert.deepStrictEqual(rowWrites(), ['update', 'insert']);
+
+    db.exec('DELETE FROM row_writes');
+    storage.update('users', users => users.pop());
+    assert.deepStrictEqual(rowWrites(), ['delete']);
+
+    db.exec('DELETE FROM row_writes');
+    storage.append('users', { id: 5 });
+    assert.deepStrictEqual(rowWrites(), ['insert']);
+    db.close();
+
+    assert.deepStrictEqual(storage.read('users'), [{ id: 1 }, { id: 2, name: 'Bo' }, { id: 3 }, { id: 5 }]);
+});
+
+for (const backend of ['json', 'sqlite']) {
+    test(`${backend}: the app keeps its data across a restart`, async () => {
+        const dataDir = tempDir();
+        const first = await startApp({ dataDir, storage: createStorage({ backend, dataDir }) });
+        try {
+            const admin = first.client();
+            await admin.signInSeeded(ADMIN);
+            const created = await admin.post('/api/admin/users', { email: 'kept@example.com', name: 'Kept User', password: 'Password123' });
+            assert.strictEqual(created.status, 200);
+        } finally {
+            await first.close();
+        }
+
+        const second = await startApp({ dataDir, storage: createStorage({ backend, dataDir }) });
+        try {
+            const signIn = await second.client().signIn('kept@example.com', 'Password123');
+            assert.strictEqual(signIn.status, 200);
+            assert.strictEqual(signIn.body.user.name, 'Kept User');
+        } finally {
+            await second.close();
+        }
+    });
+}
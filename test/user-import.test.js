@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, startApp } = require('./helpers');
+
+async function startAsAdmin() {
+    const server = await startApp();
+    const admin = server.client();
+    await admin.signInSeeded(ADMIN);
+    return { server, admin };
+}
+
+test('import rows are checked with the same rules as the add user form', async () => {
+    const { server, admin } = await startAsAdmin();
+    try {
+        const longName = 'N'.repeat(101);
+        const longEmail = `${'e'.repeat(250)}@x.io`;
+        const csv = [
+            'name,email,role,start date',
+            'Ann Smith,Ann.Smith@Example.com,,2026-11-02',
+            `${longName},long.name@example.com,,`,
+            `Long Email,${longEmail},,`,
+            'No Email,not-an-email,,',
+            'Bad Role,bad.role@example.com,owner,',
+            'Bad Date,bad.date@example.com,,02/11/2026',
+            'Staff Again,STAFF@maytech.com,,',
+            'Ann Again,ann.smith@example.com,,'
+        ].join('\n');
+
+        const res = await admin.post('/api/admin/users/import', { csv, dryRun: true });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.valid, false);
+
+        const [ann, name, email, invalid, role, date, taken, duplicate] = res.body.rows;
+        assert.deepStrictEqual(ann.errors, []);
+        assert.strictEqual(ann.email, 'ann.smith@example.com');
+        assert.strictEqual(ann.startDate, '2026-11-02');
+        assert.deepStrictEqual(name.errors, ['Name must be at most 100 characters']);
+        assert.deepStrictEqual(email.errors, ['Email must be at most 254 characters']);
+        assert.deepStrictEqual(invalid.errors, ['Please enter a valid email address']);
+        assert.match(role.errors[0], /^Role must be one of/);
+        assert.deepStrictEqual(date.errors, ['Start date must be a date (YYYY-MM-DD)']);
+        assert.deepStrictEqual(taken.errors, ['A user with this email already exists']);
+        assert.deepStrictEqual(duplicate.errors, ['Duplicate of line 2']);
+
+        const refused = await admin.post('/api/admin/users/import', { csv });
+        assert.strictEqual(refused.status, 400);
+        assert.strictEqual(refused.body.error.code, 'IMPORT_INVALID_ROWS');
+    } finally {
+        await server.close();
+    }
+});
+
+test('a clean import creates every user with their start date', async () => {
+    const { server, admin } = await startAsAdmin();
+    try {
+        const csv = 'name,email,start date\nAnn Smith,ann@example.com,2026-11-02\nBob Jones,bob@example.com,';
+        const res = await admin.post('/api/admin/users/import', { csv });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.created, 2);
+        assert.strictEqual(server.mail.length, 2);
+
+        const directory = await admin.get('/api/admin/users?q=ann');
+        assert.strictEqual(directory.body.rows[0].startDate, '2026-11-02');
+    } finally {
+        await server.close();
+    }
+});
+
+test('the start date can be set when creating and editing a user', async () => {
+    const { server, admin } = await startAsAdmin();
+    try {
+        const created = await admin.post('/api/admin/users', { email: 'cara@example.com', name: 'Cara', startDate: '2026-12-01' });
+        assert.strictEqual(created.status, 200);
+        assert.strictEqual(created.body.user.startDate, '2026-12-01');
+
+        const edited = await admin.patch(`/api/admin/users/${created.body.user.id}`, { startDate: '2027-01-04' });
+        assert.strictEqual(edited.body.user.startDate, '2027-01-04');
+
+        const cleared = await admin.patch(`/api/admin/users/${created.body.user.id}`, { startDate: null });
+        assert.strictEqual(cleared.body.user.startDate, null);
+
+        const invalid = await admin.patch(`/api/admin/users/${created.body.user.id}`, { startDate: 'soon' });
+        assert.strictEqual(invalid.status, 400);
+        assert.deepStrictEqual(invalid.body.error.fields, { startDate: 'Start date must be a date (YYYY-MM-DD)' });
+    } finally {
+        await server.close();
+    }
+});
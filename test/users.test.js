@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+// Acknowledge every section that needs it, in order
+async function completeOnboarding(client) {
+    const sections = await client.get('/api/sections');
+    for (const section of sections.body.filter(s => s.requiresAcknowledgment)) {
+        const res = await client.post('/api/progress', { sectionId: section.id, acknowledged: true });
+        assert.strictEqual(res.status, 200);
+    }
+}
+
+function readCollection(server, collection) {
+    return JSON.parse(fs.readFileSync(path.join(server.dataDir, `${collection}.json`), 'utf8'));
+}
+
+test("a deleted user's ID is never given to a new user", async () => {
+    const server = await startApp();
+    try {
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+
+        const deleted = await admin.delete('/api/admin/users/2');
+        assert.strictEqual(deleted.status, 200);
+
+        const created = await admin.post('/api/admin/users', { email: 'next@example.com', name: 'Next User', password: 'Password123' });
+        assert.strictEqual(created.status, 200);
+        assert.strictEqual(created.body.user.id, 3);
+
+        await admin.delete('/api/admin/users/3');
+        const again = await admin.post('/api/admin/users', { email: 'later@example.com', name: 'Later User', password: 'Password123' });
+        assert.strictEqual(again.body.user.id, 4);
+    } finally {
+        await server.close();
+    }
+});
+
+test("deleting a user removes their reminders and revokes their certificates", async () => {
+    const server = await startApp();
+    try {
+        const staff = server.client();
+        await staff.signInSeeded(STAFF);
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+        const reminded = await admin.post('/api/admin/users/2/reminder');
+        assert.strictEqual(reminded.status, 200);
+        assert.strictEqual(readCollection(server, 'reminders').length, 1);
+
+        await completeOnboarding(staff);
+        const pdf = await staff.get('/api/certificate');
+        assert.strictEqual(pdf.status, 200);
+        const [certificate] = readCollection(server, 'certificates');
+
+        await admin.delete('/api/admin/users/2');
+
+        assert.deepStrictEqual(readCollection(server, 'reminders'), []);
+        const verified = await server.client().get(`/api/certificates/${certificate.id}`);
+        assert.strictEqual(verified.status, 200);
+        assert.ok(verified.body.revokedAt);
+        assert.strictEqual(verified.body.revokedReason, 'user_deleted');
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, STAFF, startApp } = require('./helpers');
+
+test('a sign-in without a password is turned away with the field named', async () => {
+    const server = await startApp();
+    try {
+        const client = server.client();
+        await client.refresh();
+        const res = await client.post('/api/login', { email: STAFF.email });
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(res.body, {
+            error: {
+                code: 'VALIDATION_FAILED',
+                message: 'Password is required',
+                fields: { password: 'Password is required' }
+            }
+        });
+    } finally {
+        await server.close();
+    }
+});
+
+test('an invalid new user is reported field by field and not saved', async () => {
+    const server = await startApp();
+    try {
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+        const before = await admin.get('/api/admin/users');
+
+        const res = await admin.post('/api/admin/users', { email: 'not-an-email', name: '   ', role: 'owner', password: 'short' });
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error.code, 'VALIDATION_FAILED');
+        assert.strictEqual(res.body.error.message, 'Some fields are not valid');
+        assert.deepStrictEqual(Object.keys(res.body.error.fields).sort(), ['email', 'name', 'password', 'role']);
+        assert.strictEqual(res.body.error.fields.email, 'Please enter a valid email address');
+        assert.match(res.body.error.fields.password, /at least/);
+
+        const after = await admin.get('/api/admin/users');
+        assert.strictEqual(after.body.total, before.body.total);
+    } finally {
+        await server.close();
+    }
+});
+
+test('query strings are checked too', async () => {
+    const server = await startApp();
+    try {
+        const admin = server.client();
+        await admin.signInSeeded(ADMIN);
+
+        const res = await admin.get('/api/admin/users?page=0&sort=password');
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error.code, 'VALIDATION_FAILED');
+        assert.deepStrictEqual(Object.keys(res.body.error.fields).sort(), ['page', 'sort']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a body that is not JSON gets the same error format', async () => {
+    const server = await startApp();
+    try {
+        // The body is parsed before the CSRF token is checked
+        const res = await fetch(`${server.url}/api/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"email": '
+        });
+        assert.strictEqual(res.status, 400);
+        const body = await res.json();
+        assert.strictEqual(body.error.code, 'INVALID_JSON');
+        assert.strictEqual(body.error.message, 'The request body is not valid JSON');
+    } finally {
+        await server.close();
+    }
+});